@@ -6,13 +6,17 @@
 //   node -r dotenv/config agentStatus.js mc_int 2025-07-02T08:00:00Z 2025-07-02T12:00:00Z
 //   node -r dotenv/config agentStatus.js mc_int 2025-07-02T08:00:00Z 2025-07-02T12:00:00Z report.csv
 //
-// The script automatically handles pagination, retries (exp backoff),
-// and self-signed certificates (inherits httpsAgent from tokenService).
+// The script automatically handles pagination and retries (exp backoff);
+// TLS trust is the tenant's (upstreamTls.js).
 
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import { setTimeout as sleep } from 'timers/promises';
+import { observeSchema } from './schemaDrift.js';
+import { tenantConfig, tenantUrl } from './tenantRegistry.js';
+import { withPortalToken } from './tokenService.js';
+import { httpsAgentFor } from './upstreamTls.js';
 
 const MAX_RETRIES = 3;
 
@@ -48,14 +52,16 @@ function toCsv(records, delimiter = ',') {
  * @param {string} [opts.extension]             – filter by extension.
  * @param {string} [opts.start_key]             – pagination token from previous request.
  * @param {number} [opts.maxRows]               – max records to return (default 500).
+ * @param {AbortSignal} [opts.signal]           – cancels the request and any pending retry.
  * @returns {Promise<{rows: object[], next: string|null}>} – paginated result with next token.
  */
 export async function fetchAgentStatus(
   acct,
-  { startDate, endDate, name, extension, start_key, maxRows = 500 } = {}
+  { startDate, endDate, name, extension, start_key, maxRows = 500, signal } = {}
 ) {
   // Use env-configurable endpoint; fall back to the common REST path.
-  const url = `${process.env.BASE_URL}${process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats'}`;
+  const url = tenantUrl(acct, 'agentStatus');
+  const { accountHeader } = tenantConfig(acct);
   const records = [];
   let startKey = start_key;
   let nextStartKey = null;
@@ -72,22 +78,23 @@ export async function fetchAgentStatus(
           ...(startKey && { start_key: startKey })
         };
 
-        // Obtain JWT once and log the first 40 chars for debugging
-        const token = await getPortalToken(acct);
-        console.log('REQ', url, params, {
-          'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? acct,
-          'X-User-Agent': 'portal',
-          Authorization: `Bearer ${token ? token.slice(0,40) + '…' : 'undefined'}`
-        });
-
-        const { data } = await axios.get(url, {
-          params,
-          headers: {
-            'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? acct,
+        const { data } = await withPortalToken(acct, token => {
+          // Log the first 40 chars of the JWT for debugging
+          console.log('REQ', url, params, {
+            'X-Account-ID': accountHeader,
             'X-User-Agent': 'portal',
-            Authorization: `Bearer ${token}`
-          },
-          httpsAgent
+            Authorization: `Bearer ${token ? token.slice(0,40) + '…' : 'undefined'}`
+          });
+          return axios.get(url, {
+            params,
+            headers: {
+              'X-Account-ID': accountHeader,
+              'X-User-Agent': 'portal',
+              Authorization: `Bearer ${token}`
+            },
+            httpsAgent: httpsAgentFor(acct),
+            signal
+          });
         });
 
         // Always capture paging token; undefined → null to signal end of list
@@ -101,10 +108,14 @@ export async function fetchAgentStatus(
 
         if (Array.isArray(data.data)) {
           chunk = data.data.map(ensureExt);
+          observeSchema('agentStatus', acct, 'data[]', data.data);
         } else if (data && typeof data === 'object') {
           // Newer portal returns an object keyed by extension/userId
-          // Preserve the key (extension) by merging it into each record
-          chunk = Object.entries(data).map(([ext, info]) => ensureExt({ extension: ext, ...info }));
+          // Preserve the key (extension) by merging it into each record;
+          // next_start_key and other non-agent entries are not rows
+          const agents = Object.entries(data).filter(([key, info]) => key !== 'next_start_key' && info && typeof info === 'object');
+          chunk = agents.map(([ext, info]) => ensureExt({ extension: ext, ...info }));
+          observeSchema('agentStatus', acct, '{id:}', agents.map(([, info]) => info));
         } else {
           console.error('Unexpected API payload; dumping full response:', JSON.stringify(data, null, 2));
           throw new Error('Unrecognised API response format');
@@ -132,15 +143,48 @@ export async function fetchAgentStatus(
       }
       break retry; // success
     } catch (err) {
-      if (attempt === MAX_RETRIES - 1) throw err;
+      if (signal?.aborted || attempt === MAX_RETRIES - 1) throw err;
       console.warn(`Request failed (${err.message}); retrying in ${delay}ms…`);
-      await new Promise(r => setTimeout(r, delay));
+      await sleep(delay, undefined, { signal });
     }
   }
 
   return { rows: records, next: nextStartKey };
 }
 
+function firstNumber(...values) {
+  for (const v of values) {
+    if (v != null && v !== '' && !Number.isNaN(Number(v))) return Number(v);
+  }
+  return 0;
+}
+
+/**
+ * Flatten one agent status/activity record into the columns the dashboard
+ * shows. Field names differ between PBX versions, hence the fallbacks.
+ * Durations are seconds; first_login / last_logout are epoch timestamps.
+ * @param {object} r – raw record as returned by fetchAgentStatus.
+ * @returns {object}
+ */
+export function normalizeAgentStatus(r) {
+  return {
+    extension: r.extension ?? '',
+    agent_name: r.name || r.agent_name || [r.first_name, r.last_name].filter(Boolean).join(' ') || '',
+    status: r.status || r.state || r.current_status || '',
+    first_login: r.first_login || r.first_login_time || r.login_time || '',
+    last_logout: r.last_logout || r.last_logout_time || r.logout_time || '',
+    login_duration: firstNumber(r.login_duration, r.total_login_time, r.logged_in_duration, r.login_time_seconds),
+    ready_duration: firstNumber(r.ready_duration, r.available_duration, r.total_ready_time, r.ready_time),
+    paused_duration: firstNumber(r.paused_duration, r.pause_duration, r.not_ready_duration, r.total_paused_time, r.paused_time),
+    talk_duration: firstNumber(r.talk_duration, r.talked_duration, r.total_talk_time, r.talk_time),
+    total_calls: firstNumber(r.total_calls, r.calls, r.calls_total),
+    answered_calls: firstNumber(r.answered_calls, r.answered, r.calls_answered),
+    missed_calls: firstNumber(r.missed_calls, r.missed, r.calls_missed, r.not_answered),
+    inbound_calls: firstNumber(r.inbound_calls, r.inbound, r.calls_inbound),
+    outbound_calls: firstNumber(r.outbound_calls, r.outbound, r.calls_outbound)
+  };
+}
+
 /**
  * Legacy function for backward compatibility - fetches all records.
  * @param {string} acct                         – tenant / account id.
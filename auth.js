@@ -0,0 +1,175 @@
+// auth.js
+// Dashboard authentication: login/logout routes, JWT session cookie and
+// role-based guards for the Express app in server.js.
+//
+// The session is a signed JWT ({ sub: username, role }) stored in an
+// httpOnly cookie. Every request re-reads the user from userStore so a
+// removed account, changed role or revoked tenant takes effect immediately.
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import ms from 'ms';
+import { resolveTimezone } from './timezones.js';
+import { allowedTenants, findUser, hasRole, publicUser, updateUser, verifyCredentials } from './userStore.js';
+
+const COOKIE_NAME = 'cdr_session';
+const SESSION_TTL = process.env.SESSION_TTL || '8h';
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  // Still works, but every restart logs everybody out
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  JWT_SECRET not set – using a random per-process secret; sessions will not survive restarts');
+}
+
+function cookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.COOKIE_SECURE === 'true',
+    maxAge: ms(SESSION_TTL),
+    path: '/'
+  };
+}
+
+/**
+ * Populate `req.user` from the session cookie when it carries a valid token.
+ * Never rejects – use requireAuth / requireRole for that.
+ */
+export async function authenticate(req, res, next) {
+  const token = req.cookies?.[COOKIE_NAME];
+  if (!token) return next();
+
+  try {
+    const { sub } = jwt.verify(token, jwtSecret);
+    const user = await findUser(sub);
+    if (user) {
+      req.user = publicUser(user);
+      req.tenants = allowedTenants(user);
+    }
+  } catch {
+    // Expired or tampered token – treat as anonymous
+    res.clearCookie(COOKIE_NAME, { path: '/' });
+  }
+  next();
+}
+
+/**
+ * Reject anonymous API calls with 401.
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+  next();
+}
+
+/**
+ * Reject callers whose role ranks below `role` (admin > supervisor > agent).
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    if (!hasRole(req.user.role, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Resolve the tenant for this request from the caller's entitlements.
+ *
+ * `?account=` picks one of the user's tenants; when omitted and the user has
+ * exactly one tenant, that one is used. Anything outside the user's list is
+ * rejected with 403, so the upstream token is never minted for it.
+ * The resolved tenant is exposed as `req.tenant`.
+ */
+export function requireTenant(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+
+  const tenants = req.tenants || [];
+  const requested = req.query.account;
+
+  if (!requested) {
+    if (tenants.length === 1) {
+      req.tenant = tenants[0];
+      return next();
+    }
+    return res.status(400).json({ error: 'Missing account query param', tenants });
+  }
+  if (!tenants.includes(requested)) {
+    console.warn(`Denied tenant "${requested}" for user ${req.user.username}`);
+    return res.status(403).json({ error: `Not permitted to access account ${requested}` });
+  }
+  req.tenant = requested;
+  next();
+}
+
+/**
+ * Redirect anonymous browsers to the login page instead of serving a page.
+ */
+export function requirePageAuth(req, res, next) {
+  if (!req.user) {
+    const nextUrl = encodeURIComponent(req.originalUrl);
+    return res.redirect(`/login.html?next=${nextUrl}`);
+  }
+  next();
+}
+
+export const authRouter = express.Router();
+
+// POST /api/auth/login  { username, password }
+authRouter.post('/login', express.json(), async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Missing username or password' });
+  }
+
+  try {
+    const user = await verifyCredentials(username, password);
+    if (!user) {
+      console.warn(`Failed dashboard login for "${username}" from ${req.ip}`);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    const tenants = allowedTenants(user);
+
+    const token = jwt.sign({ sub: user.username, role: user.role }, jwtSecret, { expiresIn: SESSION_TTL });
+    res.cookie(COOKIE_NAME, token, cookieOptions());
+    console.log(`✅ Dashboard login: ${user.username} (${user.role})`);
+    res.json({ user, tenants });
+  } catch (err) {
+    console.error(err.stack || err.message);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// POST /api/auth/logout
+authRouter.post('/logout', (req, res) => {
+  res.clearCookie(COOKIE_NAME, { path: '/' });
+  res.json({ ok: true });
+});
+
+// Display zone per tenant for this user (their own setting or the tenant's)
+function timezonesFor(user, tenants) {
+  return Object.fromEntries(tenants.map(t => [t, resolveTimezone(user, t)]));
+}
+
+// GET /api/auth/me
+authRouter.get('/me', requireAuth, (req, res) => {
+  res.json({
+    user: req.user,
+    tenants: req.tenants,
+    timezones: timezonesFor(req.user, req.tenants),
+    defaultTimezone: resolveTimezone(req.user)
+  });
+});
+
+// PUT /api/auth/me/timezone  { timezone }  – '' or null goes back to the tenant's zone
+authRouter.put('/me/timezone', requireAuth, express.json(), async (req, res) => {
+  try {
+    const user = await updateUser(req.user.username, { timezone: req.body?.timezone ?? null });
+    res.json({ user, timezones: timezonesFor(user, req.tenants), defaultTimezone: resolveTimezone(user) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
@@ -0,0 +1,114 @@
+// callDetail.js
+// Everything known about one call, for the /calls/:callId permalink page.
+//
+// The call is looked up in the local warehouse first (when configured), which
+// also says when it happened; otherwise the link carries a time hint (`at`,
+// or a start / end range). Legs around that time are fetched live and
+// stitched with callJourney.js, and other calls from the same number are
+// listed from that window plus the warehouse history.
+
+import { JOURNEY_WINDOW_SEC, buildJourneys, fetchLegs } from './callJourney.js';
+import { findCallsByNumber, findRecord, normalizeRow } from './cdrStore.js';
+import { isDbConfigured } from './db.js';
+import { historyOf, linkIds, toEpochSeconds } from './recordNormalizer.js';
+
+const RELATED_LIMIT = 50;
+
+function sortedHistory(legs, field, timeOf) {
+  for (const { record } of legs) {
+    const history = historyOf(record, field);
+    if (history.length) return [...history].sort((a, b) => (toEpochSeconds(timeOf(a)) || 0) - (toEpochSeconds(timeOf(b)) || 0));
+  }
+  return [];
+}
+
+function relatedCalls(journeys, own, number, stored) {
+  const related = new Map();
+  for (const j of journeys) {
+    if (j === own || (j.caller !== number && j.callee !== number)) continue;
+    related.set(j.id, {
+      id: j.id,
+      startedAt: j.startedAt,
+      direction: j.direction,
+      caller: j.caller,
+      callee: j.callee,
+      talkSec: j.totals.talkSec,
+      answered: j.totals.answered,
+      source: 'live'
+    });
+  }
+  for (const row of stored) {
+    if (related.has(row.call_id) || own?.callIds.includes(row.call_id)) continue;
+    related.set(row.call_id, {
+      id: row.call_id,
+      startedAt: row.event_time,
+      direction: row.direction,
+      caller: row.caller_id_number,
+      callee: row.callee_id_number,
+      talkSec: row.talk_duration,
+      answered: Boolean(row.answered_time),
+      source: 'warehouse'
+    });
+  }
+  return [...related.values()].sort((a, b) => (b.startedAt || 0) - (a.startedAt || 0)).slice(0, RELATED_LIMIT);
+}
+
+/**
+ * Full detail of one call.
+ * @param {string} tenant
+ * @param {string} callId
+ * @param {object} [hint] – { at } epoch seconds, or { startDate, endDate }; { signal }.
+ * @returns {Promise<object|null>} null when the call cannot be found.
+ */
+export async function getCallDetail(tenant, callId, { at, startDate, endDate, signal } = {}) {
+  const stored = isDbConfigured()
+    ? await findRecord(tenant, callId).catch(err => {
+      console.warn(`⚠️  Warehouse lookup for call ${callId} failed: ${err.message}`);
+      return null;
+    })
+    : null;
+
+  let range = null;
+  if (startDate != null && endDate != null) {
+    range = { startDate, endDate };
+  } else if (at != null || stored?.eventTime != null) {
+    const around = at ?? stored.eventTime;
+    range = { startDate: around - JOURNEY_WINDOW_SEC, endDate: around + JOURNEY_WINDOW_SEC };
+  }
+
+  const legs = range ? await fetchLegs(tenant, { ...range, signal }) : [];
+  const journeys = buildJourneys(legs);
+  const journey = journeys.find(j => j.callIds.includes(callId)) || null;
+
+  // The CDR leg carries the richest record; fall back to queue rows, then the warehouse copy
+  const own = legs.filter(l => l.record.call_id === callId);
+  const leg = own.find(l => l.report === 'cdrs') || own[0] || (stored && { report: stored.report, record: stored.record });
+  if (!leg) return null;
+
+  const { raw, tenant: _tenant, call_id: _id, ...summary } = normalizeRow(leg.report, tenant, leg.record);
+  const journeyLegs = journey ? legs.filter(l => linkIds(l.record).some(id => journey.callIds.includes(id))) : [leg];
+  const historyLegs = [...journeyLegs.filter(l => l.report !== 'cdrs'), ...journeyLegs.filter(l => l.report === 'cdrs')];
+
+  const outbound = /^out/i.test(summary.direction || '');
+  const number = outbound ? summary.callee_id_number : summary.caller_id_number;
+  const numberHistory = number && isDbConfigured()
+    ? await findCallsByNumber('cdrs', tenant, number, { limit: RELATED_LIMIT }).catch(err => {
+      console.warn(`⚠️  Warehouse lookup for ${number} failed: ${err.message}`);
+      return [];
+    })
+    : [];
+
+  return {
+    id: callId,
+    tenant,
+    report: leg.report,
+    summary,
+    record: leg.record,
+    agentHistory: sortedHistory(historyLegs, 'agent_history', h => h.called_time || h.last_attempt),
+    queueHistory: sortedHistory(historyLegs, 'queue_history', h => h.ts),
+    journey,
+    number: number || null,
+    related: number ? relatedCalls(journeys, journey, number, numberHistory) : [],
+    range
+  };
+}
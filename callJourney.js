@@ -0,0 +1,241 @@
+// callJourney.js
+// Stitch per-leg records into call journeys.
+//
+// The PBX writes one CDR per leg and the queue reports one row per agent leg.
+// Legs that share any linking id – call_id, other_leg_call_id / bleg_call_id /
+// a_leg, bridge_id or interaction_id – belong to the same call. buildJourneys()
+// groups them and orders each group into a timeline:
+//   start → IVR / routing → queue → agent attempts → answered → transfers → hangup
+// with totals (duration, wait, talk, attempts, …) computed across all legs.
+//
+// Usage examples:
+//   node -r dotenv/config callJourney.js shams <call_id> 2025-08-14T10:00:00Z 2025-08-14T12:00:00Z
+
+import ms from 'ms';
+import { historyOf, linkIds, normalizeRecord, toEpochSeconds } from './recordNormalizer.js';
+import { iterateReport } from './reportFetcher.js';
+
+// Reports whose rows are legs of a call
+export const JOURNEY_REPORTS = ['cdrs', 'queueCalls', 'queueOutboundCalls'];
+
+// How far either side of a point in time legs are searched (JOURNEY_WINDOW)
+export const JOURNEY_WINDOW_SEC = Math.floor(ms(process.env.JOURNEY_WINDOW || '2h') / 1000);
+
+// Steps at the same second keep this order
+const STEP_ORDER = ['start', 'ivr', 'queue', 'agent_attempt', 'answered', 'leg', 'transfer', 'hangup'];
+
+function agentOf(record) {
+  const name = [record.agent_first_name, record.agent_last_name].filter(Boolean).join(' ') || record.agent_name || '';
+  return { name, ext: record.agent_extension || record.agent_ext || '' };
+}
+
+const truthy = v => v === true || v === 'true' || v === 'True' || v === 1;
+
+function legSummary({ report, record }) {
+  const agent = agentOf(record);
+  return {
+    report,
+    call_id: record.call_id || null,
+    direction: record.call_direction || (report === 'queueOutboundCalls' ? 'outbound' : report === 'queueCalls' ? 'inbound' : null),
+    caller: record.caller_id_number || null,
+    callee: record.callee_id_number || record.destination || record.to || null,
+    started: toEpochSeconds(record.channel_created_time || record.called_time || record.timestamp),
+    answered: toEpochSeconds(record.channel_answered_time || record.answered_time),
+    ended: toEpochSeconds(record.channel_hangup_time || record.hangup_time),
+    queue_name: record.queue_name || null,
+    agent: agent.name || null,
+    agent_ext: agent.ext || null,
+    hangup_cause: record.hangup_cause || null,
+    recording: record.media_recording_id || record.custom_channel_vars?.media_recording_id || record.recording_filename || null
+  };
+}
+
+function journeySteps(legs, summaries) {
+  const steps = [];
+  const seen = new Set();
+  const add = (at, type, label, extra = {}) => {
+    if (!at) return;
+    const key = `${type}|${at}|${label}`;
+    if (seen.has(key)) return; // every agent-leg row repeats the shared history
+    seen.add(key);
+    steps.push({ at, type, label, ...extra });
+  };
+
+  legs.forEach(({ report, record }, i) => {
+    const leg = summaries[i];
+    if (report === 'cdrs') {
+      if (i > 0) add(leg.started, 'leg', `Leg ${leg.caller || '?'} → ${leg.callee || '?'}`, { call_id: leg.call_id, direction: leg.direction });
+      return;
+    }
+
+    const queues = historyOf(record, 'queue_history');
+    if (queues.length) {
+      queues.forEach(q => add(toEpochSeconds(q.ts), 'queue', `Queue ${q.queue_name || '?'}`, { queue: q.queue_name || null }));
+    } else if (leg.queue_name) {
+      add(leg.started, 'queue', `Queue ${leg.queue_name}`, { queue: leg.queue_name });
+    }
+
+    historyOf(record, 'agent_history').forEach(h => {
+      const name = `${h.first_name || ''} ${h.last_name || ''}`.trim() || h.agent_name || '';
+      const ext = h.ext || h.extension || '';
+      add(toEpochSeconds(h.called_time || h.last_attempt), 'agent_attempt',
+        `Offered to ${name || ext || 'agent'}${ext && name ? ` (${ext})` : ''}${h.event ? ` – ${h.event}` : ''}`,
+        { agent: name || null, ext: ext || null, event: h.event || null, connected: truthy(h.connected) });
+    });
+
+    if (leg.answered) {
+      add(leg.answered, 'answered', `Answered${leg.agent ? ` by ${leg.agent}` : ''}`, { agent: leg.agent, ext: leg.agent_ext });
+    }
+    if (record.agent_transfer && record.agent_transfer !== 'false') {
+      const target = typeof record.agent_transfer === 'string' && record.agent_transfer !== 'true' ? ` to ${record.agent_transfer}` : '';
+      add(leg.ended || leg.answered, 'transfer', `Transferred${leg.agent ? ` by ${leg.agent}` : ''}${target}`, { agent: leg.agent });
+    }
+  });
+
+  return steps;
+}
+
+function stitch(legs) {
+  const summaries = legs.map(legSummary);
+  const order = summaries
+    .map((_, i) => i)
+    .sort((a, b) => (summaries[a].started || Infinity) - (summaries[b].started || Infinity));
+  const sortedLegs = order.map(i => legs[i]);
+  const sorted = order.map(i => summaries[i]);
+  const first = sorted[0];
+
+  const steps = journeySteps(sortedLegs, sorted);
+  const times = field => sorted.map(s => s[field]).filter(Boolean);
+  const known = [...times('started'), ...times('ended'), ...steps.map(s => s.at)];
+  const startedAt = known.length ? Math.min(...known) : null;
+  const endedAt = known.length ? Math.max(...known) : null;
+  const answeredAt = times('answered').length ? Math.min(...times('answered')) : null;
+
+  steps.unshift({ at: startedAt, type: 'start', label: `Call ${first.caller || '?'} → ${first.callee || '?'}` });
+  const queuedAt = Math.min(...steps.filter(s => s.type === 'queue').map(s => s.at));
+  if (Number.isFinite(queuedAt) && queuedAt > startedAt) {
+    steps.push({ at: startedAt, type: 'ivr', label: 'IVR / routing', durationSec: queuedAt - startedAt });
+  }
+
+  const queueRows = sortedLegs.filter(l => l.report !== 'cdrs');
+  const agentHungUp = queueRows.some(l => truthy(l.record.agent_hangup));
+  const cause = sorted.map(s => s.hangup_cause).find(Boolean);
+  steps.push({
+    at: endedAt,
+    type: 'hangup',
+    label: `Hangup${answeredAt ? (agentHungUp ? ' by agent' : ' by caller') : ''}${cause ? ` (${cause})` : ''}`,
+    cause: cause || null
+  });
+  steps.sort((a, b) => a.at - b.at || STEP_ORDER.indexOf(a.type) - STEP_ORDER.indexOf(b.type));
+
+  // Talk time from the agent legs when present, else the longest billed CDR leg
+  let talkSec = queueRows.reduce((sum, l) => sum + normalizeRecord(l.report, l.record, l.tenant).talk_duration, 0);
+  if (!talkSec) {
+    talkSec = Math.max(0, ...sortedLegs.filter(l => l.report === 'cdrs').map(l => Number(l.record.billing_seconds) || 0));
+  }
+  const queues = [...new Set(steps.filter(s => s.type === 'queue').map(s => s.queue).filter(Boolean))];
+  const agentsAnswered = [...new Set(steps.filter(s => s.type === 'answered').map(s => s.agent).filter(Boolean))];
+
+  return {
+    id: first.call_id,
+    callIds: [...new Set(legs.flatMap(l => linkIds(l.record)))],
+    direction: first.direction,
+    caller: first.caller,
+    callee: first.callee,
+    startedAt,
+    answeredAt,
+    endedAt,
+    legs: sorted,
+    steps,
+    totals: {
+      legs: legs.length,
+      durationSec: Math.max(0, endedAt - startedAt),
+      waitSec: Math.max(0, (answeredAt || endedAt) - startedAt),
+      talkSec,
+      queues,
+      agentAttempts: steps.filter(s => s.type === 'agent_attempt').length,
+      agentsAnswered,
+      transfers: steps.filter(s => s.type === 'transfer').length,
+      answered: Boolean(answeredAt),
+      abandoned: !answeredAt && queueRows.some(l => truthy(l.record.abandoned))
+    }
+  };
+}
+
+/**
+ * Group legs into journeys (union of shared link ids), oldest first.
+ * @param {{report: string, record: object, tenant?: string}[]} legs – rows from JOURNEY_REPORTS.
+ * @returns {object[]} journeys with legs, steps and totals.
+ */
+export function buildJourneys(legs) {
+  const parent = legs.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const owner = new Map(); // link id -> first leg index carrying it
+
+  legs.forEach((leg, i) => {
+    for (const id of linkIds(leg.record)) {
+      if (owner.has(id)) parent[find(i)] = find(owner.get(id));
+      else owner.set(id, i);
+    }
+  });
+
+  const groups = new Map();
+  legs.forEach((leg, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(leg);
+  });
+  return [...groups.values()].map(stitch).sort((a, b) => a.startedAt - b.startedAt);
+}
+
+/**
+ * Every leg of JOURNEY_REPORTS in a time range, with full agent / queue history.
+ * @param {string} tenant
+ * @param {object} range – { startDate, endDate } epoch seconds, { signal }.
+ * @returns {Promise<{report: string, record: object, tenant: string}[]>}
+ */
+export async function fetchLegs(tenant, { startDate, endDate, signal } = {}) {
+  const perReport = await Promise.all(JOURNEY_REPORTS.map(async report => {
+    const legs = [];
+    for await (const { records } of iterateReport(report, tenant, { startDate, endDate }, { keepLegs: true, signal })) {
+      for (const record of records) legs.push({ report, record, tenant });
+    }
+    return legs;
+  }));
+  return perReport.flat();
+}
+
+/**
+ * Fetch every leg in a time range and return the journey containing `callId`.
+ * @param {string} tenant
+ * @param {string} callId – any link id of the call (call_id, bridge_id, …).
+ * @param {object} range  – { startDate, endDate } epoch seconds, { signal }.
+ * @returns {Promise<object|null>}
+ */
+export async function fetchCallJourney(tenant, callId, range = {}) {
+  return buildJourneys(await fetchLegs(tenant, range)).find(j => j.callIds.includes(callId)) || null;
+}
+
+async function cli() {
+  const [tenant, callId, start, end] = process.argv.slice(2);
+  const startDate = Math.floor(Date.parse(start) / 1000);
+  const endDate = Math.floor(Date.parse(end) / 1000);
+  if (!tenant || !callId || Number.isNaN(startDate) || Number.isNaN(endDate)) {
+    console.error('Usage: node -r dotenv/config callJourney.js <tenant> <call_id> <startISO> <endISO>');
+    process.exit(1);
+  }
+  const journey = await fetchCallJourney(tenant, callId, { startDate, endDate });
+  if (!journey) {
+    console.error(`No legs found for ${callId}`);
+    process.exit(1);
+  }
+  console.table(journey.steps.map(s => ({ at: new Date(s.at * 1000).toISOString(), type: s.type, label: s.label })));
+  console.log(journey.totals);
+}
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.response?.data || err.stack || err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,332 @@
+// cdrStore.js
+// MySQL persistence for report rows fetched by reportFetcher.js.
+//
+// Every report type (REPORT_TYPES in reportFetcher.js, endpoint paths in
+// tenantRegistry.js) gets its own table in TABLES with the same normalised
+// column set plus the untouched upstream record in a JSON `raw` column.
+// Rows are keyed by (tenant, call_id) and written with upserts, so refetching
+// an overlapping window is harmless.
+//
+// A `sync_state` table keeps the per-tenant / per-report watermark used by
+// syncWorker.js to fetch only new time windows.
+
+import crypto from 'crypto';
+import { getPool } from './db.js';
+import { normalizeRecord, toEpochSeconds } from './recordNormalizer.js';
+
+export const TABLES = {
+  cdrs: 'cdr_records',
+  queueCalls: 'queue_calls',
+  queueOutboundCalls: 'queue_outbound_calls',
+  campaignsActivity: 'campaign_activity'
+};
+
+// Normalised columns shared by all report tables (order matters for inserts)
+const COLUMNS = [
+  'tenant',
+  'call_id',
+  'event_time',
+  'direction',
+  'caller_id_number',
+  'caller_id_name',
+  'callee_id_number',
+  'callee_id_name',
+  'queue_name',
+  'campaign_name',
+  'agent_name',
+  'agent_extension',
+  'disposition',
+  'sub_disposition_1',
+  'sub_disposition_2',
+  'follow_up_notes',
+  'status',
+  'answered_time',
+  'hangup_time',
+  'wait_duration',
+  'talk_duration',
+  'recording_id',
+  'raw'
+];
+
+function tableDdl(table) {
+  return `CREATE TABLE IF NOT EXISTS \`${table}\` (
+    tenant            VARCHAR(64)  NOT NULL,
+    call_id           VARCHAR(128) NOT NULL,
+    event_time        BIGINT       NULL COMMENT 'epoch seconds',
+    direction         VARCHAR(32)  NULL,
+    caller_id_number  VARCHAR(64)  NULL,
+    caller_id_name    VARCHAR(255) NULL,
+    callee_id_number  VARCHAR(64)  NULL,
+    callee_id_name    VARCHAR(255) NULL,
+    queue_name        VARCHAR(255) NULL,
+    campaign_name     VARCHAR(255) NULL,
+    agent_name        VARCHAR(255) NULL,
+    agent_extension   VARCHAR(32)  NULL,
+    disposition       VARCHAR(255) NULL,
+    sub_disposition_1 VARCHAR(255) NULL,
+    sub_disposition_2 VARCHAR(255) NULL,
+    follow_up_notes   TEXT         NULL,
+    status            VARCHAR(64)  NULL,
+    answered_time     BIGINT       NULL COMMENT 'epoch seconds',
+    hangup_time       BIGINT       NULL COMMENT 'epoch seconds',
+    wait_duration     INT          NULL COMMENT 'seconds',
+    talk_duration     INT          NULL COMMENT 'seconds',
+    recording_id      VARCHAR(255) NULL,
+    raw               JSON         NOT NULL,
+    synced_at         TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant, call_id),
+    KEY idx_tenant_time (tenant, event_time),
+    KEY idx_caller (tenant, caller_id_number),
+    KEY idx_callee (tenant, callee_id_number)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`;
+}
+
+const SYNC_STATE_DDL = `CREATE TABLE IF NOT EXISTS sync_state (
+  tenant       VARCHAR(64)  NOT NULL,
+  report       VARCHAR(64)  NOT NULL,
+  watermark    BIGINT       NULL COMMENT 'epoch seconds – everything before is synced',
+  rows_synced  BIGINT       NOT NULL DEFAULT 0,
+  last_run_at  TIMESTAMP    NULL,
+  last_error   TEXT         NULL,
+  PRIMARY KEY (tenant, report)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`;
+
+let schemaReady = null;
+
+/**
+ * Create warehouse tables if they do not exist yet. Safe to call repeatedly.
+ */
+export function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = (async () => {
+      const pool = getPool();
+      for (const table of Object.values(TABLES)) {
+        await pool.query(tableDdl(table));
+      }
+      await pool.query(SYNC_STATE_DDL);
+    })().catch(err => {
+      schemaReady = null; // allow a retry once the DB is reachable
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+function tableFor(report) {
+  const table = TABLES[report];
+  if (!table) throw new Error(`Unknown report type: ${report}`);
+  return table;
+}
+
+function str(value, max = 255) {
+  if (value == null || value === '') return null;
+  const s = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return s.length > max ? s.slice(0, max) : s;
+}
+
+function int(value) {
+  if (value == null || value === '') return null;
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Stable identifier for a row: call_id when present, otherwise a hash of the
+ * record so rows without ids still dedupe across syncs.
+ */
+export function recordKey(record) {
+  const id = record.call_id || record.bridge_id || record.interaction_id || record._id || record.id;
+  if (id) return String(id);
+  return 'h_' + crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex');
+}
+
+/**
+ * Map one upstream record into the warehouse column set (the canonical row of
+ * recordNormalizer.js under the warehouse's column names).
+ * @param {string} report  – one of keys in TABLES.
+ * @param {string} tenant  – tenant / account id.
+ * @param {object} record  – raw upstream row.
+ * @returns {object}
+ */
+export function normalizeRow(report, tenant, record) {
+  const row = normalizeRecord(report, record, tenant);
+  const eventTime = row.called_time ?? toEpochSeconds(record.timestamp || record.event_timestamp || record.created);
+
+  return {
+    tenant,
+    call_id: recordKey(record),
+    event_time: eventTime,
+    direction: str(row.type_direction, 32),
+    caller_id_number: str(row.caller_id_number, 64),
+    caller_id_name: str(row.caller_id_name),
+    callee_id_number: str(row.callee_id_number || row.lead_number, 64),
+    callee_id_name: str(row.callee_id_name),
+    queue_name: str(row.queue_name),
+    campaign_name: str(row.campaign_name),
+    agent_name: str(row.agent_name),
+    agent_extension: str(row.agent_ext, 32),
+    disposition: str(row.agent_disposition),
+    sub_disposition_1: str(row.sub_disposition_1),
+    sub_disposition_2: str(row.sub_disposition_2),
+    follow_up_notes: str(row.follow_up_notes, 65535),
+    status: str(row.status, 64),
+    answered_time: row.answered_time,
+    hangup_time: row.hangup_time,
+    wait_duration: int(row.wait_duration),
+    talk_duration: int(row.talk_duration),
+    recording_id: str(row.recording),
+    raw: JSON.stringify(record)
+  };
+}
+
+/**
+ * Upsert a batch of upstream records.
+ * @param {string}   report  – one of keys in TABLES.
+ * @param {string}   tenant  – tenant / account id.
+ * @param {object[]} records – raw upstream rows.
+ * @returns {Promise<number>} number of rows written.
+ */
+export async function upsertRecords(report, tenant, records) {
+  if (!records?.length) return 0;
+  await ensureSchema();
+
+  const table = tableFor(report);
+  const rows = records
+    .filter(r => r && typeof r === 'object')
+    .map(r => normalizeRow(report, tenant, r))
+    .map(r => COLUMNS.map(c => r[c]));
+
+  const updates = COLUMNS
+    .filter(c => c !== 'tenant' && c !== 'call_id')
+    .map(c => `\`${c}\` = VALUES(\`${c}\`)`)
+    .join(', ');
+  const sql = `INSERT INTO \`${table}\` (${COLUMNS.map(c => `\`${c}\``).join(', ')}) VALUES ? ON DUPLICATE KEY UPDATE ${updates}`;
+
+  // Keep individual statements well below max_allowed_packet
+  const BATCH = 500;
+  let written = 0;
+  for (let i = 0; i < rows.length; i += BATCH) {
+    const slice = rows.slice(i, i + BATCH);
+    await getPool().query(sql, [slice]);
+    written += slice.length;
+  }
+  return written;
+}
+
+/**
+ * Read stored rows for a time range, oldest first.
+ * @param {string} report
+ * @param {string} tenant
+ * @param {object} opts
+ * @param {number} [opts.startDate] – epoch seconds (inclusive).
+ * @param {number} [opts.endDate]   – epoch seconds (exclusive).
+ * @param {number} [opts.limit]     – max rows (default 1000).
+ * @param {number} [opts.offset]    – rows to skip.
+ * @returns {Promise<object[]>} the original upstream records.
+ */
+export async function queryRecords(report, tenant, { startDate, endDate, limit = 1000, offset = 0 } = {}) {
+  await ensureSchema();
+  const table = tableFor(report);
+
+  const where = ['tenant = ?'];
+  const args = [tenant];
+  if (startDate != null) { where.push('event_time >= ?'); args.push(startDate); }
+  if (endDate != null) { where.push('event_time < ?'); args.push(endDate); }
+
+  const [rows] = await getPool().query(
+    `SELECT raw FROM \`${table}\` WHERE ${where.join(' AND ')} ORDER BY event_time ASC LIMIT ? OFFSET ?`,
+    [...args, Number(limit), Number(offset)]
+  );
+  return rows.map(r => (typeof r.raw === 'string' ? JSON.parse(r.raw) : r.raw));
+}
+
+/**
+ * Count stored rows for a time range.
+ */
+export async function countRecords(report, tenant, { startDate, endDate } = {}) {
+  await ensureSchema();
+  const table = tableFor(report);
+
+  const where = ['tenant = ?'];
+  const args = [tenant];
+  if (startDate != null) { where.push('event_time >= ?'); args.push(startDate); }
+  if (endDate != null) { where.push('event_time < ?'); args.push(endDate); }
+
+  const [[{ total }]] = await getPool().query(
+    `SELECT COUNT(*) AS total FROM \`${table}\` WHERE ${where.join(' AND ')}`,
+    args
+  );
+  return Number(total);
+}
+
+/**
+ * Look a call up by id across every report table.
+ * @returns {Promise<{report: string, eventTime: number|null, record: object}|null>}
+ */
+export async function findRecord(tenant, callId) {
+  await ensureSchema();
+  for (const [report, table] of Object.entries(TABLES)) {
+    const [rows] = await getPool().query(
+      `SELECT event_time, raw FROM \`${table}\` WHERE tenant = ? AND call_id = ? LIMIT 1`,
+      [tenant, callId]
+    );
+    if (rows.length) {
+      const { event_time: eventTime, raw } = rows[0];
+      return { report, eventTime, record: typeof raw === 'string' ? JSON.parse(raw) : raw };
+    }
+  }
+  return null;
+}
+
+/**
+ * Stored calls to or from a number, newest first (warehouse column set, no raw).
+ * @returns {Promise<object[]>}
+ */
+export async function findCallsByNumber(report, tenant, number, { limit = 50 } = {}) {
+  await ensureSchema();
+  const table = tableFor(report);
+  const [rows] = await getPool().query(
+    `SELECT call_id, event_time, direction, caller_id_number, callee_id_number, agent_name,
+            disposition, answered_time, talk_duration
+       FROM \`${table}\`
+      WHERE tenant = ? AND (caller_id_number = ? OR callee_id_number = ?)
+      ORDER BY event_time DESC LIMIT ?`,
+    [tenant, number, number, Number(limit)]
+  );
+  return rows;
+}
+
+/**
+ * @returns {Promise<{watermark: number|null, rows_synced: number, last_run_at: Date|null, last_error: string|null}|null>}
+ */
+export async function getSyncState(tenant, report) {
+  await ensureSchema();
+  const [rows] = await getPool().query(
+    'SELECT watermark, rows_synced, last_run_at, last_error FROM sync_state WHERE tenant = ? AND report = ?',
+    [tenant, report]
+  );
+  return rows[0] || null;
+}
+
+export async function listSyncState() {
+  await ensureSchema();
+  const [rows] = await getPool().query('SELECT * FROM sync_state ORDER BY tenant, report');
+  return rows;
+}
+
+/**
+ * Record sync progress. `watermark` only moves forward when provided.
+ */
+export async function saveSyncState(tenant, report, { watermark = null, rowsSynced = 0, error = null } = {}) {
+  await ensureSchema();
+  await getPool().query(
+    `INSERT INTO sync_state (tenant, report, watermark, rows_synced, last_run_at, last_error)
+       VALUES (?, ?, ?, ?, NOW(), ?)
+     ON DUPLICATE KEY UPDATE
+       watermark   = COALESCE(GREATEST(COALESCE(watermark, 0), VALUES(watermark)), watermark),
+       rows_synced = rows_synced + VALUES(rows_synced),
+       last_run_at = NOW(),
+       last_error  = VALUES(last_error)`,
+    [tenant, report, watermark, rowsSynced, error]
+  );
+}
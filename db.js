@@ -0,0 +1,54 @@
+// db.js
+// Shared MySQL connection pool for the local CDR warehouse.
+//
+// Configure via env:
+//   DB_HOST, DB_PORT, DB_USER, DB_PASSWORD, DB_NAME, DB_POOL_SIZE
+//
+// The pool is created lazily so modules that never touch the warehouse
+// (e.g. the reportFetcher CLI) do not need a database at all.
+
+import mysql from 'mysql2/promise';
+
+let pool = null;
+
+/**
+ * True when enough DB settings are present to open a connection.
+ */
+export function isDbConfigured() {
+  return Boolean(process.env.DB_HOST && process.env.DB_NAME);
+}
+
+/**
+ * Return the process-wide pool, creating it on first use.
+ * @returns {import('mysql2/promise').Pool}
+ */
+export function getPool() {
+  if (pool) return pool;
+  if (!isDbConfigured()) {
+    throw new Error('MySQL warehouse not configured – set DB_HOST and DB_NAME');
+  }
+
+  pool = mysql.createPool({
+    host: process.env.DB_HOST,
+    port: Number(process.env.DB_PORT) || 3306,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    connectionLimit: Number(process.env.DB_POOL_SIZE) || 10,
+    waitForConnections: true,
+    charset: 'utf8mb4',
+    // Keep BIGINT epoch columns as JS numbers
+    supportBigNumbers: true,
+    bigNumberStrings: false
+  });
+  return pool;
+}
+
+/**
+ * Close the pool (used by CLIs so the process can exit).
+ */
+export async function closePool() {
+  if (!pool) return;
+  await pool.end();
+  pool = null;
+}
@@ -0,0 +1,394 @@
+// fieldMappings.js
+// Declarative mapping from raw upstream records to the canonical row of
+// recordNormalizer.js.
+//
+// fieldMappings.json holds the built-in rules: a `common` section plus one
+// section per report, each mapping a canonical column to the sources tried in
+// order. A tenant whose fonoUC payload differs only needs an override file –
+// JSON or YAML – with the same shape, optionally per tenant:
+//
+//   reports:                       # applied to every tenant
+//     cdrs:
+//       queue_name: [fonoUC.cc.queue, queue_name]
+//   tenants:
+//     shams:
+//       common:
+//         recording: [fonoUC.media.recording_id, recording_filename]
+//       reports:
+//         queueCalls:
+//           agent_ext: { paths: [agent.sip_ext], transform: string }
+//
+// A rule replaces the built-in rule for that column. Its forms:
+//   [source, …]            – first source with a non-empty value wins
+//   { paths: [source, …], transform, default, derive, collect }
+// A source is a dotted path into the raw record (`fonoUC.cc.queue_name`,
+// `agent_history.0.ext`), a path into the row mapped so far (`$agent_history.0.ext`),
+// { join: [source, …], with: ' ' }, { value: <literal> }, or
+// { find: <source of a list>, where: { key: value }, get: [path, …] }.
+// Transforms: string, number, epoch, name (object.name or the string itself),
+// yesno, country, history, ids, raw – each column has a sensible default.
+// `derive: { from, to: [col, …] }` fills a duration no source reported from two
+// mapped times (`whenZero: true` also replaces a reported 0); `collect: true`
+// keeps every non-empty source instead of the first.
+//
+// Configuration (env):
+//   FIELD_MAPPINGS_FILE – override file (default: data/field-mappings.{yaml,yml,json} when present)
+//
+// Usage examples:
+//   node -r dotenv/config fieldMappings.js check
+//   node -r dotenv/config fieldMappings.js validate shams
+//   node -r dotenv/config fieldMappings.js validate shams cdrs 2025-08-14T09:00:00Z 2025-08-14T10:00:00Z
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULTS_FILE = path.join(__dirname, 'fieldMappings.json');
+const OVERRIDE_CANDIDATES = ['field-mappings.yaml', 'field-mappings.yml', 'field-mappings.json']
+  .map(name => path.join(__dirname, 'data', name));
+
+export const MAPPED_REPORTS = ['cdrs', 'queueCalls', 'queueOutboundCalls', 'campaignsActivity'];
+
+// Canonical columns with their empty value and default transform, in row order
+export const COLUMNS = {
+  call_id: ['', 'string'],
+  type_direction: ['', 'string'],
+  called_time: [null, 'epoch'],
+  answered_time: [null, 'epoch'],
+  hangup_time: [null, 'epoch'],
+  wait_duration: [0, 'number'],
+  talk_duration: [0, 'number'],
+  caller_id_number: ['', 'string'],
+  caller_id_name: ['', 'string'],
+  callee_id_number: ['', 'string'],
+  callee_id_name: ['', 'string'],
+  queue_name: ['', 'string'],
+  campaign_name: ['', 'string'],
+  campaign_type: ['', 'string'],
+  lead_name: ['', 'string'],
+  lead_number: ['', 'string'],
+  agent_name: ['', 'string'],
+  agent_ext: ['', 'string'],
+  agent_disposition: ['', 'string'],
+  sub_disposition_1: ['', 'string'],
+  sub_disposition_2: ['', 'string'],
+  follow_up_notes: ['', 'string'],
+  status: ['', 'string'],
+  abandoned: ['', 'yesno'],
+  agent_attempts: ['', 'raw'],
+  agent_hangup: ['', 'raw'],
+  attempts: ['', 'raw'],
+  recording: ['', 'string'],
+  country: ['', 'country'],
+  agent_history: [[], 'history'],
+  queue_history: [[], 'history'],
+  link_ids: [[], 'ids']
+};
+
+const isEmpty = v => v == null || v === '' || (Array.isArray(v) && !v.length);
+
+// Transforms get the helpers recordNormalizer.js provides (epoch, country)
+function buildTransforms({ toEpochSeconds, countryFromPhoneNumber }) {
+  return {
+    string: v => (typeof v === 'object' ? JSON.stringify(v) : String(v)),
+    number: v => (Number.isFinite(Number(v)) ? Number(v) : null),
+    epoch: v => toEpochSeconds(v),
+    name: v => (v && typeof v === 'object' ? v.name : typeof v === 'string' ? v : null),
+    yesno: v => (v === true || v === 'true' ? 'Yes' : v === false || v === 'false' ? 'No' : String(v)),
+    country: v => (typeof v === 'string' ? countryFromPhoneNumber(v) : null),
+    history: v => {
+      if (typeof v === 'string') {
+        try { v = JSON.parse(v); } catch { return null; }
+      }
+      return Array.isArray(v) ? v : null;
+    },
+    ids: v => v,
+    raw: v => v
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Loading and validation
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    return /\.ya?ml$/i.test(file) ? YAML.parse(text) || {} : JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Cannot parse field mappings ${file}: ${err.message}`);
+  }
+}
+
+function overrideFile() {
+  if (process.env.FIELD_MAPPINGS_FILE) return path.resolve(process.env.FIELD_MAPPINGS_FILE);
+  return OVERRIDE_CANDIDATES.find(file => fs.existsSync(file)) || null;
+}
+
+const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+
+function checkPath(p, where) {
+  if (typeof p !== 'string' || !/^\$?[\w-]+(\.[\w-]+)*$/.test(p)) {
+    throw new Error(`${where}: invalid path ${JSON.stringify(p)}`);
+  }
+  if (p.startsWith('$') && !COLUMNS[p.slice(1).split('.')[0]]) {
+    throw new Error(`${where}: ${p} does not name a canonical column`);
+  }
+}
+
+function checkSource(source, where) {
+  if (typeof source === 'string') return checkPath(source, where);
+  if (!isObject(source)) throw new Error(`${where}: a source must be a path or an object`);
+  if ('value' in source) return;
+  if (Array.isArray(source.join)) return source.join.forEach(s => checkSource(s, `${where} join`));
+  if (source.find) {
+    checkSource(source.find, `${where} find`);
+    if (source.where && !isObject(source.where)) throw new Error(`${where}: find.where must be an object`);
+    [].concat(source.get || []).forEach(p => checkPath(p, `${where} find.get`));
+    return;
+  }
+  throw new Error(`${where}: unknown source ${JSON.stringify(source)}`);
+}
+
+// Normalise one rule to { paths, transform, default, derive, collect }
+function checkRule(column, rule, where, transforms) {
+  if (!COLUMNS[column]) throw new Error(`${where}: unknown canonical column "${column}"`);
+  const spec = typeof rule === 'string' || Array.isArray(rule) ? { paths: [].concat(rule) } : rule;
+  if (!isObject(spec) || !Array.isArray(spec.paths)) {
+    throw new Error(`${where}.${column}: expected a list of sources or { paths: [...] }`);
+  }
+  spec.paths.forEach((s, i) => checkSource(s, `${where}.${column}[${i}]`));
+  const transform = spec.transform || COLUMNS[column][1];
+  if (!transforms[transform]) throw new Error(`${where}.${column}: unknown transform "${transform}"`);
+  if (spec.derive) {
+    const { from, to } = spec.derive;
+    if (!COLUMNS[from] || ![].concat(to || []).length || ![].concat(to).every(c => COLUMNS[c])) {
+      throw new Error(`${where}.${column}: derive needs canonical "from" and "to" columns`);
+    }
+    if ('whenZero' in spec.derive && typeof spec.derive.whenZero !== 'boolean') {
+      throw new Error(`${where}.${column}: derive.whenZero must be true or false`);
+    }
+  }
+  return {
+    paths: spec.paths,
+    transform,
+    default: 'default' in spec ? spec.default : COLUMNS[column][0],
+    derive: spec.derive ? { from: spec.derive.from, to: [].concat(spec.derive.to), whenZero: Boolean(spec.derive.whenZero) } : null,
+    collect: Boolean(spec.collect)
+  };
+}
+
+function checkSection(section, where, transforms) {
+  if (section == null) return {};
+  if (!isObject(section)) throw new Error(`${where}: expected an object of column rules`);
+  const rules = {};
+  for (const [column, rule] of Object.entries(section)) {
+    if (column === 'extends') continue;
+    rules[column] = checkRule(column, rule, where, transforms);
+  }
+  return rules;
+}
+
+// { common, reports } → { report: rules } with `extends` resolved
+function checkLayer(layer, where, transforms) {
+  if (layer == null) return { common: {}, reports: {} };
+  if (!isObject(layer)) throw new Error(`${where}: expected an object`);
+  const common = checkSection(layer.common, `${where}.common`, transforms);
+  const reports = {};
+  for (const [report, section] of Object.entries(layer.reports || {})) {
+    if (!MAPPED_REPORTS.includes(report)) throw new Error(`${where}.reports: unknown report "${report}"`);
+    const base = section?.extends;
+    if (base && !layer.reports[base]) throw new Error(`${where}.reports.${report}: extends unknown report "${base}"`);
+    reports[report] = {
+      ...(base ? checkSection(layer.reports[base], `${where}.reports.${base}`, transforms) : {}),
+      ...checkSection(section, `${where}.reports.${report}`, transforms)
+    };
+  }
+  return { common, reports };
+}
+
+/**
+ * Load and validate the built-in rules plus the override file.
+ * @param {object} helpers – { toEpochSeconds, countryFromPhoneNumber }.
+ * @returns {{ rulesFor(report: string, tenant?: string): object, transforms: object, file: string|null, tenants: string[] }}
+ * @throws {Error} naming the file and rule when the configuration is invalid.
+ */
+export function loadFieldMappings(helpers) {
+  const transforms = buildTransforms(helpers);
+  const defaults = checkLayer(readConfigFile(DEFAULTS_FILE), 'fieldMappings.json', transforms);
+
+  const file = overrideFile();
+  const raw = file ? readConfigFile(file) : {};
+  if (!isObject(raw)) throw new Error(`${file}: expected an object`);
+  const where = path.basename(file || 'overrides');
+  const shared = checkLayer(raw, where, transforms);
+  const tenants = Object.fromEntries(Object.entries(raw.tenants || {})
+    .map(([tenant, layer]) => [tenant, checkLayer(layer, `${where}.tenants.${tenant}`, transforms)]));
+
+  const compiled = new Map();
+  return {
+    file,
+    tenants: Object.keys(tenants),
+    transforms,
+    rulesFor(report, tenant) {
+      const key = `${tenant || ''}|${report}`;
+      if (!compiled.has(key)) {
+        const own = tenants[tenant] || { common: {}, reports: {} };
+        compiled.set(key, {
+          ...defaults.common,
+          ...defaults.reports[report],
+          ...shared.common,
+          ...shared.reports[report],
+          ...own.common,
+          ...own.reports[report]
+        });
+      }
+      return compiled.get(key);
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Applying rules
+
+function readPath(root, p) {
+  let v = root;
+  for (const key of p.split('.')) {
+    if (v == null) return undefined;
+    v = v[key];
+  }
+  return v;
+}
+
+function readSource(source, record, row) {
+  if (typeof source === 'string') {
+    return source.startsWith('$') ? readPath(row, source.slice(1)) : readPath(record, source);
+  }
+  if ('value' in source) return source.value;
+  if (source.join) {
+    const parts = source.join.map(s => readSource(s, record, row)).filter(v => !isEmpty(v));
+    return parts.length ? parts.join(source.with ?? ' ') : undefined;
+  }
+  const list = readSource(source.find, record, row);
+  if (!Array.isArray(list)) return undefined;
+  const wanted = Object.entries(source.where || {});
+  const hit = list.find(item => item && wanted.every(([k, v]) => String(item[k]).toLowerCase() === String(v).toLowerCase()));
+  if (!hit) return undefined;
+  return [].concat(source.get || []).map(p => readPath(hit, p)).find(v => !isEmpty(v)) ?? (source.get ? undefined : hit);
+}
+
+/**
+ * Map one raw record with a rule set.
+ * @param {object} rules       – from rulesFor().
+ * @param {object} transforms  – from loadFieldMappings().
+ * @param {object} record      – raw upstream row.
+ * @param {Map} [trace]        – column → counts per matched source index,
+ *                               'derived' or 'default'; filled when given.
+ * @returns {object} canonical row in COLUMNS order.
+ */
+export function applyFieldMappings(rules, transforms, record, trace) {
+  const row = {};
+  const note = (column, what) => {
+    if (!trace) return;
+    if (!trace.has(column)) trace.set(column, new Map());
+    const counts = trace.get(column);
+    counts.set(what, (counts.get(what) || 0) + 1);
+  };
+
+  for (const [column, rule] of Object.entries(rules)) {
+    const transform = transforms[rule.transform];
+    let value;
+    if (rule.collect) {
+      const all = rule.paths.flatMap(s => [].concat(readSource(s, record, row) ?? [])).filter(v => !isEmpty(v));
+      value = [...new Set(all)].filter(v => typeof v === 'string' && v.length > 2 && !['true', 'false', 'null'].includes(v));
+      note(column, value.length ? 'collected' : 'default');
+    } else {
+      const index = rule.paths.findIndex(s => {
+        const raw = readSource(s, record, row);
+        if (isEmpty(raw)) return false;
+        value = transform(raw);
+        return !isEmpty(value);
+      });
+      if (index < 0) value = undefined;
+      // A reported 0 is a real duration unless the rule says otherwise
+      if (rule.derive && (index < 0 || (rule.derive.whenZero && value === 0))) {
+        const from = row[rule.derive.from];
+        const to = rule.derive.to.map(c => row[c]).find(Boolean);
+        if (from && to) {
+          value = Math.max(0, to - from);
+          note(column, 'derived');
+        } else {
+          note(column, index < 0 ? 'default' : index);
+        }
+      } else {
+        note(column, index < 0 ? 'default' : index);
+      }
+    }
+    row[column] = isEmpty(value) ? rule.default : value;
+  }
+
+  return Object.fromEntries(Object.keys(COLUMNS).map(c => [c, c in row ? row[c] : COLUMNS[c][0]]));
+}
+
+// ---------------------------------------------------------------------------
+// CLI: check the configuration, or show which rules match a sample fetch
+
+function describeSource(source) {
+  if (typeof source === 'string') return source;
+  if ('value' in source) return `= ${JSON.stringify(source.value)}`;
+  if (source.join) return `join(${source.join.map(describeSource).join(', ')})`;
+  return `find(${describeSource(source.find)} where ${JSON.stringify(source.where || {})})`;
+}
+
+async function cli() {
+  const [command, tenant, onlyReport, startIso, endIso] = process.argv.slice(2);
+  const { fieldMappings } = await import('./recordNormalizer.js');
+
+  if (command === 'check') {
+    const mappings = fieldMappings();
+    console.log(`✅ Field mappings valid (overrides: ${mappings.file || 'none'}; tenants: ${mappings.tenants.join(', ') || 'none'})`);
+    return;
+  }
+  if (command !== 'validate' || !tenant) {
+    console.error('Usage: node -r dotenv/config fieldMappings.js check');
+    console.error('       node -r dotenv/config fieldMappings.js validate <tenant> [report] [startISO endISO]');
+    process.exit(1);
+  }
+
+  const { iterateReport } = await import('./reportFetcher.js');
+  const endDate = endIso ? Math.floor(Date.parse(endIso) / 1000) : Math.floor(Date.now() / 1000);
+  const startDate = startIso ? Math.floor(Date.parse(startIso) / 1000) : endDate - 3600;
+  if (Number.isNaN(startDate) || Number.isNaN(endDate)) throw new Error('Invalid start or end date');
+
+  const mappings = fieldMappings();
+  const reports = onlyReport ? [onlyReport] : MAPPED_REPORTS;
+  for (const report of reports) {
+    if (!MAPPED_REPORTS.includes(report)) throw new Error(`Unknown report type: ${report}`);
+    const rules = mappings.rulesFor(report, tenant);
+    const trace = new Map();
+    let sampled = 0;
+    for await (const { records } of iterateReport(report, tenant, { startDate, endDate }, { limit: 500, maxPages: 1 })) {
+      for (const record of records) applyFieldMappings(rules, mappings.transforms, record, trace);
+      sampled += records.length;
+    }
+
+    console.log(`\n📋 ${report} – ${sampled} sample record(s) for ${tenant}`);
+    if (!sampled) continue;
+    console.table(Object.entries(rules).map(([column, rule]) => {
+      const counts = trace.get(column) || new Map();
+      const matched = [...counts.entries()]
+        .filter(([what]) => what !== 'default')
+        .map(([what, n]) => `${typeof what === 'number' ? describeSource(rule.paths[what]) : what} ×${n}`)
+        .join('; ');
+      return { column, matched: matched || '—', empty: counts.get('default') || 0 };
+    }));
+  }
+}
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.response?.data || err.stack || err.message);
+    process.exit(1);
+  });
+}
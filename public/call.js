@@ -0,0 +1,168 @@
+// call.js
+// Call detail permalink page – /calls/:callId?account=<tenant>&at=<ISO>
+
+/* global axios */
+const params = new URLSearchParams(window.location.search);
+const callId = decodeURIComponent(window.location.pathname.split('/').pop());
+const account = params.get('account') || localStorage.getItem('selectedTenant') || '';
+
+let timezone = 'Asia/Dubai'; // replaced by the account's zone from /api/auth/me
+const errorBox = document.getElementById('errorBox');
+const loader = document.getElementById('loader');
+
+const show = el => el.classList.remove('is-hidden');
+const hide = el => el.classList.add('is-hidden');
+
+axios.interceptors.response.use(
+  res => res,
+  err => {
+    if (err.response?.status === 401) {
+      window.location.href = `/login.html?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+    }
+    return Promise.reject(err);
+  }
+);
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Seconds, milliseconds or microseconds → the account's zone, like the reports table
+function epochToLocal(value) {
+  const n = Number(value);
+  if (!value || Number.isNaN(n)) return '';
+  const ms = n > 1_000_000_000_000_000 ? n / 1000 : n < 4102444800 ? n * 1000 : n;
+  return new Date(ms).toLocaleString('en-GB', { timeZone: timezone });
+}
+
+function secondsToHMS(sec) {
+  const total = parseInt(sec, 10);
+  if (Number.isNaN(total)) return '';
+  const h = Math.floor(total / 3600).toString().padStart(2, '0');
+  const m = Math.floor((total % 3600) / 60).toString().padStart(2, '0');
+  const s = (total % 60).toString().padStart(2, '0');
+  return `${h}:${m}:${s}`;
+}
+
+function fieldRows(rows) {
+  return `<tbody>${rows
+    .filter(([, v]) => v !== null && v !== undefined && v !== '')
+    .map(([k, v]) => `<tr><th>${k}</th><td>${escapeHtml(v)}</td></tr>`)
+    .join('') || '<tr><td>—</td></tr>'}</tbody>`;
+}
+
+function listTable(table, columns, rows) {
+  if (!rows.length) {
+    table.innerHTML = '<tbody><tr><td class="has-text-grey">None</td></tr></tbody>';
+    return;
+  }
+  const head = `<thead><tr>${columns.map(c => `<th>${c.label}</th>`).join('')}</tr></thead>`;
+  const body = rows.map(r => `<tr>${columns.map(c => `<td>${c.html ? c.html(r) : escapeHtml(c.value(r))}</td>`).join('')}</tr>`).join('');
+  table.innerHTML = `${head}<tbody>${body}</tbody>`;
+}
+
+function callLink(id, startedAt) {
+  const query = new URLSearchParams({ account });
+  if (startedAt) query.set('at', new Date(startedAt * 1000).toISOString());
+  return `/calls/${encodeURIComponent(id)}?${query}`;
+}
+
+function render(call, user) {
+  const s = call.summary;
+  document.getElementById('callMeta').textContent =
+    `${account} · ${call.report} · ${epochToLocal(s.event_time)} (${timezone})`;
+
+  document.getElementById('summaryTable').innerHTML = fieldRows([
+    ['Direction', s.direction],
+    ['Caller', [s.caller_id_number, s.caller_id_name].filter(Boolean).join(' – ')],
+    ['Callee', [s.callee_id_number, s.callee_id_name].filter(Boolean).join(' – ')],
+    ['Started', epochToLocal(s.event_time)],
+    ['Answered', epochToLocal(s.answered_time)],
+    ['Ended', epochToLocal(s.hangup_time)],
+    ['Wait', secondsToHMS(s.wait_duration)],
+    ['Talk', secondsToHMS(s.talk_duration)],
+    ['Queue', s.queue_name],
+    ['Campaign', s.campaign_name],
+    ['Agent', [s.agent_name, s.agent_extension].filter(Boolean).join(' – ')],
+    ['Status', s.status]
+  ]);
+
+  document.getElementById('dispositionTable').innerHTML = fieldRows([
+    ['Disposition', s.disposition],
+    ['Sub-disposition 1', s.sub_disposition_1],
+    ['Sub-disposition 2', s.sub_disposition_2]
+  ]);
+  document.getElementById('followUpNotes').textContent = s.follow_up_notes || '—';
+
+  // Recordings are restricted to supervisors and admins on the server
+  if (s.recording_id && user?.role !== 'agent') {
+    document.getElementById('recordingPlayer').src =
+      `/api/recordings/${encodeURIComponent(s.recording_id)}?account=${encodeURIComponent(account)}`;
+    show(document.getElementById('recordingBox'));
+  }
+
+  listTable(document.getElementById('journeyTable'), [
+    { label: 'Time', value: step => epochToLocal(step.at) },
+    { label: 'Step', html: step => `<span class="tag is-light">${escapeHtml(step.type.replace(/_/g, ' '))}</span>` },
+    { label: 'Detail', value: step => `${step.label}${step.durationSec ? ` (${secondsToHMS(step.durationSec)})` : ''}` }
+  ], call.journey?.steps || []);
+
+  listTable(document.getElementById('agentHistoryTable'), [
+    { label: 'Attempt', value: h => epochToLocal(h.called_time || h.last_attempt) },
+    { label: 'Name', value: h => `${h.first_name || ''} ${h.last_name || ''}`.trim() || h.agent_name },
+    { label: 'Extension', value: h => h.ext || h.extension },
+    { label: 'Type', value: h => h.type },
+    { label: 'Event', value: h => h.event },
+    { label: 'Connected', value: h => (h.connected === 'True' || h.connected === true ? 'Yes' : 'No') },
+    { label: 'Queue', value: h => h.queue_name }
+  ], call.agentHistory);
+
+  listTable(document.getElementById('queueHistoryTable'), [
+    { label: 'Time', value: h => epochToLocal(h.ts) },
+    { label: 'Queue', value: h => h.queue_name }
+  ], call.queueHistory);
+
+  document.getElementById('relatedNumber').textContent = call.number || 'the same number';
+  listTable(document.getElementById('relatedTable'), [
+    { label: 'Time', value: r => epochToLocal(r.startedAt) },
+    { label: 'Direction', value: r => r.direction },
+    { label: 'From → To', value: r => `${r.caller || '?'} → ${r.callee || '?'}` },
+    { label: 'Talk', value: r => secondsToHMS(r.talkSec) },
+    { label: 'Answered', value: r => (r.answered ? 'Yes' : 'No') },
+    { label: 'Call', html: r => `<a href="${callLink(r.id, r.startedAt)}">${escapeHtml(r.id)}</a>` }
+  ], call.related);
+
+  document.getElementById('rawRecord').textContent = JSON.stringify(call.record, null, 2);
+  show(document.getElementById('callDetail'));
+}
+
+async function loadCall() {
+  document.getElementById('callId').textContent = callId;
+  document.title = `Shams Reports – Call ${callId}`;
+  try {
+    const [me, res] = await Promise.all([
+      axios.get('/api/auth/me'),
+      axios.get(`/api/calls/${encodeURIComponent(callId)}`, {
+        params: { account, at: params.get('at') || undefined, start: params.get('start') || undefined, end: params.get('end') || undefined }
+      })
+    ]);
+    timezone = me.data.timezones?.[account] || me.data.defaultTimezone || timezone;
+    document.getElementById('userName').textContent = me.data.user.username;
+    document.getElementById('userRole').textContent = me.data.user.role;
+    show(document.getElementById('userBox'));
+    render(res.data.call, me.data.user);
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+  } finally {
+    hide(loader);
+  }
+}
+
+document.getElementById('copyLinkBtn').addEventListener('click', async e => {
+  await navigator.clipboard.writeText(window.location.href);
+  e.target.textContent = 'Link copied';
+  setTimeout(() => { e.target.textContent = 'Copy link'; }, 2000);
+});
+
+loadCall();
@@ -0,0 +1,34 @@
+// login.js
+
+/* global axios */
+const loginForm = document.getElementById('loginForm');
+const loginBtn = document.getElementById('loginBtn');
+const loginError = document.getElementById('errorBox');
+
+// Only follow same-origin paths from ?next= to avoid open redirects
+// (browsers read `/\host` as `//host`, so resolve before comparing origins)
+function nextUrl() {
+  const next = new URLSearchParams(window.location.search).get('next');
+  if (!next || !next.startsWith('/')) return '/';
+  const url = new URL(next, window.location.origin);
+  return url.origin === window.location.origin ? url.pathname + url.search + url.hash : '/';
+}
+
+loginForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  loginError.classList.add('is-hidden');
+  loginBtn.disabled = true;
+
+  try {
+    await axios.post('/api/auth/login', {
+      username: document.getElementById('username').value.trim(),
+      password: document.getElementById('password').value
+    });
+    window.location.href = nextUrl();
+  } catch (err) {
+    loginError.textContent = err.response?.data?.error || err.message;
+    loginError.classList.remove('is-hidden');
+  } finally {
+    loginBtn.disabled = false;
+  }
+});
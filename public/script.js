@@ -8,7 +8,36 @@ const table = document.getElementById('resultTable');
 const fetchBtn = document.getElementById('fetchBtn');
 const filtersGrid = document.getElementById('filtersGrid');
 const statsEl = document.getElementById('stats');
+const csvBtn = document.getElementById('csvBtn');
+const xlsxBtn = document.getElementById('xlsxBtn');
+const progressBox = document.getElementById('progressBox');
+const progressBar = document.getElementById('fetchProgress');
+const progressText = document.getElementById('progressText');
+const cancelBtn = document.getElementById('cancelBtn');
+const jobBtn = document.getElementById('jobBtn');
+const jobsBox = document.getElementById('jobsBox');
+const jobsTable = document.getElementById('jobsTable');
+const groupLegsToggle = document.getElementById('groupLegs');
 let tenantAccount; // Global variable for recording URL construction
+let currentUser = null; // Signed-in dashboard user ({ username, role })
+
+// Display zone per tenant as resolved by the server (user setting → tenant → default)
+let tenantTimezones = {};
+let defaultTimezone = 'Asia/Dubai';
+
+// Parameters of the last successful fetch – reused by the CSV export
+let lastQuery = null;
+
+// The fetch in flight; a new Fetch (or Cancel) aborts it, which also stops
+// the server-side upstream paging for it
+let currentFetch = null;
+
+// Last data handed to renderTable – re-rendered when the leg grouping changes
+let lastReportData = null;
+
+// Agent status is paged by the server (start_key); keep what we have so far
+let agentRows = [];
+let agentNextKey = null;
 
 // Store original data for filtering
 let originalData = [];
@@ -34,12 +63,248 @@ const RAW_COLUMNS = new Set([
 // Columns that are durations in seconds
 const DURATION_COLUMNS = new Set([
   'wait_duration',
-  'talk_duration'
+  'talk_duration',
+  'login_duration',
+  'ready_duration',
+  'paused_duration'
 ]);
 
+// Curated column sets per report type; other reports show every field
+const REPORT_COLUMNS = {
+  cdrs: [
+    's_no',
+    'type_direction',
+    'queue_name',
+    'campaign_name',
+    'called_time',
+    'caller_id_number',
+    'caller_id_name',
+    'callee_id_number',
+    'callee_id_name',
+    'answered_time',
+    'hangup_time',
+    'wait_duration',
+    'talk_duration',
+    'agent_disposition',
+    'sub_disposition_1',
+    'sub_disposition_2',
+    'follow_up_notes',
+    'status',
+    'campaign_type',
+    'agent_history',
+    'queue_history',
+    'recording',
+    'agent_name',
+    'agent_ext',
+    'country',
+    'call_id'
+  ],
+  queueCalls: [
+    's_no',
+    'called_time',
+    'queue_name',
+    'caller_id_number',
+    'caller_id_name',
+    'callee_id_number',
+    'answered_time',
+    'hangup_time',
+    'wait_duration',
+    'talk_duration',
+    'abandoned',
+    'agent_attempts',
+    'agent_name',
+    'agent_ext',
+    'agent_disposition',
+    'sub_disposition_1',
+    'sub_disposition_2',
+    'agent_history',
+    'queue_history',
+    'recording',
+    'country',
+    'call_id'
+  ],
+  queueOutboundCalls: [
+    's_no',
+    'called_time',
+    'queue_name',
+    'agent_name',
+    'agent_ext',
+    'caller_id_number',
+    'callee_id_number',
+    'answered_time',
+    'hangup_time',
+    'wait_duration',
+    'talk_duration',
+    'agent_hangup',
+    'agent_disposition',
+    'sub_disposition_1',
+    'sub_disposition_2',
+    'agent_history',
+    'queue_history',
+    'recording',
+    'country',
+    'call_id'
+  ],
+  campaignsActivity: [
+    's_no',
+    'called_time',
+    'campaign_name',
+    'campaign_type',
+    'lead_name',
+    'lead_number',
+    'agent_name',
+    'agent_ext',
+    'answered_time',
+    'hangup_time',
+    'wait_duration',
+    'talk_duration',
+    'agent_disposition',
+    'sub_disposition_1',
+    'sub_disposition_2',
+    'status',
+    'attempts',
+    'agent_history',
+    'recording',
+    'country',
+    'call_id'
+  ],
+  agentStatus: [
+    's_no',
+    'agent_name',
+    'extension',
+    'status',
+    'first_login',
+    'last_logout',
+    'login_duration',
+    'ready_duration',
+    'paused_duration',
+    'talk_duration',
+    'total_calls',
+    'answered_calls',
+    'missed_calls',
+    'inbound_calls',
+    'outbound_calls'
+  ]
+};
+
+// Queue and campaign reports: one row per call_id
+const CALL_REPORTS = new Set(['queueCalls', 'queueOutboundCalls', 'campaignsActivity']);
+
+// Report types served by /api/agents/status instead of /api/reports/:type
+const AGENT_REPORTS = new Set(['agentStatus']);
+
+function columnsFor(reportType, rows) {
+  if (reportType === 'cdrs' && groupLegsToggle.checked) return [...REPORT_COLUMNS.cdrs, 'journey'];
+  if (REPORT_COLUMNS[reportType]) return REPORT_COLUMNS[reportType];
+  const originalCols = Object.keys(rows[0] || {});
+  return ['row_index', ...originalCols.filter(col => col !== 'row_index' && col !== 's_no')];
+}
+
 function show(el) { el.classList.remove('is-hidden'); }
 function hide(el) { el.classList.add('is-hidden'); }
 
+function redirectToLogin() {
+  const next = encodeURIComponent(window.location.pathname + window.location.search);
+  window.location.href = `/login.html?next=${next}`;
+}
+
+// Any 401 from the API means the session expired – send the user to log in again
+axios.interceptors.response.use(
+  res => res,
+  err => {
+    if (err.response?.status === 401) redirectToLogin();
+    return Promise.reject(err);
+  }
+);
+
+async function loadCurrentUser() {
+  const res = await axios.get('/api/auth/me');
+  currentUser = res.data.user;
+  document.getElementById('userName').textContent = currentUser.username;
+  document.getElementById('userRole').textContent = currentUser.role;
+  show(document.getElementById('userBox'));
+  populateTenantPicker(res.data.tenants || []);
+  applyTimezones(res.data);
+  populateTimezonePicker();
+}
+
+function timezoneFor(account) {
+  return tenantTimezones[account] || defaultTimezone;
+}
+
+function applyTimezones({ timezones, defaultTimezone: fallback }) {
+  tenantTimezones = timezones || {};
+  defaultTimezone = fallback || defaultTimezone;
+  showActiveTimezone();
+}
+
+// The zone the date pickers are read in and the table is shown in
+function showActiveTimezone() {
+  const zone = timezoneFor(document.getElementById('account').value);
+  document.getElementById('activeTimezone').textContent = zone;
+  document.getElementById('timezoneSource').textContent = currentUser?.timezone ? '(your setting)' : '(account default)';
+}
+
+function populateTimezonePicker() {
+  const select = document.getElementById('userTimezone');
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  if (currentUser?.timezone && !zones.includes(currentUser.timezone)) zones.unshift(currentUser.timezone);
+  select.innerHTML = '<option value="">Account timezone</option>' +
+    zones.map(z => `<option value="${z}">${z}</option>`).join('');
+  select.value = currentUser?.timezone || '';
+}
+
+document.getElementById('userTimezone').addEventListener('change', async e => {
+  try {
+    const res = await axios.put('/api/auth/me/timezone', { timezone: e.target.value || null });
+    currentUser = res.data.user;
+    applyTimezones(res.data);
+    if (lastReportData) renderTable(lastReportData);
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+    e.target.value = currentUser?.timezone || '';
+  }
+});
+
+// Fill the account picker with the tenants this user is entitled to
+function populateTenantPicker(tenants) {
+  const select = document.getElementById('account');
+  const previous = localStorage.getItem('selectedTenant');
+  select.innerHTML = '';
+
+  if (!tenants.length) {
+    select.innerHTML = '<option value="">No accounts assigned</option>';
+    errorBox.textContent = 'Your user has no accounts assigned – ask an administrator for access.';
+    show(errorBox);
+  } else {
+    tenants.forEach(t => {
+      const option = document.createElement('option');
+      option.value = t;
+      option.textContent = t;
+      select.appendChild(option);
+    });
+    if (previous && tenants.includes(previous)) select.value = previous;
+  }
+  // A single tenant needs no choosing
+  select.disabled = tenants.length <= 1;
+  validateForm();
+}
+
+document.getElementById('logoutBtn').addEventListener('click', async () => {
+  try {
+    await axios.post('/api/auth/logout');
+  } finally {
+    window.location.href = '/login.html';
+  }
+});
+
+// Recordings are restricted to supervisors and admins on the server
+function visibleColumns(cols) {
+  if (currentUser?.role === 'agent') return cols.filter(c => c !== 'recording');
+  return cols;
+}
+
 // Convert seconds → HH:MM:SS or D days HH:MM:SS
 function secondsToHMS(sec) {
   const total = parseInt(sec, 10);
@@ -53,214 +318,38 @@ function secondsToHMS(sec) {
 }
 
 function isoToLocal(dateStr) {
-  // Always display Dubai Time (Asia/Dubai) irrespective of client or server TZ
-  return new Date(dateStr).toLocaleString('en-GB', { timeZone: 'Asia/Dubai' });
+  // Display in the account's zone irrespective of the browser's own TZ
+  const account = tenantAccount || document.getElementById('account').value;
+  return new Date(dateStr).toLocaleString('en-GB', { timeZone: timezoneFor(account) });
 }
 
-/**
- * Extract country name from a phone number
- * @param {string} phoneNumber - The phone number to parse
- * @returns {string} - Country name or empty string if not found
- */
-function extractCountryFromPhoneNumber(phoneNumber) {
-  if (!phoneNumber || typeof phoneNumber !== 'string') {
-    return '';
-  }
-
-  try {
-    // Clean the phone number
-    let cleanNumber = phoneNumber.replace(/[^\d+]/g, '');
-    
-    // Skip very short numbers
-    if (!cleanNumber.startsWith('+')) {
-      cleanNumber = cleanNumber.replace(/^0+/, '');
-    }
-    if (cleanNumber.length <= 4) {
-      return '';
-    }
-
-    // Manual checks for common patterns first (for performance)
-    if (cleanNumber.match(/^(971|00971|\+971)/)) {
-      return 'UAE';
-    }
-    if (cleanNumber.match(/^(91|0091|\+91)/)) {
-      return 'India';
-    }
-    if (cleanNumber.match(/^(20|0020|\+20)/)) {
-      return 'Egypt';
-    }
-    if (cleanNumber.match(/^(44|0044|\+44)/)) {
-      return 'United Kingdom';
-    }
-
-    // Normalize the number format for libphonenumber-js
-    if (cleanNumber.startsWith('00')) {
-      cleanNumber = '+' + cleanNumber.substring(2);
-    } else if (cleanNumber.startsWith('0') && cleanNumber.length > 10) {
-      cleanNumber = '+' + cleanNumber.substring(1);
-    } else if (!cleanNumber.startsWith('+') && cleanNumber.length > 10) {
-      cleanNumber = '+' + cleanNumber;
-    }
-
-    // Debug logging
-    console.log('Parsing phone number:', cleanNumber);
-
-    // Check if libphonenumber is available
-    if (typeof libphonenumber === 'undefined') {
-      console.warn('libphonenumber-js library not loaded');
-      return '';
-    }
-
-    // Parse the phone number using libphonenumber-js
-    const phoneNumberObj = libphonenumber.parsePhoneNumber(cleanNumber);
-    
-    if (phoneNumberObj && phoneNumberObj.country) {
-      const countryCode = phoneNumberObj.country;
-      console.log('Extracted country code:', countryCode);
-      
-      // Map common country codes to names
-      const countryNames = {
-        'AE': 'UAE',
-        'IN': 'India', 
-        'GB': 'United Kingdom',
-        'US': 'United States',
-        'CA': 'Canada',
-        'AU': 'Australia',
-        'DE': 'Germany',
-        'FR': 'France',
-        'IT': 'Italy',
-        'ES': 'Spain',
-        'NL': 'Netherlands',
-        'BE': 'Belgium',
-        'CH': 'Switzerland',
-        'AT': 'Austria',
-        'SE': 'Sweden',
-        'NO': 'Norway',
-        'DK': 'Denmark',
-        'FI': 'Finland',
-        'PL': 'Poland',
-        'CZ': 'Czech Republic',
-        'HU': 'Hungary',
-        'RO': 'Romania',
-        'BG': 'Bulgaria',
-        'HR': 'Croatia',
-        'SI': 'Slovenia',
-        'SK': 'Slovakia',
-        'LT': 'Lithuania',
-        'LV': 'Latvia',
-        'EE': 'Estonia',
-        'IE': 'Ireland',
-        'PT': 'Portugal',
-        'GR': 'Greece',
-        'TR': 'Turkey',
-        'RU': 'Russia',
-        'JP': 'Japan',
-        'KR': 'South Korea',
-        'CN': 'China',
-        'SG': 'Singapore',
-        'MY': 'Malaysia',
-        'TH': 'Thailand',
-        'ID': 'Indonesia',
-        'PH': 'Philippines',
-        'VN': 'Vietnam',
-        'BD': 'Bangladesh',
-        'PK': 'Pakistan',
-        'LK': 'Sri Lanka',
-        'NP': 'Nepal',
-        'AF': 'Afghanistan',
-        'IR': 'Iran',
-        'IQ': 'Iraq',
-        'SA': 'Saudi Arabia',
-        'KW': 'Kuwait',
-        'QA': 'Qatar',
-        'BH': 'Bahrain',
-        'OM': 'Oman',
-        'JO': 'Jordan',
-        'LB': 'Lebanon',
-        'SY': 'Syria',
-        'IL': 'Israel',
-        'EG': 'Egypt',
-        'LY': 'Libya',
-        'TN': 'Tunisia',
-        'DZ': 'Algeria',
-        'MA': 'Morocco',
-        'ZA': 'South Africa',
-        'NG': 'Nigeria',
-        'KE': 'Kenya',
-        'GH': 'Ghana',
-        'ET': 'Ethiopia',
-        'UG': 'Uganda',
-        'TZ': 'Tanzania',
-        'ZW': 'Zimbabwe',
-        'BW': 'Botswana',
-        'ZM': 'Zambia',
-        'MW': 'Malawi',
-        'MZ': 'Mozambique',
-        'MG': 'Madagascar',
-        'MU': 'Mauritius',
-        'SC': 'Seychelles',
-        'BR': 'Brazil',
-        'AR': 'Argentina',
-        'CL': 'Chile',
-        'CO': 'Colombia',
-        'PE': 'Peru',
-        'VE': 'Venezuela',
-        'UY': 'Uruguay',
-        'PY': 'Paraguay',
-        'BO': 'Bolivia',
-        'EC': 'Ecuador',
-        'GY': 'Guyana',
-        'SR': 'Suriname',
-        'MX': 'Mexico',
-        'GT': 'Guatemala',
-        'BZ': 'Belize',
-        'SV': 'El Salvador',
-        'HN': 'Honduras',
-        'NI': 'Nicaragua',
-        'CR': 'Costa Rica',
-        'PA': 'Panama',
-        'CU': 'Cuba',
-        'JM': 'Jamaica',
-        'HT': 'Haiti',
-        'DO': 'Dominican Republic',
-        'TT': 'Trinidad and Tobago',
-        'BB': 'Barbados',
-        'GD': 'Grenada',
-        'LC': 'Saint Lucia',
-        'VC': 'Saint Vincent and the Grenadines',
-        'AG': 'Antigua and Barbuda',
-        'KN': 'Saint Kitts and Nevis',
-        'DM': 'Dominica',
-        'BS': 'Bahamas',
-        'BM': 'Bermuda'
-      };
-      
-      return countryNames[countryCode] || countryCode;
-    } else {
-      console.log('No country found for number:', cleanNumber);
-    }
-    
-  } catch (error) {
-    const cleanNum = phoneNumber.replace(/[\D]/g, '');
-    if (cleanNum.length > 4) {
-      console.warn(`Failed to parse phone number: ${phoneNumber}`, error.message);
-    }
-  }
-  
-  return '';
+// Offset in ms between UTC and wall-clock time in `tz` (same as timezones.js)
+function tzOffsetMs(ms, tz) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(ms)).map(p => [p.type, p.value])
+  );
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(ms / 1000) * 1000;
 }
 
-function inputToDubaiIso(val) {
+// datetime-local value → UTC ISO, read as wall-clock time in the account's zone
+function inputToZonedIso(val, tz = timezoneFor(document.getElementById('account').value)) {
   if (!val) return '';
   const [datePart, timePart = '00:00'] = val.split('T'); // "YYYY-MM-DD" & "HH:MM"
   const [year, month, day] = datePart.split('-').map(Number);
   const [hour, minute] = timePart.split(':').map(Number);
-  // Asia/Dubai is UTC+4 with no daylight saving; subtract 4 h to get UTC.
-  const utcMillis = Date.UTC(year, month - 1, day, hour - 4, minute);
-  return new Date(utcMillis).toISOString();
+  // Correct the offset at the resulting instant too, so DST changes land right
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - tzOffsetMs(wall, tz);
+  return new Date(wall - tzOffsetMs(guess, tz)).toISOString();
 }
 
 function renderTable(data) {
+  lastReportData = data;
   if (!data || !data.data) {
     table.innerHTML = '<caption>No data received from server.</caption>';
     hide(statsEl);
@@ -273,61 +362,14 @@ function renderTable(data) {
     return;
   }
 
-  // Store original data for filtering with added index and transformed fields
-  originalData = data.data.map((record, index) => {
-    const transformedRecord = {
-      ...record,
-      row_index: index + 1 // Add 1-based indexing
-    };
-
-    // Transform and map fields for CDR display
-    if (document.getElementById('reportType').value === 'cdrs') {
-      // Map API fields to display fields
-      transformedRecord.s_no = index + 1; // S. No
-      transformedRecord.type_direction = record.call_direction || 'Internal outbound'; // Type/Direction
-      transformedRecord.called_time = record.channel_created_time || ''; // Called Time
-      transformedRecord.queue_name = extractQueueName(record); // Queue Name
-      transformedRecord.campaign_name = extractCampaignName(record); // Campaign Name
-      transformedRecord.caller_id_number = record.caller_id_number; // Caller ID Number
-      transformedRecord.caller_id_name = record.caller_id_name; // Caller ID/Lead Name
-      transformedRecord.answered_time = calculateAnsweredTime(record); // Answered Time
-      transformedRecord.hangup_time = calculateHangupTime(record); // Hangup Time
-      transformedRecord.wait_duration = Number(record.ringing_seconds) || 0; // Wait Duration
-      transformedRecord.talk_duration = Number(record.billing_seconds) || 0; // Talk Duration
-      transformedRecord.agent_disposition = record.disposition; // Agent Disposition
-      transformedRecord.sub_disposition_1 = extractSubDisposition1(record); // Sub-disposition 1
-      transformedRecord.sub_disposition_2 = extractSubDisposition2(record); // Sub-disposition 2
-      transformedRecord.callee_id_lead_number = record.callee_id_number; // Callee ID/Lead Number
-      transformedRecord.status = mapStatus(record); // Status
-      transformedRecord.campaign_type = extractCampaignType(record); // Campaign Type
-      transformedRecord.agent_history = record.agent_history; // Agent History
-      transformedRecord.queue_history = record.queue_history; // Queue History
-      transformedRecord.recording = extractRecording(record); // Recording
-      transformedRecord.agent_name = extractAgentName(record); // Agent Name
-      transformedRecord.extension = extractExtension(record); // Extension
-      transformedRecord.country = extractCountryFromPhoneNumber(record.caller_id_number || record.callee_id_number); // Country
-      transformedRecord.follow_up_notes = record.follow_up_notes || ''; // Follow-up Notes
-
-      // Calculate talked duration if not present
-      if (!transformedRecord.talk_duration && transformedRecord.hangup_time && transformedRecord.answered_time) {
-        transformedRecord.talk_duration = transformedRecord.hangup_time - transformedRecord.answered_time;
-      }
-
-      // Calculate wait/queue duration if not present
-      if (!transformedRecord.wait_duration && transformedRecord.called_time) {
-        if (transformedRecord.answered_time) {
-          transformedRecord.wait_duration = transformedRecord.answered_time - transformedRecord.called_time;
-        } else if (transformedRecord.hangup_time) {
-          transformedRecord.wait_duration = transformedRecord.hangup_time - transformedRecord.called_time;
-        }
-      }
-    }
-
-    return transformedRecord;
-  });
+  // Rows arrive as canonical rows (recordNormalizer.js) – only index them here
+  originalData = data.data.map((row, index) => ({ ...row, row_index: index + 1, s_no: index + 1 }));
 
-  // Filter and deduplicate for CDR reports
-  if (document.getElementById('reportType').value === 'cdrs') {
+  // Grouped view: one row per call journey instead of one per leg
+  if (document.getElementById('reportType').value === 'cdrs' && groupLegsToggle.checked) {
+    originalData = groupCallLegs(originalData);
+  } else if (document.getElementById('reportType').value === 'cdrs') {
+    // Filter and deduplicate for CDR reports
     // Group by caller_id_number and callee_id_number combination to remove duplicates
     const phoneGroups = new Map();
     originalData.forEach(record => {
@@ -352,46 +394,25 @@ function renderTable(data) {
     }));
   }
 
+  // Queue and campaign reports may still carry one row per leg – keep the first per call
+  if (CALL_REPORTS.has(document.getElementById('reportType').value)) {
+    const seen = new Set();
+    originalData = originalData
+      .filter(record => {
+        if (!record.call_id) return true;
+        if (seen.has(record.call_id)) return false;
+        seen.add(record.call_id);
+        return true;
+      })
+      .map((record, index) => ({ ...record, s_no: index + 1, row_index: index + 1 }));
+  }
+
   // Initialize filteredData to originalData
   filteredData = [...originalData];
 
   // For CDRs, only show the specific fields we requested
   const reportType = document.getElementById('reportType').value;
-  let cols;
-  
-  if (reportType === 'cdrs') {
-    cols = [
-      's_no',
-      'type_direction',
-      'queue_name',
-      'campaign_name',
-      'called_time',
-      'caller_id_number',
-      'caller_id_name',
-      'callee_id_number',
-      'callee_id_name',
-      'answered_time',
-      'hangup_time',
-      'wait_duration',
-      'talk_duration',
-      'agent_disposition',
-      'sub_disposition_1',
-      'sub_disposition_2',
-      'follow_up_notes',
-      'status',
-      'campaign_type',
-      'agent_history',
-      'queue_history',
-      'recording',
-      'agent_name',
-      'extension',
-      'country',
-      'call_id'
-    ];
-  } else {
-    const originalCols = Object.keys(originalData[0] || {});
-    cols = ['row_index', ...originalCols.filter(col => col !== 'row_index')];
-  }
+  const cols = columnsFor(reportType, originalData);
 
   // Generate search filters based on columns
   generateSearchFilters(cols, originalData);
@@ -528,10 +549,14 @@ function generateSearchFilters(columns, data) {
   // Define specific filters to create
   const specificFilters = [
     { key: 'type_direction', label: 'Type/Direction', type: 'select' },
+    { key: 'queue_name', label: 'Queue', type: 'select' },
+    { key: 'campaign_name', label: 'Campaign', type: 'select' },
+    { key: 'abandoned', label: 'Abandoned', type: 'select' },
     { key: 'agent_disposition', label: 'Agent Disposition', type: 'select' },
     { key: 'sub_disposition_1', label: 'Sub Disposition 1', type: 'select' },
     { key: 'sub_disposition_2', label: 'Sub Disposition 2', type: 'select' },
     { key: 'agent_ext', label: 'Extension', type: 'text' },
+    { key: 'extension', label: 'Extension', type: 'text' },
     { key: 'agent_name', label: 'Agent Name', type: 'text' },
     { key: 'campaign_type', label: 'Campaign Type', type: 'select' },
     { key: 'follow_up_notes', label: 'Follow Up Notes', type: 'text' },
@@ -627,7 +652,7 @@ function applyFilters() {
   activeFilters = {};
   
   // Handle regular filters
-  const regularFilters = ['type_direction', 'agent_disposition', 'sub_disposition_1', 'sub_disposition_2', 'agent_ext', 'agent_name', 'campaign_type', 'follow_up_notes'];
+  const regularFilters = ['type_direction', 'queue_name', 'campaign_name', 'abandoned', 'agent_disposition', 'sub_disposition_1', 'sub_disposition_2', 'agent_ext', 'extension', 'agent_name', 'campaign_type', 'follow_up_notes'];
   regularFilters.forEach(column => {
     const filterElement = document.getElementById(`filter_${column}`);
     if (filterElement && filterElement.value.trim()) {
@@ -670,7 +695,8 @@ function applyFilters() {
     if (phoneSearchValue) {
       const phoneFields = [
         String(row.caller_id_number || '').toLowerCase(),
-        String(row.callee_id_number || '').toLowerCase()
+        String(row.callee_id_number || '').toLowerCase(),
+        String(row.lead_number || '').toLowerCase()
       ];
       
       phoneFilterPassed = phoneFields.some(field => field.includes(phoneSearchValue));
@@ -681,41 +707,7 @@ function applyFilters() {
   
   // Define columns for rendering
   const reportType = document.getElementById('reportType').value;
-  let cols;
-  
-  if (reportType === 'cdrs') {
-    cols = [
-      's_no',
-      'type_direction',
-      'queue_name',
-      'campaign_name',
-      'called_time',
-      'caller_id_number',
-      'caller_id_name',
-      'callee_id_number',
-      'callee_id_name',
-      'answered_time',
-      'hangup_time',
-      'wait_duration',
-      'talk_duration',
-      'agent_disposition',
-      'sub_disposition_1',
-      'sub_disposition_2',
-      'follow_up_notes',
-      'status',
-      'campaign_type',
-      'agent_history',
-      'queue_history',
-      'recording',
-      'agent_name',
-      'extension',
-      'country',
-      'call_id'
-    ];
-  } else {
-    const originalCols = Object.keys(originalData[0] || {});
-    cols = ['row_index', ...originalCols.filter(col => col !== 'row_index')];
-  }
+  const cols = columnsFor(reportType, originalData);
   
   // Update stats and re-render table
   updateStats(filteredData.length, originalData.length);
@@ -735,41 +727,7 @@ function clearAllFilters() {
   filteredData = [...originalData];
   
   const reportType = document.getElementById('reportType').value;
-  let cols;
-  
-  if (reportType === 'cdrs') {
-    cols = [
-      's_no',
-      'type_direction',
-      'queue_name',
-      'campaign_name',
-      'called_time',
-      'caller_id_number',
-      'caller_id_name',
-      'callee_id_number',
-      'callee_id_name',
-      'answered_time',
-      'hangup_time',
-      'wait_duration',
-      'talk_duration',
-      'agent_disposition',
-      'sub_disposition_1',
-      'sub_disposition_2',
-      'follow_up_notes',
-      'status',
-      'campaign_type',
-      'agent_history',
-      'queue_history',
-      'recording',
-      'agent_name',
-      'extension',
-      'country',
-      'call_id'
-    ];
-  } else {
-    const originalCols = Object.keys(originalData[0] || {});
-    cols = ['row_index', ...originalCols.filter(col => col !== 'row_index')];
-  }
+  const cols = columnsFor(reportType, originalData);
   
   updateStats(filteredData.length, originalData.length);
   renderTableData(cols, filteredData);
@@ -820,41 +778,85 @@ function validateForm() {
   
   const isValid = account && start && end && reportType && recordLimit && recordLimit > 0;
   fetchBtn.disabled = !isValid;
+  jobBtn.disabled = !isValid || AGENT_REPORTS.has(reportType);
 }
 
 // Add event listeners to form fields to validate on change
-document.getElementById('account').addEventListener('input', validateForm);
+document.getElementById('account').addEventListener('change', () => {
+  localStorage.setItem('selectedTenant', document.getElementById('account').value);
+  showActiveTimezone();
+  validateForm();
+});
 document.getElementById('start').addEventListener('change', validateForm);
 document.getElementById('end').addEventListener('change', validateForm);
 document.getElementById('reportType').addEventListener('change', validateForm);
 document.getElementById('recordLimit').addEventListener('input', validateForm);
 
 // Initial validation on page load
-document.addEventListener('DOMContentLoaded', validateForm);
-
-form.addEventListener('submit', async e => {
-  e.preventDefault();
-  hide(errorBox);
-  show(loadingEl);
-  table.innerHTML = '';
+document.addEventListener('DOMContentLoaded', () => {
+  validateForm();
+  loadCurrentUser()
+    .then(() => Promise.all([loadJobs(), loadSchemaChanges()]))
+    .catch(err => console.error('Failed to load session:', err));
+});
 
+// Account, range and report type as picked in the form
+function formRange() {
   const account = document.getElementById('account').value.trim();
-  const start = inputToDubaiIso(document.getElementById('start').value);
+  const start = inputToZonedIso(document.getElementById('start').value);
   // Make end-time inclusive (the backend treats endDate as exclusive < end).
   // We therefore add 59 seconds so anything happening within the selected minute
-  const endDate = new Date(inputToDubaiIso(document.getElementById('end').value));
+  const endDate = new Date(inputToZonedIso(document.getElementById('end').value));
   endDate.setSeconds(endDate.getSeconds() + 59);
   const end = endDate.toISOString();
   const reportType = document.getElementById('reportType').value;
+  return { account, start, end, reportType };
+}
+
+function isAbortError(err) {
+  return axios.isCancel(err) || err?.name === 'AbortError' || err?.name === 'CanceledError';
+}
+
+form.addEventListener('submit', async e => {
+  e.preventDefault();
+  currentFetch?.abort();
+  const controller = new AbortController();
+  currentFetch = controller;
+  const { signal } = controller;
+
+  hide(errorBox);
+  show(loadingEl);
+  show(cancelBtn);
+  table.innerHTML = '';
+  csvBtn.disabled = true;
+  xlsxBtn.disabled = true;
+
+  const { account, start, end, reportType } = formRange();
   const limit = parseInt(document.getElementById('recordLimit').value, 10);
+  const source = document.getElementById('dataSource').value;
 
-  console.log('Request params:', { account, start, end, reportType, limit }); // Debug log
+  console.log('Request params:', { account, start, end, reportType, limit, source }); // Debug log
 
   try {
     tenantAccount = account; // Assign tenantAccount here
-    const res = await axios.get(`/api/reports/${reportType}`, {
-      params: { account, start, end, limit }
-    });
+    let res;
+    agentNextKey = null;
+    if (AGENT_REPORTS.has(reportType)) {
+      res = await axios.get('/api/agents/status', { params: { account, start, end }, signal });
+      agentRows = res.data.data || [];
+      agentNextKey = res.data.next || null;
+    } else if (source === 'live') {
+      // Live fetches stream in batches and render as they arrive
+      hide(loadingEl);
+      res = { data: { data: await streamReport(reportType, { account, start, end, limit }, signal) } };
+    } else {
+      // Local history is served from the MySQL warehouse kept current by the sync worker
+      const url = source === 'local' ? `/api/reports/${reportType}/history` : `/api/reports/${reportType}`;
+      res = await axios.get(url, {
+        params: { account, start, end, limit },
+        signal
+      });
+    }
     console.log('Full API response:', res); // Debug log
     console.log('Response data:', res.data); // Debug log
     console.log('Response data type:', typeof res.data); // Debug log
@@ -867,87 +869,424 @@ form.addEventListener('submit', async e => {
     }
     
     renderTable(res.data);
+    lastQuery = { account, start, end, reportType };
+    renderAgentPager();
+    // Exports cover the report endpoints only
+    csvBtn.disabled = AGENT_REPORTS.has(reportType);
+    xlsxBtn.disabled = AGENT_REPORTS.has(reportType);
   } catch (err) {
+    // A newer fetch or the Cancel button aborted this one
+    if (isAbortError(err)) return;
     console.error('Request failed:', err); // Debug log
     errorBox.textContent = err.response?.data?.error || err.message;
     show(errorBox);
   } finally {
-    hide(loadingEl);
+    if (currentFetch === controller) {
+      currentFetch = null;
+      hide(loadingEl);
+      hide(progressBox);
+      hide(cancelBtn);
+    }
   }
 });
 
-function extractSubDisposition1(record) {
-  // Extract from subdisposition first level, then fallback to fonoUC and custom fields
-  if (record.subdisposition?.name) {
-    return record.subdisposition.name;
+cancelBtn.addEventListener('click', () => {
+  currentFetch?.abort();
+  currentFetch = null;
+  hide(loadingEl);
+  hide(progressBox);
+  hide(cancelBtn);
+});
+
+// Read an NDJSON response body one parsed line at a time
+async function* readNdjson(response) {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
   }
-  if (record.fonoUC?.subdisposition?.name) {
-    return record.fonoUC.subdisposition.name;
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+// Progress bar over the time windows the server walks; the estimate assumes
+// the remaining windows take as long as the finished ones did on average
+function updateProgress(p) {
+  const total = p.slices || 1;
+  const left = Math.max(0, total - p.slicesDone);
+  progressBar.value = Math.round((p.slicesDone / total) * 100);
+
+  let text = `${p.records.toLocaleString()} records · window ${p.slicesDone}/${total}`;
+  if (left) {
+    text += ` · ${left} window${left > 1 ? 's' : ''} left`;
+    if (p.slicesDone) text += ` (~${Math.ceil((p.elapsedMs / p.slicesDone) * left / 1000)}s)`;
   }
-  return record.sub_disposition_1 || 
-         record.custom_channel_vars?.subdisposition1 || 
-         '';
+  text += ` · ${p.upstreamCalls} upstream call${p.upstreamCalls === 1 ? '' : 's'}`;
+  if (p.cachedWindows) text += ` · ${p.cachedWindows} from cache`;
+  progressText.textContent = text;
 }
 
-function extractSubDisposition2(record) {
-  // Extract from subdisposition second level, then fallback to fonoUC and custom fields
-  if (record.subdisposition?.subdisposition?.name) {
-    return record.subdisposition.subdisposition.name;
+const RENDER_INTERVAL = 750;
+
+/**
+ * Fetch a report through /api/reports/:type/stream, re-rendering the table
+ * (at most every RENDER_INTERVAL ms) while batches arrive.
+ * @returns {Promise<object[]>} all records once the stream is done.
+ */
+async function streamReport(reportType, params, signal) {
+  const res = await fetch(`/api/reports/${reportType}/stream?${new URLSearchParams(params)}`, { credentials: 'same-origin', signal });
+  if (res.status === 401) {
+    redirectToLogin();
+    throw new Error('Session expired');
   }
-  if (record.fonoUC?.subdisposition?.subdisposition?.name) {
-    return record.fonoUC.subdisposition.subdisposition.name;
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `Request failed with status ${res.status}`);
+  }
+
+  progressBar.removeAttribute('value');
+  progressText.textContent = 'Waiting for the first window…';
+  show(progressBox);
+
+  const rows = [];
+  let lastRender = 0;
+  for await (const event of readNdjson(res)) {
+    if (event.type === 'records') {
+      rows.push(...event.data);
+    } else if (event.type === 'progress') {
+      updateProgress(event);
+      if (rows.length && Date.now() - lastRender >= RENDER_INTERVAL) {
+        renderTable({ data: rows });
+        lastRender = Date.now();
+      }
+    } else if (event.type === 'error') {
+      throw new Error(event.details ? `${event.error}: ${event.details}` : event.error);
+    } else if (event.type === 'done') {
+      console.log(`Streamed ${event.total} records with ${event.upstreamCalls} upstream calls in ${event.durationMs}ms`);
+    }
   }
-  return record.sub_disposition_2 || 
-         record.custom_channel_vars?.subdisposition2 || 
-         '';
+  return rows;
+}
+
+// Search box values keyed like the server-side export filters
+function currentFilterValues() {
+  const values = {};
+  filtersGrid.querySelectorAll('input[id^="filter_"], select[id^="filter_"]').forEach(el => {
+    if (el.value.trim()) values[el.id.replace(/^filter_/, '')] = el.value.trim();
+  });
+  return values;
+}
+
+// Download CSV / Excel: the server re-fetches the same range and streams the
+// file, applying the current search filters, so the browser never builds it in memory.
+function downloadExport(format) {
+  if (!lastQuery) return;
+
+  const params = new URLSearchParams({ ...lastQuery, format, ...currentFilterValues() });
+  params.delete('reportType');
+
+  // A plain navigation lets the browser stream the attachment straight to disk
+  window.location.href = `/api/reports/${lastQuery.reportType}/export?${params}`;
+}
+
+// "Load more agents" below the table while the server reports another page
+function renderAgentPager() {
+  const nav = document.getElementById('pageNav');
+  nav.innerHTML = '<span></span><span></span><span></span>';
+  if (!lastQuery || !AGENT_REPORTS.has(lastQuery.reportType) || !agentNextKey) return;
+
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'button is-small is-light';
+  btn.textContent = 'Load more agents';
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    try {
+      const { account, start, end } = lastQuery;
+      const res = await axios.get('/api/agents/status', { params: { account, start, end, start_key: agentNextKey } });
+      agentRows = agentRows.concat(res.data.data || []);
+      agentNextKey = res.data.next || null;
+      renderTable({ data: agentRows });
+      renderAgentPager();
+    } catch (err) {
+      errorBox.textContent = err.response?.data?.error || err.message;
+      show(errorBox);
+      btn.disabled = false;
+    }
+  });
+  nav.children[1].appendChild(btn);
 }
 
-function extractQueueName(record) {
-  // Extract queue name from fonoUC.cc.queue_name or custom fields
-  return record.fonoUC?.cc?.queue_name || 
-         record.fonoUC?.cc_campaign?.campaign?.queue_name || 
-         record.queue_name || 
-         '';
+// ---------------------------------------------------------------------------
+// Call journeys – legs grouped by the same link ids callJourney.js uses
+
+// One row per call: the earliest leg, with the number of legs stitched to it
+function groupCallLegs(records) {
+  const parent = records.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const owner = new Map();
+  records.forEach((record, i) => {
+    (record.link_ids || []).forEach(id => {
+      if (owner.has(id)) parent[find(i)] = find(owner.get(id));
+      else owner.set(id, i);
+    });
+  });
+
+  const groups = new Map();
+  records.forEach((record, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(record);
+  });
+  return [...groups.values()]
+    .map(legs => {
+      const first = legs.reduce((a, b) => (epochSeconds(b.called_time) < epochSeconds(a.called_time) ? b : a));
+      return { ...first, legs: legs.length };
+    })
+    .map((record, index) => ({ ...record, s_no: index + 1, row_index: index + 1 }));
 }
 
-function extractCampaignName(record) {
-  // Extract campaign name from fonoUC.cc_campaign.campaign.name or custom fields
-  return record.fonoUC?.cc_campaign?.campaign?.name || record.campaign_name || '';
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
 }
 
-function calculateAnsweredTime(record) {
-  // Extract answered time from fonoUC.cc_outbound.answered_time first, then fallback to other locations
-  return record.fonoUC?.cc_outbound?.answered_time || 
-         record.channel_answered_time || 
-         record.answered_time || 
-         '';
+function journeyHtml(journey) {
+  const t = journey.totals;
+  const when = at => (at ? isoToLocal(new Date(at * 1000).toISOString()) : '');
+  const summary = [
+    ['Caller', journey.caller],
+    ['Callee', journey.callee],
+    ['Duration', secondsToHMS(t.durationSec)],
+    ['Wait', secondsToHMS(t.waitSec)],
+    ['Talk', secondsToHMS(t.talkSec)],
+    ['Queues', t.queues.join(', ')],
+    ['Agent attempts', t.agentAttempts],
+    ['Answered by', t.agentsAnswered.join(', ') || (t.abandoned ? 'Abandoned' : '—')],
+    ['Transfers', t.transfers],
+    ['Legs', t.legs]
+  ].map(([k, v]) => `<tr><th>${k}</th><td>${escapeHtml(v)}</td></tr>`).join('');
+
+  const steps = journey.steps.map(s => `<tr>
+      <td>${when(s.at)}</td>
+      <td><span class="tag is-light">${escapeHtml(s.type.replace(/_/g, ' '))}</span></td>
+      <td>${escapeHtml(s.label)}${s.durationSec ? ` (${secondsToHMS(s.durationSec)})` : ''}</td>
+    </tr>`).join('');
+
+  const legs = journey.legs.map(l => `<tr>
+      <td>${escapeHtml(l.report)}</td>
+      <td>${when(l.started)}</td>
+      <td>${escapeHtml(l.caller)} → ${escapeHtml(l.callee)}</td>
+      <td>${escapeHtml(l.agent)}</td>
+      <td>${escapeHtml(l.call_id)}</td>
+    </tr>`).join('');
+
+  return `<h3 class="title is-6">Call journey</h3>
+    <table class="table is-narrow history-table"><tbody>${summary}</tbody></table>
+    <h4 class="subtitle is-6 mt-3 mb-1">Timeline</h4>
+    <table class="table is-narrow is-fullwidth history-table"><tbody>${steps}</tbody></table>
+    <h4 class="subtitle is-6 mt-3 mb-1">Legs</h4>
+    <table class="table is-narrow is-fullwidth history-table">
+      <thead><tr><th>Report</th><th>Started</th><th>From → To</th><th>Agent</th><th>Call ID</th></tr></thead>
+      <tbody>${legs}</tbody>
+    </table>`;
 }
 
-function calculateHangupTime(record) {
-  // Extract hangup time from fonoUC campaign timestamps or fallback to other fields
-  const timestamps = record.fonoUC?.cc_campaign?.lead?.lead_campaign?.timestamps;
-  if (timestamps) {
-    // Prefer lead_hangup_time, fallback to agent_hangup_time
-    return timestamps.lead_hangup_time || timestamps.agent_hangup_time || '';
+// Permalink of a row's call; `at` lets the page find it without the warehouse
+function callDetailUrl(row) {
+  const query = new URLSearchParams({ account: tenantAccount });
+  const at = epochSeconds(row.called_time || row.channel_created_time || row.timestamp);
+  if (at) query.set('at', new Date(at * 1000).toISOString());
+  return `/calls/${encodeURIComponent(row.call_id)}?${query}`;
+}
+
+document.addEventListener('click', async e => {
+  const btn = e.target.closest('.journey-btn');
+  if (!btn || !btn.dataset.call || !lastQuery) return;
+  btn.classList.add('is-loading');
+  try {
+    const { account, start, end } = lastQuery;
+    const res = await axios.get(`/api/calls/${encodeURIComponent(btn.dataset.call)}/journey`, { params: { account, start, end } });
+    showModal(journeyHtml(res.data.journey));
+  } catch (err) {
+    showModal(`<p class="has-text-danger">${escapeHtml(err.response?.data?.error || err.message)}</p>`);
+  } finally {
+    btn.classList.remove('is-loading');
   }
-  
-  // Fallback to other possible locations
-  return record.channel_hangup_time || record.hangup_time || '';
+});
+
+groupLegsToggle.addEventListener('change', () => {
+  if (lastReportData && document.getElementById('reportType').value === 'cdrs') renderTable(lastReportData);
+});
+
+csvBtn.addEventListener('click', () => downloadExport('csv'));
+xlsxBtn.addEventListener('click', () => downloadExport('xlsx'));
+
+// ---------------------------------------------------------------------------
+// Background jobs – very large ranges run on the server (POST /api/jobs) and
+// are downloaded once finished, so the tab does not have to stay open
+
+const JOB_POLL_INTERVAL = 3000;
+const JOB_STATUS_TAGS = { queued: 'is-light', running: 'is-info', done: 'is-success', failed: 'is-danger', cancelled: 'is-warning' };
+let jobPollTimer = null;
+
+async function loadJobs() {
+  clearTimeout(jobPollTimer);
+  try {
+    const res = await axios.get('/api/jobs');
+    const jobs = res.data.jobs || [];
+    renderJobs(jobs);
+    if (jobs.some(j => j.status === 'queued' || j.status === 'running')) {
+      jobPollTimer = setTimeout(loadJobs, JOB_POLL_INTERVAL);
+    }
+  } catch (err) {
+    console.error('Failed to load jobs:', err);
+  }
+}
+
+function jobProgressText(job) {
+  const p = job.progress;
+  if (!p) return '';
+  let text = `${(p.rows || 0).toLocaleString()} rows`;
+  if (job.status === 'running' && p.slices) text += ` · window ${p.slicesDone}/${p.slices}`;
+  return text;
+}
+
+function jobButton(label, className, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = `button is-small ${className}`;
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function renderJobs(jobs) {
+  jobsTable.innerHTML = '';
+  if (!jobs.length) return hide(jobsBox);
+  show(jobsBox);
+
+  const head = jobsTable.createTHead().insertRow();
+  ['Submitted', 'Report', 'Account', 'Range', 'Format', 'Status', 'Progress', ''].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  });
+
+  const body = jobsTable.createTBody();
+  jobs.forEach(job => {
+    const row = body.insertRow();
+    [
+      isoToLocal(job.createdAt),
+      job.report,
+      job.tenant,
+      `${isoToLocal(job.startDate * 1000)} → ${isoToLocal(job.endDate * 1000)}`,
+      job.format.toUpperCase()
+    ].forEach(text => { row.insertCell().textContent = text; });
+
+    const tag = document.createElement('span');
+    tag.className = `tag ${JOB_STATUS_TAGS[job.status] || ''}`;
+    tag.textContent = job.status;
+    if (job.error) tag.title = job.error;
+    row.insertCell().appendChild(tag);
+    row.insertCell().textContent = job.error || jobProgressText(job);
+
+    const actions = row.insertCell();
+    if (job.status === 'done') {
+      actions.appendChild(jobButton('Download', 'is-link is-light', () => {
+        window.location.href = `/api/jobs/${job.id}/result`;
+      }));
+    }
+    const active = job.status === 'queued' || job.status === 'running';
+    actions.appendChild(jobButton(active ? 'Cancel' : 'Remove', 'is-light ml-1', async () => {
+      try {
+        await axios.delete(`/api/jobs/${job.id}`);
+      } catch (err) {
+        errorBox.textContent = err.response?.data?.error || err.message;
+        show(errorBox);
+      }
+      loadJobs();
+    }));
+  });
 }
 
-function mapStatus(record) {
-  // Map status from fonoUC.cc_campaign.lead.lead_campaign.status or custom fields
-  return record.fonoUC?.cc_campaign?.lead?.lead_campaign?.status || 
-         record.fonoUC?.status || 
-         record.status || 
-         '';
+jobBtn.addEventListener('click', async () => {
+  const { account, start, end, reportType } = formRange();
+  const format = document.getElementById('jobFormat').value;
+  hide(errorBox);
+  jobBtn.disabled = true;
+  try {
+    await axios.post('/api/jobs', {
+      report: reportType,
+      format,
+      start,
+      end,
+      filters: format === 'json' ? {} : currentFilterValues()
+    }, { params: { account } });
+    loadJobs();
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+  } finally {
+    validateForm();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Upstream schema drift – admins see unreviewed format changes (GET /api/schema)
+
+const schemaBox = document.getElementById('schemaBox');
+const schemaTable = document.getElementById('schemaTable');
+let shownSchemaIds = []; // changes on screen – only these are marked reviewed
+
+function schemaChangeText(change) {
+  if (change.type === 'envelope') return `Envelope "${change.from}" → "${change.to}"`;
+  const label = change.type === 'added' ? 'New fields' : 'Fields no longer sent';
+  return `${label}: ${change.fields.join(', ')}`;
 }
 
-function extractCampaignType(record) {
-  // Extract campaign type from fonoUC.cc_campaign.campaign.type or custom fields
-  return record.fonoUC?.cc_campaign?.campaign?.type || record.campaign_type || '';
+async function loadSchemaChanges() {
+  if (currentUser?.role !== 'admin') return;
+  try {
+    const res = await axios.get('/api/schema', { params: { unacknowledged: 1 } });
+    const changes = res.data.history || [];
+    shownSchemaIds = changes.map(change => change.id);
+    schemaTable.innerHTML = '';
+    if (!changes.length) return hide(schemaBox);
+    show(schemaBox);
+
+    const head = schemaTable.createTHead().insertRow();
+    ['Detected', 'Account', 'Report', 'Change'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      head.appendChild(th);
+    });
+    const body = schemaTable.createTBody();
+    changes.forEach(change => {
+      const row = body.insertRow();
+      [isoToLocal(change.at), change.tenant, change.report, schemaChangeText(change)]
+        .forEach(text => { row.insertCell().textContent = text; });
+    });
+  } catch (err) {
+    console.error('Failed to load schema changes:', err);
+  }
 }
 
+document.getElementById('schemaAckBtn').addEventListener('click', async () => {
+  try {
+    await axios.post('/api/schema/ack', { ids: shownSchemaIds });
+  } catch (err) {
+    errorBox.textContent = err.response?.data?.error || err.message;
+    show(errorBox);
+  }
+  loadSchemaChanges();
+});
+
 function formatQueueHistory(record) {
   // Get queue history from various possible locations
   let history = record.fonoUC?.cc_outbound?.queue_history || 
@@ -1100,92 +1439,13 @@ if (!window.__eyeDelegationAttached) {
   window.__eyeDelegationAttached = true;
 }
 
-function extractRecording(record) {
-  // Extract recording ID from multiple possible locations
-  
-  // First try custom_channel_vars.media_recording_id
-  if (record.custom_channel_vars?.media_recording_id) {
-    return record.custom_channel_vars.media_recording_id;
-  }
-  
-  // Then try custom_channel_vars.media_recordings array (first item)
-  if (Array.isArray(record.custom_channel_vars?.media_recordings) && record.custom_channel_vars.media_recordings.length > 0) {
-    return record.custom_channel_vars.media_recordings[0];
-  }
-  
-  // Fallback to fonoUC or direct fields
-  return record.fonoUC?.recording || record.recording || record.media_recording_id || record.recording_filename || '';
-}
-
-function extractAgentName(record) {
-  // Extract agent name from the first agent_history item
-  const agentHistory = record.fonoUC?.cc_outbound?.agent_history || 
-                      record.fonoUC?.agent_history || 
-                      record.agent_history || [];
-  
-  if (agentHistory.length > 0) {
-    const firstAgent = agentHistory[0];
-    if (firstAgent.first_name && firstAgent.last_name) {
-      return `${firstAgent.first_name} ${firstAgent.last_name}`;
-    }
-    return firstAgent.first_name || firstAgent.last_name || firstAgent.agent_name || '';
-  }
-  
-  // Fallback to other possible locations
-  return record.agent_name || record.fonoUC?.agent_name || '';
-}
-
-function extractExtension(record) {
-  // Extract extension from the first agent_history item
-  const agentHistory = record.fonoUC?.cc_outbound?.agent_history || 
-                      record.fonoUC?.agent_history || 
-                      record.agent_history || [];
-  
-  if (agentHistory.length > 0) {
-    const firstAgent = agentHistory[0];
-    return firstAgent.ext || firstAgent.extension || '';
-  }
-  
-  // Fallback to other possible locations
-  return record.extension || record.ext || record.fonoUC?.extension || '';
-}
-
-function extractCountry(record) {
-  // First try to get country from existing fields
-  if (record.fonoUC?.country || record.country) {
-    return record.fonoUC?.country || record.country;
-  }
-  
-  // If no country field exists, try to extract from phone numbers
-  // Try different phone number fields that might contain the number
-  const phoneFields = [
-    record.callee_id_number,
-    record.caller_id_number, 
-    record.fonoUC?.callee_id_number,
-    record.fonoUC?.caller_id_number,
-    record.destination_number,
-    record.fonoUC?.destination_number,
-    record.called_number,
-    record.fonoUC?.called_number
-  ];
-  
-  // Try each phone field until we get a country
-  for (const phoneNumber of phoneFields) {
-    if (phoneNumber) {
-      const country = extractCountryFromPhoneNumber(phoneNumber);
-      if (country) {
-        console.log(`Extracted country "${country}" from phone number: ${phoneNumber}`);
-        return country;
-      }
-    }
-  }
-  
-  return '';
-}
-
-function extractFollowUpNotes(record) {
-  // Extract follow-up notes from fonoUC or custom fields
-  return record.fonoUC?.follow_up_notes || record.follow_up_notes || '';
+// Any epoch flavour (s, ms, µs) → seconds
+function epochSeconds(value) {
+  const n = Number(value);
+  if (!value || Number.isNaN(n)) return 0;
+  if (n > 1e14) return Math.floor(n / 1e6);
+  if (n > 1e11) return Math.floor(n / 1e3);
+  return Math.floor(n);
 }
 
 function renderTableData(cols, data) {
@@ -1194,6 +1454,8 @@ function renderTableData(cols, data) {
     return;
   }
 
+  cols = visibleColumns(cols);
+
   const thead = `<thead><tr>${cols.map(c => {
     let displayName;
     if (c === 's_no') {
@@ -1218,6 +1480,8 @@ function renderTableData(cols, data) {
       displayName = 'Sub-disposition 2';
     } else if (c === 'follow_up_notes') {
       displayName = 'Follow-up Notes';
+    } else if (c === 'agent_ext') {
+      displayName = 'Extension';
     } else {
       displayName = c.replace(/_/g, ' ').toUpperCase();
     }
@@ -1298,6 +1562,16 @@ function renderTableData(cols, data) {
           return '<td></td>';
         }
         
+        // Call IDs open the shareable call detail page
+        if (c === 'call_id' && v) {
+          return `<td><a href="${callDetailUrl(row)}" target="_blank" rel="noopener">${escapeHtml(v)}</a></td>`;
+        }
+
+        // Grouped CDR view: the journey button opens the stitched timeline
+        if (c === 'journey') {
+          return `<td style="text-align: center;"><button type="button" class="button is-small is-link is-light journey-btn" data-call="${row.call_id || ''}">${row.legs} leg${row.legs === 1 ? '' : 's'}</button></td>`;
+        }
+
         // Handle queue history column
         if (c === 'queue_history') {
           return `<td style="text-align: center;">${formatQueueHistory(row)}</td>`;
@@ -1396,41 +1670,7 @@ function renderTableDataChunked(records, globalStartIdx = 0) {
   }
 
   const reportType = document.getElementById('reportType').value;
-  let cols;
-  
-  if (reportType === 'cdrs') {
-    cols = [
-      's_no',
-      'type_direction',
-      'queue_name',
-      'campaign_name',
-      'called_time',
-      'caller_id_number',
-      'caller_id_name',
-      'callee_id_number',
-      'callee_id_name',
-      'answered_time',
-      'hangup_time',
-      'wait_duration',
-      'talk_duration',
-      'agent_disposition',
-      'sub_disposition_1',
-      'sub_disposition_2',
-      'follow_up_notes',
-      'status',
-      'campaign_type',
-      'agent_history',
-      'queue_history',
-      'recording',
-      'agent_name',
-      'extension',
-      'country',
-      'call_id'
-    ];
-  } else {
-    const originalCols = Object.keys(records[0] || {});
-    cols = ['row_index', ...originalCols.filter(col => col !== 'row_index')];
-  }
+  const cols = columnsFor(reportType, records);
 
   const theadHtml = `<thead><tr>${cols.map(c => {
     let displayName;
@@ -1554,6 +1794,16 @@ function renderRowsHtml(rows, startSerial = 1, cols) {
           return '<td></td>';
         }
         
+        // Call IDs open the shareable call detail page
+        if (c === 'call_id' && v) {
+          return `<td><a href="${callDetailUrl(rec)}" target="_blank" rel="noopener">${escapeHtml(v)}</a></td>`;
+        }
+
+        // Grouped CDR view: the journey button opens the stitched timeline
+        if (c === 'journey') {
+          return `<td style="text-align: center;"><button type="button" class="button is-small is-link is-light journey-btn" data-call="${rec.call_id || ''}">${rec.legs} leg${rec.legs === 1 ? '' : 's'}</button></td>`;
+        }
+
         // Handle queue history column
         if (c === 'queue_history') {
           return `<td style="text-align: center;">${formatQueueHistory(rec)}</td>`;
@@ -0,0 +1,154 @@
+// recordNormalizer.js
+// One mapping from raw upstream report records to the canonical row every
+// consumer shares – the JSON APIs, the streamed table, CSV / XLSX exports,
+// the warehouse columns and the CLIs – so a value is extracted the same way
+// wherever it is shown.
+//
+// The upstream reports keep the same facts in different places (dispositions
+// under fonoUC, agent history under fonoUC.cc_outbound, durations missing on
+// older tenants, …). normalizeRecord() resolves them once with the rules in
+// fieldMappings.json, which tenants can override without a code change (see
+// fieldMappings.js); reportFetcher.js and reportCache.js keep records raw.
+//
+// Canonical row (NORMALIZER_VERSION 1) – every report yields every key:
+//   call_id            string
+//   type_direction     string   call direction (CDRs default 'Internal outbound')
+//   called_time        number|null  epoch seconds the call / attempt started
+//   answered_time      number|null  epoch seconds
+//   hangup_time        number|null  epoch seconds
+//   wait_duration      number   seconds, derived from the times when missing
+//   talk_duration      number   seconds, derived from the times when missing
+//   caller_id_number, caller_id_name, callee_id_number, callee_id_name
+//   queue_name, campaign_name, campaign_type, lead_name, lead_number
+//   agent_name, agent_ext        first agent on the call / leg
+//   agent_disposition, sub_disposition_1, sub_disposition_2, follow_up_notes
+//   status             string   lead / call status
+//   abandoned          'Yes' | 'No' | ''
+//   agent_attempts, agent_hangup, attempts   as reported, '' when absent
+//   recording          string   recording id for /api/recordings/:id
+//   country            string   country of the remote party's number
+//   agent_history      object[] upstream agent attempts
+//   queue_history      object[] upstream queue entries
+//   link_ids           string[] ids shared with other legs of the call
+// Text fields are '' when unknown. Bump NORMALIZER_VERSION whenever a key is
+// added, removed or changes meaning.
+//
+// Usage examples:
+//   import { normalizeRecord } from './recordNormalizer.js';
+//   const row = normalizeRecord('cdrs', rawCdr, 'shams');
+
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import { MAPPED_REPORTS, applyFieldMappings, loadFieldMappings } from './fieldMappings.js';
+
+export const NORMALIZER_VERSION = 1;
+
+/**
+ * Convert the many timestamp encodings the PBX uses into epoch seconds.
+ * Handles Gregorian seconds (Kazoo `timestamp`), epoch s / ms / µs and ISO strings.
+ */
+export function toEpochSeconds(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'string' && !/^\d+(\.\d+)?$/.test(value)) {
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  if (n > 100_000_000_000_000) return Math.floor(n / 1_000_000);   // µs
+  if (n > 100_000_000_000) return Math.floor(n / 1000);            // ms
+  if (n > 62_135_596_800) return Math.floor(n - 62_167_219_200);   // Gregorian seconds
+  return Math.floor(n);
+}
+
+/**
+ * agent_history / queue_history of a record, wherever the report keeps it.
+ */
+export function historyOf(record, field) {
+  let history = record.fonoUC?.cc_outbound?.[field] || record.fonoUC?.[field] || record[field] || [];
+  if (typeof history === 'string') {
+    try { history = JSON.parse(history); } catch { history = []; }
+  }
+  return Array.isArray(history) ? history : [];
+}
+
+// Flags such as a_leg: "true" are not ids
+const isLinkId = v => typeof v === 'string' && v.length > 2 && !['true', 'false', 'null'].includes(v);
+
+/**
+ * Every id that links this record to other legs of the same call.
+ */
+export function linkIds(record) {
+  const ccv = record.custom_channel_vars || {};
+  return [
+    record.call_id,
+    record.other_leg_call_id,
+    record.bleg_call_id,
+    record.a_leg,
+    record.bridge_id || ccv.bridge_id,
+    record.interaction_id || ccv.interaction_id
+  ].filter(isLinkId);
+}
+
+// Names used by the dashboard where they differ from Intl's region names
+const COUNTRY_OVERRIDES = { AE: 'UAE', CZ: 'Czech Republic', TR: 'Turkey' };
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Country name for a phone number ('' when it cannot be told).
+ */
+export function countryFromPhoneNumber(phoneNumber) {
+  if (!phoneNumber || typeof phoneNumber !== 'string') return '';
+
+  let clean = phoneNumber.replace(/[^\d+]/g, '');
+  if (!clean.startsWith('+')) clean = clean.replace(/^0+/, '');
+  if (clean.length <= 4) return '';
+
+  if (/^(971|00971|\+971)/.test(clean)) return 'UAE';
+  if (/^(91|0091|\+91)/.test(clean)) return 'India';
+  if (/^(20|0020|\+20)/.test(clean)) return 'Egypt';
+  if (/^(44|0044|\+44)/.test(clean)) return 'United Kingdom';
+
+  if (clean.startsWith('00')) {
+    clean = '+' + clean.substring(2);
+  } else if (!clean.startsWith('+') && clean.length > 10) {
+    clean = '+' + clean;
+  }
+
+  const parsed = parsePhoneNumberFromString(clean);
+  if (!parsed?.country) return '';
+  return COUNTRY_OVERRIDES[parsed.country] || regionNames.of(parsed.country) || parsed.country;
+}
+
+// ---------------------------------------------------------------------------
+// Mapping rules (fieldMappings.json plus per-tenant overrides)
+
+const mappings = loadFieldMappings({ toEpochSeconds, countryFromPhoneNumber });
+
+/**
+ * The loaded field mapping configuration (see fieldMappings.js).
+ */
+export function fieldMappings() {
+  return mappings;
+}
+
+export const NORMALIZED_REPORTS = MAPPED_REPORTS;
+
+/**
+ * Map one raw record to the canonical row (see header) with the tenant's
+ * field mappings.
+ * @param {string} report   – one of NORMALIZED_REPORTS.
+ * @param {object} record   – raw upstream row.
+ * @param {string} [tenant] – selects per-tenant mapping overrides.
+ * @returns {object} a new object; `record` is not modified.
+ */
+export function normalizeRecord(report, record, tenant) {
+  if (!MAPPED_REPORTS.includes(report)) throw new Error(`Unknown report type: ${report}`);
+  return applyFieldMappings(mappings.rulesFor(report, tenant), mappings.transforms, record);
+}
+
+/**
+ * Normalise a batch of raw records.
+ */
+export function normalizeRecords(report, records, tenant) {
+  return records.map(record => normalizeRecord(report, record, tenant));
+}
@@ -0,0 +1,206 @@
+// reportCache.js
+// Cache of fetched report windows, keyed by tenant / report / time window.
+//
+// A window whose end lies further in the past than REPORT_CACHE_SETTLE is
+// "closed": the PBX will not add rows to it any more, so its records are kept
+// indefinitely – in memory (LRU, bounded by row count) and as gzipped JSON on
+// disk so they survive restarts. Open windows are never cached; the caller
+// always refetches the tail of a range that is still filling up.
+//
+// Configuration (env):
+//   REPORT_CACHE=off                 – disable the cache entirely
+//   REPORT_CACHE_DIR                 – disk location (default data/report-cache)
+//   REPORT_CACHE_SETTLE=30m          – how long after its end a window counts as closed
+//   REPORT_CACHE_MEMORY_ROWS=100000  – rows kept in memory before evicting
+//
+// Usage examples:
+//   node -r dotenv/config reportCache.js stats
+//   node -r dotenv/config reportCache.js purge [tenant] [report]
+
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import ms from 'ms';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const CACHE_DIR = process.env.REPORT_CACHE_DIR || path.join(__dirname, 'data', 'report-cache');
+const ENABLED = !['off', 'false', '0'].includes(String(process.env.REPORT_CACHE || '').toLowerCase());
+const SETTLE_SEC = Math.floor(ms(process.env.REPORT_CACHE_SETTLE || '30m') / 1000);
+const MEMORY_ROWS = Math.max(0, Number(process.env.REPORT_CACHE_MEMORY_ROWS) || 100_000);
+// Bump when the shape of cached records changes so stale files are ignored
+const FORMAT = 'v3';
+
+const memory = new Map(); // key -> records, oldest first
+let memoryRows = 0;
+const counters = { hits: 0, memoryHits: 0, diskHits: 0, misses: 0, writes: 0, errors: 0 };
+const since = new Date().toISOString();
+
+const keyFor = (tenant, report, start, end) => `${tenant}/${report}/${start}-${end}`;
+const fileFor = (tenant, report, start, end) =>
+  path.join(CACHE_DIR, FORMAT, encodeURIComponent(tenant), report, `${start}-${end}.json.gz`);
+
+function remember(key, records) {
+  if (memory.has(key)) memoryRows -= memory.get(key).length;
+  memory.delete(key);
+  if (records.length > MEMORY_ROWS) return;
+  memory.set(key, records);
+  memoryRows += records.length;
+  for (const [oldKey, oldRecords] of memory) {
+    if (memoryRows <= MEMORY_ROWS) break;
+    memory.delete(oldKey);
+    memoryRows -= oldRecords.length;
+  }
+}
+
+export function isCacheEnabled() {
+  return ENABLED;
+}
+
+/**
+ * True when no more rows can arrive for a window ending at `end` (epoch seconds).
+ */
+export function isClosedWindow(end, now = Date.now()) {
+  return end <= Math.floor(now / 1000) - SETTLE_SEC;
+}
+
+/**
+ * Records cached for a closed window, or null on a miss.
+ * @returns {Promise<object[]|null>}
+ */
+export async function getCachedWindow(tenant, report, start, end) {
+  const key = keyFor(tenant, report, start, end);
+  if (memory.has(key)) {
+    const records = memory.get(key);
+    remember(key, records); // refresh LRU position
+    counters.hits++;
+    counters.memoryHits++;
+    return records;
+  }
+
+  const file = fileFor(tenant, report, start, end);
+  try {
+    const records = JSON.parse(await gunzip(await fs.promises.readFile(file)));
+    remember(key, records);
+    counters.hits++;
+    counters.diskHits++;
+    return records;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      counters.errors++;
+      console.warn(`⚠️  Dropping unreadable cache file ${file}: ${err.message}`);
+      await fs.promises.unlink(file).catch(() => {});
+    }
+    counters.misses++;
+    return null;
+  }
+}
+
+/**
+ * Store the complete records of a closed window. Disk failures are logged,
+ * never thrown – the fetch that produced the records already succeeded.
+ */
+export async function putCachedWindow(tenant, report, start, end, records) {
+  if (!isClosedWindow(end)) return;
+  remember(keyFor(tenant, report, start, end), records);
+
+  const file = fileFor(tenant, report, start, end);
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, await gzip(JSON.stringify(records)));
+    await fs.promises.rename(tmp, file);
+    counters.writes++;
+  } catch (err) {
+    counters.errors++;
+    console.warn(`⚠️  Could not write cache file ${file}: ${err.message}`);
+  }
+}
+
+async function countFiles(dir) {
+  try {
+    const entries = await fs.promises.readdir(dir, { recursive: true, withFileTypes: true });
+    return entries.filter(e => e.isFile()).length;
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+}
+
+/**
+ * Drop cached windows – everything, one tenant, one report type, or both.
+ * @param {object} [scope] – { tenant, report }
+ * @returns {Promise<{memory: number, disk: number}>} entries removed.
+ */
+export async function purgeReportCache({ tenant, report } = {}) {
+  let memoryRemoved = 0;
+  for (const [key, records] of memory) {
+    const [keyTenant, keyReport] = key.split('/');
+    if ((tenant && keyTenant !== tenant) || (report && keyReport !== report)) continue;
+    memory.delete(key);
+    memoryRows -= records.length;
+    memoryRemoved++;
+  }
+
+  const root = path.join(CACHE_DIR, FORMAT);
+  let dirs;
+  if (tenant) {
+    dirs = [path.join(root, encodeURIComponent(tenant), ...(report ? [report] : []))];
+  } else {
+    const tenants = await fs.promises.readdir(root).catch(err => {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    });
+    dirs = tenants.map(t => path.join(root, t, ...(report ? [report] : [])));
+  }
+
+  let diskRemoved = 0;
+  for (const dir of dirs) {
+    diskRemoved += await countFiles(dir);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+
+  console.log(`🧹 Report cache purged${tenant ? ` for ${tenant}` : ''}${report ? ` (${report})` : ''}: ${memoryRemoved} in memory, ${diskRemoved} on disk`);
+  return { memory: memoryRemoved, disk: diskRemoved };
+}
+
+/**
+ * Hit / miss counters since start-up plus current memory usage.
+ */
+export function reportCacheStats() {
+  const lookups = counters.hits + counters.misses;
+  return {
+    enabled: ENABLED,
+    since,
+    ...counters,
+    hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : null,
+    memoryEntries: memory.size,
+    memoryRows,
+    memoryLimitRows: MEMORY_ROWS,
+    settleSec: SETTLE_SEC,
+    dir: CACHE_DIR
+  };
+}
+
+async function cli() {
+  const [command, tenant, report] = process.argv.slice(2);
+  if (command === 'stats') {
+    console.log({ ...reportCacheStats(), diskFiles: await countFiles(path.join(CACHE_DIR, FORMAT)) });
+  } else if (command === 'purge') {
+    console.log(await purgeReportCache({ tenant, report }));
+  } else {
+    console.error('Usage: node -r dotenv/config reportCache.js stats | purge [tenant] [report]');
+    process.exit(1);
+  }
+}
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.stack || err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,552 @@
+// reportExport.js
+// Server-side report export helpers used by the /api/reports/:type/export route.
+//
+// Rows are the canonical rows of recordNormalizer.js – the same rows the
+// dashboard table renders – and the CDR column set and labels mirror the
+// table in public/script.js, so a downloaded file matches what the user sees;
+// the queue and campaign reports get curated, typed column sets of their own.
+// The filter definitions mirror the search boxes above the table.
+//
+// Supported formats:
+//   • csv  – streamed RFC4180 text, times/durations formatted like the table
+//   • xlsx – streamed workbook with a typed data sheet (date cells in the
+//            display timezone, durations as [h]:mm:ss) plus Dispositions,
+//            Agents and Queues summary sheets
+//
+// Times are written in the zone passed as `timezone` (see timezones.js) and
+// default to DEFAULT_TIMEZONE.
+
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { normalizeRecord, toEpochSeconds } from './recordNormalizer.js';
+import { iterateReport } from './reportFetcher.js';
+import { DEFAULT_TIMEZONE, tzOffsetMs } from './timezones.js';
+
+// ---------------------------------------------------------------------------
+// Value formatting
+
+export function formatTimestamp(value, tz = DEFAULT_TIMEZONE) {
+  const sec = toEpochSeconds(value);
+  if (!sec) return '';
+  return new Date(sec * 1000).toLocaleString('en-GB', { timeZone: tz });
+}
+
+// Seconds → HH:MM:SS (same format as secondsToHMS in script.js)
+export function formatDuration(value) {
+  const total = parseInt(value, 10);
+  if (Number.isNaN(total)) return '';
+  const days = Math.floor(total / 86400);
+  const rem = total % 86400;
+  const h = Math.floor(rem / 3600).toString().padStart(2, '0');
+  const m = Math.floor((rem % 3600) / 60).toString().padStart(2, '0');
+  const s = (rem % 60).toString().padStart(2, '0');
+  return days ? `${days} day${days > 1 ? 's' : ''} ${h}:${m}:${s}` : `${h}:${m}:${s}`;
+}
+
+// One-cell summaries of the history arrays, times in `tz`
+const HISTORY_TEXT = {
+  agent_history: (history, tz) => history
+    .map(h => {
+      const name = `${h.first_name || ''} ${h.last_name || ''}`.trim();
+      const when = formatTimestamp(h.called_time || h.last_attempt, tz);
+      return [name, h.ext && `(${h.ext})`, h.event, when && `@ ${when}`].filter(Boolean).join(' ');
+    })
+    .join('; '),
+  queue_history: (history, tz) => history
+    .map(h => [h.queue_name, h.ts && `@ ${formatTimestamp(h.ts, tz)}`].filter(Boolean).join(' '))
+    .join('; ')
+};
+
+export function formatHistory(key, history, tz = DEFAULT_TIMEZONE) {
+  return Array.isArray(history) ? HISTORY_TEXT[key](history, tz) : '';
+}
+
+// ---------------------------------------------------------------------------
+// Column set – same order and labels as the CDR table
+
+export const CDR_COLUMNS = [
+  { key: 's_no', label: 'S.No' },
+  { key: 'type_direction', label: 'Type/Direction' },
+  { key: 'queue_name', label: 'Queue Name' },
+  { key: 'campaign_name', label: 'Campaign Name' },
+  { key: 'called_time', label: 'CALLED TIME', type: 'time' },
+  { key: 'caller_id_number', label: 'Caller ID Number' },
+  { key: 'caller_id_name', label: 'Caller ID Name' },
+  { key: 'callee_id_number', label: 'Callee ID Number' },
+  { key: 'callee_id_name', label: 'Callee ID Name' },
+  { key: 'answered_time', label: 'ANSWERED TIME', type: 'time' },
+  { key: 'hangup_time', label: 'HANGUP TIME', type: 'time' },
+  { key: 'wait_duration', label: 'WAIT DURATION', type: 'duration' },
+  { key: 'talk_duration', label: 'TALK DURATION', type: 'duration' },
+  { key: 'agent_disposition', label: 'AGENT DISPOSITION' },
+  { key: 'sub_disposition_1', label: 'Sub-disposition 1' },
+  { key: 'sub_disposition_2', label: 'Sub-disposition 2' },
+  { key: 'follow_up_notes', label: 'Follow-up Notes' },
+  { key: 'status', label: 'STATUS' },
+  { key: 'campaign_type', label: 'CAMPAIGN TYPE' },
+  { key: 'agent_history', label: 'AGENT HISTORY', type: 'history' },
+  { key: 'queue_history', label: 'QUEUE HISTORY', type: 'history' },
+  { key: 'recording', label: 'RECORDING' },
+  { key: 'agent_name', label: 'AGENT NAME' },
+  { key: 'agent_ext', label: 'EXTENSION' },
+  { key: 'country', label: 'COUNTRY' },
+  { key: 'call_id', label: 'CALL ID' }
+];
+
+// ---------------------------------------------------------------------------
+// Queue and campaign reports
+
+export const QUEUE_CALL_COLUMNS = [
+  { key: 's_no', label: 'S.No' },
+  { key: 'called_time', label: 'Called Time', type: 'time' },
+  { key: 'queue_name', label: 'Queue Name' },
+  { key: 'caller_id_number', label: 'Caller ID Number' },
+  { key: 'caller_id_name', label: 'Caller ID Name' },
+  { key: 'callee_id_number', label: 'Callee ID Number' },
+  { key: 'answered_time', label: 'Answered Time', type: 'time' },
+  { key: 'hangup_time', label: 'Hangup Time', type: 'time' },
+  { key: 'wait_duration', label: 'Wait Duration', type: 'duration' },
+  { key: 'talk_duration', label: 'Talk Duration', type: 'duration' },
+  { key: 'abandoned', label: 'Abandoned' },
+  { key: 'agent_attempts', label: 'Agent Attempts', type: 'number' },
+  { key: 'agent_name', label: 'Agent Name' },
+  { key: 'agent_ext', label: 'Extension' },
+  { key: 'agent_disposition', label: 'Agent Disposition' },
+  { key: 'sub_disposition_1', label: 'Sub-disposition 1' },
+  { key: 'sub_disposition_2', label: 'Sub-disposition 2' },
+  { key: 'agent_history', label: 'Agent History', type: 'history' },
+  { key: 'queue_history', label: 'Queue History', type: 'history' },
+  { key: 'recording', label: 'Recording' },
+  { key: 'country', label: 'Country' },
+  { key: 'call_id', label: 'Call ID' }
+];
+
+export const QUEUE_OUTBOUND_COLUMNS = [
+  { key: 's_no', label: 'S.No' },
+  { key: 'called_time', label: 'Called Time', type: 'time' },
+  { key: 'queue_name', label: 'Queue Name' },
+  { key: 'agent_name', label: 'Agent Name' },
+  { key: 'agent_ext', label: 'Extension' },
+  { key: 'caller_id_number', label: 'Caller ID Number' },
+  { key: 'callee_id_number', label: 'Destination' },
+  { key: 'answered_time', label: 'Answered Time', type: 'time' },
+  { key: 'hangup_time', label: 'Hangup Time', type: 'time' },
+  { key: 'wait_duration', label: 'Wait Duration', type: 'duration' },
+  { key: 'talk_duration', label: 'Talk Duration', type: 'duration' },
+  { key: 'agent_hangup', label: 'Agent Hangup' },
+  { key: 'agent_disposition', label: 'Agent Disposition' },
+  { key: 'sub_disposition_1', label: 'Sub-disposition 1' },
+  { key: 'sub_disposition_2', label: 'Sub-disposition 2' },
+  { key: 'agent_history', label: 'Agent History', type: 'history' },
+  { key: 'queue_history', label: 'Queue History', type: 'history' },
+  { key: 'recording', label: 'Recording' },
+  { key: 'country', label: 'Country' },
+  { key: 'call_id', label: 'Call ID' }
+];
+
+export const CAMPAIGN_COLUMNS = [
+  { key: 's_no', label: 'S.No' },
+  { key: 'called_time', label: 'Called Time', type: 'time' },
+  { key: 'campaign_name', label: 'Campaign Name' },
+  { key: 'campaign_type', label: 'Campaign Type' },
+  { key: 'lead_name', label: 'Lead Name' },
+  { key: 'lead_number', label: 'Lead Number' },
+  { key: 'agent_name', label: 'Agent Name' },
+  { key: 'agent_ext', label: 'Extension' },
+  { key: 'answered_time', label: 'Answered Time', type: 'time' },
+  { key: 'hangup_time', label: 'Hangup Time', type: 'time' },
+  { key: 'wait_duration', label: 'Wait Duration', type: 'duration' },
+  { key: 'talk_duration', label: 'Talk Duration', type: 'duration' },
+  { key: 'agent_disposition', label: 'Agent Disposition' },
+  { key: 'sub_disposition_1', label: 'Sub-disposition 1' },
+  { key: 'sub_disposition_2', label: 'Sub-disposition 2' },
+  { key: 'status', label: 'Status' },
+  { key: 'attempts', label: 'Attempts', type: 'number' },
+  { key: 'recording', label: 'Recording' },
+  { key: 'country', label: 'Country' },
+  { key: 'call_id', label: 'Call ID' }
+];
+
+/**
+ * Per-report export definition: column set over the canonical row (see
+ * recordNormalizer.js), the dedup key the dashboard applies, and which row
+ * fields feed the summary sheets.
+ */
+export const REPORT_EXPORTS = {
+  cdrs: {
+    title: 'CDRs',
+    columns: CDR_COLUMNS,
+    // The CDR table keeps only the first call per caller/callee pair
+    dedupeKey: row => `${row.caller_id_number}|${row.callee_id_number}`,
+    summary: { disposition: 'agent_disposition', agent: 'agent_name', ext: 'agent_ext', queue: 'queue_name', wait: 'wait_duration', talk: 'talk_duration' }
+  },
+  queueCalls: {
+    title: 'Queue Calls',
+    columns: QUEUE_CALL_COLUMNS,
+    dedupeKey: row => row.call_id,
+    summary: { disposition: 'agent_disposition', agent: 'agent_name', ext: 'agent_ext', queue: 'queue_name', wait: 'wait_duration', talk: 'talk_duration', abandoned: 'abandoned' }
+  },
+  queueOutboundCalls: {
+    title: 'Queue Outbound Calls',
+    columns: QUEUE_OUTBOUND_COLUMNS,
+    dedupeKey: row => row.call_id,
+    summary: { disposition: 'agent_disposition', agent: 'agent_name', ext: 'agent_ext', queue: 'queue_name', wait: 'wait_duration', talk: 'talk_duration' }
+  },
+  campaignsActivity: {
+    title: 'Campaign Activity',
+    columns: CAMPAIGN_COLUMNS,
+    dedupeKey: row => row.call_id,
+    summary: { disposition: 'agent_disposition', agent: 'agent_name', ext: 'agent_ext', queue: 'campaign_name', wait: 'wait_duration', talk: 'talk_duration' }
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Filters – same keys and matching rules as the search boxes in script.js
+
+export const FILTERS = [
+  { key: 'type_direction', match: 'exact' },
+  { key: 'queue_name', match: 'exact' },
+  { key: 'campaign_name', match: 'exact' },
+  { key: 'abandoned', match: 'exact' },
+  { key: 'agent_disposition', match: 'exact' },
+  { key: 'sub_disposition_1', match: 'exact' },
+  { key: 'sub_disposition_2', match: 'exact' },
+  { key: 'campaign_type', match: 'exact' },
+  { key: 'agent_ext', match: 'contains' },
+  { key: 'agent_name', match: 'contains' },
+  { key: 'follow_up_notes', match: 'contains' },
+  { key: 'phone_number', match: 'phone' }
+];
+
+/**
+ * Pick the recognised filter values out of a query object.
+ * @returns {object} key → lower-cased value
+ */
+export function filtersFromQuery(query) {
+  const active = {};
+  for (const { key } of FILTERS) {
+    const value = query[key];
+    if (typeof value === 'string' && value.trim()) active[key] = value.trim().toLowerCase();
+  }
+  return active;
+}
+
+/**
+ * Build a predicate over table rows for the given active filters.
+ */
+export function rowMatcher(active) {
+  const checks = FILTERS.filter(f => active[f.key]).map(f => {
+    const wanted = active[f.key];
+    if (f.match === 'phone') {
+      return row => [row.caller_id_number, row.callee_id_number, row.lead_number]
+        .some(v => String(v || '').toLowerCase().includes(wanted));
+    }
+    if (f.match === 'exact') {
+      return row => String(row[f.key] || '').toLowerCase() === wanted;
+    }
+    return row => String(row[f.key] || '').toLowerCase().includes(wanted);
+  });
+  return row => checks.every(check => check(row));
+}
+
+// ---------------------------------------------------------------------------
+// CSV serialisation (RFC4180, same escaping as toCsv in reportFetcher.js)
+
+// Text Excel would evaluate as a formula (agent notes, caller names…).
+// Numbers and phone numbers (+971…, -5) are left as they are.
+const FORMULA_START = /^[=@\t\r]|^[+-](?![\d\s().-]*$)/;
+
+export function csvCell(value, delimiter = ',') {
+  if (value == null) return '';
+  let str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(str)) str = `'${str}`;
+  return str.includes(delimiter) || /[\r\n"]/.test(str)
+    ? `"${str.replace(/"/g, '""')}"`
+    : str;
+}
+
+export function csvLine(values, delimiter = ',') {
+  return values.map(v => csvCell(v, delimiter)).join(delimiter) + '\r\n';
+}
+
+/**
+ * Format a table row for CSV using the column types (times and durations are
+ * rendered the same way as in the table).
+ */
+export function formatCsvRow(columns, row, tz = DEFAULT_TIMEZONE) {
+  return columns.map(({ key, type }) => {
+    const value = row[key];
+    if (type === 'time') return formatTimestamp(value, tz);
+    if (type === 'duration') return formatDuration(value);
+    if (type === 'history') return formatHistory(key, value, tz);
+    return value;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Row iteration
+
+/**
+ * Stream a report slice by slice and yield filtered, deduplicated table rows
+ * in the order the dashboard shows them. Each yielded row carries `s_no`.
+ *
+ * @param {string} report  – one of keys in REPORT_EXPORTS.
+ * @param {string} tenant  – domain / account id.
+ * @param {object} opts
+ * @param {number} opts.startDate     – epoch seconds.
+ * @param {number} opts.endDate       – epoch seconds.
+ * @param {object} [opts.filters]     – active filters (see filtersFromQuery).
+ * @param {number} [opts.maxRows]     – stop after this many rows.
+ * @param {number} [opts.windowSec]   – parallel slice size for upstream fetches.
+ * @param {AbortSignal} [opts.signal] – stops fetching (e.g. client went away).
+ * @param {object} [opts.stats]       – upstream counters, see iterateReport.
+ */
+export async function* iterateExportRows(report, tenant, {
+  startDate,
+  endDate,
+  filters = {},
+  maxRows = Infinity,
+  windowSec = 3600,
+  signal,
+  stats
+} = {}) {
+  const def = REPORT_EXPORTS[report];
+  if (!def) throw new Error(`Unknown report type: ${report}`);
+
+  const matches = rowMatcher(filters);
+  const seen = new Set();
+  let count = 0;
+
+  // Slices are fetched in parallel by iterateReport and arrive in order
+  const pages = iterateReport(report, tenant, { startDate, endDate }, { sliceSec: windowSec, signal, stats });
+
+  for await (const { records } of pages) {
+    for (const record of records) {
+      if (count >= maxRows) return;
+
+      const row = normalizeRecord(report, record, tenant);
+      const key = def.dedupeKey(row);
+      if (key) {
+        if (seen.has(key)) continue;
+        seen.add(key);
+      }
+      if (!matches(row)) continue;
+
+      row.s_no = ++count;
+      yield row;
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Summary aggregation (Dispositions / Agents / Queues sheets)
+
+/**
+ * Accumulate per-disposition, per-agent and per-queue totals from rows.
+ */
+export function createSummary(report) {
+  const fields = REPORT_EXPORTS[report].summary;
+  const dispositions = new Map();
+  const agents = new Map();
+  const queues = new Map();
+  let total = 0;
+
+  const bump = (map, key, init) => {
+    if (!map.has(key)) map.set(key, init());
+    return map.get(key);
+  };
+
+  return {
+    add(row) {
+      total++;
+      const wait = Number(row[fields.wait]) || 0;
+      const talk = Number(row[fields.talk]) || 0;
+      const answered = talk > 0;
+      const abandoned = fields.abandoned ? row[fields.abandoned] === 'Yes' : false;
+
+      const disposition = row[fields.disposition] || '(none)';
+      bump(dispositions, disposition, () => ({ count: 0 })).count++;
+
+      const agentKey = `${row[fields.agent] || '(unassigned)'}|${row[fields.ext] || ''}`;
+      const agent = bump(agents, agentKey, () => ({
+        name: row[fields.agent] || '(unassigned)', ext: row[fields.ext] || '', calls: 0, answered: 0, talk: 0, wait: 0
+      }));
+      agent.calls++;
+      agent.talk += talk;
+      agent.wait += wait;
+      if (answered) agent.answered++;
+
+      const queue = bump(queues, row[fields.queue] || '(none)', () => ({ calls: 0, answered: 0, abandoned: 0, talk: 0, wait: 0 }));
+      queue.calls++;
+      queue.talk += talk;
+      queue.wait += wait;
+      if (answered) queue.answered++;
+      if (abandoned) queue.abandoned++;
+    },
+    result() {
+      const byCount = (a, b) => b[1].count - a[1].count || String(a[0]).localeCompare(String(b[0]));
+      return {
+        total,
+        dispositions: [...dispositions.entries()].sort(byCount).map(([name, d]) => ({ name, count: d.count })),
+        agents: [...agents.values()].sort((a, b) => b.calls - a.calls),
+        queues: [...queues.entries()].map(([name, q]) => ({ name, ...q })).sort((a, b) => b.calls - a.calls)
+      };
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Writers
+
+/**
+ * Stream rows to `out` as CSV.
+ * @param {object} [opts]
+ * @param {string} [opts.timezone] – IANA zone for time columns.
+ * @returns {Promise<number>} rows written.
+ */
+export async function writeCsv(out, report, rows, { timezone = DEFAULT_TIMEZONE } = {}) {
+  const { columns } = REPORT_EXPORTS[report];
+  out.write('\ufeff'); // BOM so Excel detects UTF-8
+  out.write(csvLine(columns.map(c => c.label)));
+
+  let written = 0;
+  for await (const row of rows) {
+    // Wait for slow clients instead of buffering the whole file
+    if (!out.write(csvLine(formatCsvRow(columns, row, timezone)))) await Promise.race([once(out, 'drain'), once(out, 'close')]);
+    written++;
+  }
+  return written;
+}
+
+/**
+ * Excel has no timezones: a date cell is the wall-clock time. Build a Date
+ * whose UTC fields equal the wall-clock time in `tz` (DST-correct).
+ */
+export function excelDate(value, tz = DEFAULT_TIMEZONE) {
+  const sec = toEpochSeconds(value);
+  if (!sec) return null;
+  const ms = sec * 1000;
+  return new Date(ms + tzOffsetMs(ms, tz));
+}
+
+const HEADER_STYLE = {
+  font: { bold: true, color: { argb: 'FFFFFFFF' } },
+  fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF667EEA' } }
+};
+
+function styleHeader(sheet) {
+  const header = sheet.getRow(1);
+  header.font = HEADER_STYLE.font;
+  header.fill = HEADER_STYLE.fill;
+  header.commit();
+}
+
+/**
+ * Stream rows to `out` as an XLSX workbook: a typed data sheet followed by
+ * Dispositions, Agents and Queues summary sheets.
+ * @param {import('stream').Writable} out
+ * @param {string} report
+ * @param {AsyncIterable<object>} rows
+ * @param {object} [opts]
+ * @param {string} [opts.timezone] – IANA zone for date cells.
+ * @returns {Promise<number>} rows written.
+ */
+export async function writeXlsx(out, report, rows, { timezone = DEFAULT_TIMEZONE } = {}) {
+  const def = REPORT_EXPORTS[report];
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true, useSharedStrings: false });
+  const summary = createSummary(report);
+
+  // Data sheet ---------------------------------------------------------------
+  const data = workbook.addWorksheet(def.title, { views: [{ state: 'frozen', ySplit: 1 }] });
+  data.columns = def.columns.map(c => ({
+    header: c.label,
+    key: c.key,
+    width: c.type === 'time' ? 20 : c.type === 'duration' ? 12 : Math.max(10, Math.min(40, c.label.length + 4)),
+    style: c.type === 'time'
+      ? { numFmt: 'dd/mm/yyyy hh:mm:ss' }
+      : c.type === 'duration' ? { numFmt: '[h]:mm:ss' } : {}
+  }));
+  styleHeader(data);
+
+  let written = 0;
+  for await (const row of rows) {
+    const values = {};
+    for (const c of def.columns) {
+      const v = row[c.key];
+      if (c.type === 'time') values[c.key] = excelDate(v, timezone);
+      else if (c.type === 'duration') values[c.key] = v === '' || v == null ? null : (Number(v) || 0) / 86400;
+      else if (c.type === 'number') values[c.key] = v === '' || v == null ? null : Number(v);
+      else if (c.type === 'history') values[c.key] = formatHistory(c.key, v, timezone) || null;
+      else values[c.key] = v === '' ? null : v;
+    }
+    data.addRow(values).commit();
+    summary.add(row);
+    written++;
+  }
+  data.commit();
+
+  const { total, dispositions, agents, queues } = summary.result();
+  const dur = { numFmt: '[h]:mm:ss' };
+
+  // Dispositions -------------------------------------------------------------
+  const dispSheet = workbook.addWorksheet('Dispositions');
+  dispSheet.columns = [
+    { header: 'Disposition', key: 'name', width: 32 },
+    { header: 'Calls', key: 'count', width: 10 },
+    { header: 'Share', key: 'share', width: 10, style: { numFmt: '0.0%' } }
+  ];
+  styleHeader(dispSheet);
+  dispositions.forEach(d => dispSheet.addRow({ ...d, share: total ? d.count / total : 0 }).commit());
+  dispSheet.commit();
+
+  // Agents -------------------------------------------------------------------
+  const agentSheet = workbook.addWorksheet('Agents');
+  agentSheet.columns = [
+    { header: 'Agent', key: 'name', width: 28 },
+    { header: 'Extension', key: 'ext', width: 12 },
+    { header: 'Calls', key: 'calls', width: 10 },
+    { header: 'Answered', key: 'answered', width: 10 },
+    { header: 'Total Talk', key: 'talk', width: 12, style: dur },
+    { header: 'Avg Talk', key: 'avgTalk', width: 12, style: dur },
+    { header: 'Total Wait', key: 'wait', width: 12, style: dur }
+  ];
+  styleHeader(agentSheet);
+  agents.forEach(a => agentSheet.addRow({
+    ...a,
+    talk: a.talk / 86400,
+    avgTalk: a.answered ? a.talk / a.answered / 86400 : 0,
+    wait: a.wait / 86400
+  }).commit());
+  agentSheet.commit();
+
+  // Queues -------------------------------------------------------------------
+  const queueSheet = workbook.addWorksheet(report === 'campaignsActivity' ? 'Campaigns' : 'Queues');
+  queueSheet.columns = [
+    { header: report === 'campaignsActivity' ? 'Campaign' : 'Queue', key: 'name', width: 32 },
+    { header: 'Calls', key: 'calls', width: 10 },
+    { header: 'Answered', key: 'answered', width: 10 },
+    { header: 'Abandoned', key: 'abandoned', width: 10 },
+    { header: 'Total Talk', key: 'talk', width: 12, style: dur },
+    { header: 'Avg Wait', key: 'avgWait', width: 12, style: dur },
+    { header: 'Total Wait', key: 'wait', width: 12, style: dur }
+  ];
+  styleHeader(queueSheet);
+  queues.forEach(q => queueSheet.addRow({
+    ...q,
+    talk: q.talk / 86400,
+    avgWait: q.calls ? q.wait / q.calls / 86400 : 0,
+    wait: q.wait / 86400
+  }).commit());
+  queueSheet.commit();
+
+  await workbook.commit();
+  return written;
+}
+
+/**
+ * Download formats: content type plus a writer taking (out, report, rows, { timezone }).
+ */
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', write: writeCsv },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: writeXlsx }
+};
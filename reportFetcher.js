@@ -1,36 +1,51 @@
 // reportFetcher.js
 // Generic report fetcher for call-center portal tables.
-// Supports the following endpoints:
-//   – /portal/reports/cdrs                         (CDRs)
-//   – /portal/callcenter/reports/queues-calls      (Queue Calls)
-//   – /portal/callcenter/reports/queues-outbound-calls (Queue Outbound Calls)
-//   – /portal/callcenter/reports/campaigns-activity    (Campaigns Activity)
+// Supports the following reports (endpoint paths per tenant in tenantRegistry.js):
+//   – cdrs                (CDRs)
+//   – queueCalls          (Queue Calls)
+//   – queueOutboundCalls  (Queue Outbound Calls)
+//   – campaignsActivity   (Campaigns Activity)
 //
 // Like agentStatus.js this module handles:
-//   • Portal authentication via tokenService.getPortalToken
-//   – Automatic pagination via next_start_key when provided
-//   • Exponential-backoff retry logic (up to 3 attempts)
+//   • Portal authentication via tokenService.withPortalToken (renewed and
+//     retried once when the PBX answers 401)
+//   • Streaming, page-by-page iteration (iterateReport) with raw,
+//     de-duplicated records; the fetch* functions are thin wrappers over it.
+//     Map them with recordNormalizer.js before showing them anywhere
+//   • Automatic pagination via next_start_key when provided, and adaptive
+//     time-window bisection when a window is saturated at the 500-row cap
+//   • Parallel slice fetching within shared concurrency / rate limits
+//     (upstreamLimiter.js)
+//   • Closed historical windows served from reportCache.js, so only the
+//     still-open tail of a range is downloaded again
+//   • Exponential-backoff retry logic per request (up to 3 attempts) on
+//     network errors, 429 and 5xx
+//   • Fingerprinting of every page's envelope and fields (schemaDrift.js) so
+//     upstream format changes are reported instead of silently breaking rows
 //   • Optional CSV serialization helper
 //   • A minimal CLI for ad-hoc usage
 
 import axios from 'axios';
+import { once } from 'events';
 import fs from 'fs';
 import path from 'path';
-import { getPortalToken, httpsAgent } from './tokenService.js';
+import { setTimeout as sleep } from 'timers/promises';
+import ms from 'ms';
+import { getCachedWindow, isCacheEnabled, isClosedWindow, putCachedWindow } from './reportCache.js';
+import { normalizeRecord, normalizeRecords } from './recordNormalizer.js';
+import { observeSchema } from './schemaDrift.js';
+import { tenantConfig, tenantUrl } from './tenantRegistry.js';
+import { withPortalToken } from './tokenService.js';
+import { backoffTenant, tenantConcurrency, withUpstreamSlot } from './upstreamLimiter.js';
+import { httpsAgentFor } from './upstreamTls.js';
 
 const MAX_RETRIES = 3;
+const MAX_PAGE_SIZE = 500; // upstream returns at most this many rows per request
+const MIN_WINDOW_SEC = 1;   // smallest window bisection will split down to
+const SLICE_SEC = Math.max(60, Math.floor(ms(process.env.FETCH_SLICE || '3h') / 1000));
 
-const ENDPOINTS = {
-  // Raw CDRs
-  cdrs: '/api/v2/reports/cdrs/all',
-
-  // Queue-specific CDR summaries
-  queueCalls: '/api/v2/reports/queues_cdrs',                 // inbound queues
-  queueOutboundCalls: '/api/v2/reports/queues_outbound_cdrs', // outbound queues
-
-  // Campaign dialer lead activity
-  campaignsActivity: '/api/v2/reports/campaigns/leads/history'
-};
+// Endpoint paths are per tenant (tenantRegistry.js)
+export const REPORT_TYPES = ['cdrs', 'queueCalls', 'queueOutboundCalls', 'campaignsActivity'];
 
 /**
  * Convert an array of plain objects to a CSV string.
@@ -53,523 +68,523 @@ function toCsv(records, delimiter = ',') {
   return [header, ...rows].join('\n');
 }
 
+// Columns requested per report so durations, abandon flags etc. are returned;
+// campaignsActivity uses the upstream default set.
+const REPORT_FIELDS = {
+  cdrs: [
+    'call_id',
+    'caller_id_number',
+    'callee_id_number',
+    'disposition',
+    'subdisposition',
+    'follow_up_notes',
+    'timestamp'
+  ],
+  queueOutboundCalls: [
+    'called_time',
+    'agent_name',
+    'agent_ext',
+    'destination',
+    'answered_time',
+    'hangup_time',
+    'wait_duration',
+    'talked_duration',
+    'queue_name',
+    'queue_history',
+    'agent_history',
+    'agent_hangup',
+    'call_id',
+    'bleg_call_id',
+    'event_timestamp',
+    'agent_first_name',
+    'agent_last_name',
+    'agent_extension',
+    'agent_email',
+    'agent_talk_time',
+    'agent_connect_time',
+    'agent_action',
+    'agent_transfer',
+    'csat',
+    'media_recording_id',
+    'recording_filename',
+    'caller_id_name',
+    'caller_id_number',
+    'a_leg',
+    'to',
+    'interaction_id',
+    'agent_disposition',
+    'agent_subdisposition1',
+    'agent_subdisposition2'
+  ],
+  queueCalls: [
+    'called_time',
+    'caller_id_number',
+    'caller_id_name',
+    'answered_time',
+    'hangup_time',
+    'wait_duration',
+    'talked_duration',
+    'queue_name',
+    'abandoned',
+    'queue_history',
+    'agent_history',
+    'agent_attempts',
+    'agent_hangup',
+    'call_id',
+    'bleg_call_id',
+    'event_timestamp',
+    'agent_first_name',
+    'agent_last_name',
+    'agent_extension',
+    'agent_email',
+    'agent_talk_time',
+    'agent_connect_time',
+    'agent_action',
+    'agent_transfer',
+    'csat',
+    'media_recording_id',
+    'recording_filename',
+    'callee_id_number',
+    'a_leg',
+    'interaction_id',
+    'agent_disposition',
+    'agent_subdisposition1',
+    'agent_subdisposition2'
+  ]
+};
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumericKeyed = obj => {
+  const keys = Object.keys(obj);
+  return keys.length > 0 && keys.every(k => /^\d+$/.test(k));
+};
+
 /**
- * Flatten CDR records for CSV export.
- * CDR data often contains nested objects and arrays that need to be flattened.
+ * Pull the record list out of one upstream response. The endpoints disagree
+ * on the envelope: `data` / `rows` arrays, a bare array, objects keyed
+ * "0", "1", … and CDR items wrapping a `cdrs` array all occur.
+ * @returns {{records: object[], envelope: string}} the records and a label for
+ *   the shape they were found in (fingerprinted by schemaDrift.js).
  */
-function flattenCdrForCsv(records) {
-  if (!records || !Array.isArray(records)) return [];
-  
-  return records.map(record => {
-    const flattened = {};
-    
-    // Recursively flatten nested objects
-    function flattenObject(obj, prefix = '') {
-      for (const [key, value] of Object.entries(obj)) {
-        const newKey = prefix ? `${prefix}_${key}` : key;
-        
-        if (value === null || value === undefined) {
-          flattened[newKey] = '';
-        } else if (Array.isArray(value)) {
-          // For arrays, join with semicolon or take first element if objects
-          if (value.length === 0) {
-            flattened[newKey] = '';
-          } else if (typeof value[0] === 'object' && value[0] !== null) {
-            // If array contains objects, flatten the first one
-            flattenObject(value[0], newKey);
-            // Add array length info
-            flattened[`${newKey}_count`] = value.length;
-          } else {
-            // Simple array - join with semicolon
-            flattened[newKey] = value.join('; ');
-          }
-        } else if (typeof value === 'object' && value !== null) {
-          // Nested object - flatten recursively
-          flattenObject(value, newKey);
-        } else {
-          // Primitive value
-          flattened[newKey] = value;
-        }
-      }
+function unwrapPage(data) {
+  let items;
+  let envelope;
+  if (Array.isArray(data?.data)) {
+    items = data.data;
+    envelope = 'data[]';
+  } else if (Array.isArray(data)) {
+    // Some endpoints return an array at top-level
+    items = data;
+    envelope = '[]';
+  } else if (Array.isArray(data?.rows)) {
+    items = data.rows;
+    envelope = 'rows[]';
+  } else if (isPlainObject(data)) {
+    const { next_start_key, ...rest } = data;
+    const values = Object.values(rest);
+    if (!values.length) {
+      items = [];
+      envelope = '{}';
+    } else if (isNumericKeyed(rest)) {
+      // Object with numeric keys like {"0": {record}, "1": {record}, ...}
+      items = values;
+      envelope = '{0:}';
+    } else if (values.every(isPlainObject)) {
+      // Object of objects keyed by id (similar to agentStatus)
+      items = Object.entries(rest).map(([k, v]) => ({ key: k, ...v }));
+      envelope = '{id:}';
+    } else {
+      items = [data];
+      envelope = 'object';
     }
-    
-    flattenObject(record);
-    return flattened;
-  });
+  } else {
+    items = [];
+    envelope = typeof data;
+  }
+
+  const records = [];
+  const inner = new Set();
+  for (const item of items) {
+    if (!isPlainObject(item)) continue;
+    if (Array.isArray(item.cdrs)) {
+      records.push(...item.cdrs);
+      inner.add('cdrs[]');
+    } else if (isNumericKeyed(item)) {
+      // Item containing nested records with numeric keys
+      records.push(...Object.values(item));
+      inner.add('{0:}');
+    } else {
+      records.push(item);
+    }
+  }
+  if (inner.size) envelope += ` > ${[...inner].sort().join('|')}`;
+  return { records: records.filter(isPlainObject), envelope };
 }
 
 /**
- * Generic report fetcher with pagination + retries.
- *
- * @param {string} report   – one of keys in ENDPOINTS.
- * @param {string} tenant   – domain / account id.
- * @param {object} params   – query params (startDate/endDate etc).
- * @returns {Promise<object[]>}
+ * Reduce a queue row to the leg the tables show. Inbound queue rows come one
+ * per agent leg; the first leg's first agent is the one displayed. Outbound
+ * rows embed the full queue history – keep the oldest entry and leave
+ * agent_history intact. Applied after the cache so cached rows stay complete
+ * for callJourney.js.
  */
-export async function fetchReport(report, tenant, params = {}) {
-  if (!ENDPOINTS[report]) throw new Error(`Unknown report type: ${report}`);
+function firstLeg(report, record) {
+  if (report === 'queueCalls' && Array.isArray(record.agent_history) && record.agent_history.length > 1) {
+    return { ...record, agent_history: [record.agent_history[0]] };
+  }
+  if (report === 'queueOutboundCalls' && Array.isArray(record.queue_history) && record.queue_history.length > 1) {
+    return { ...record, queue_history: [record.queue_history[0]] };
+  }
+  return record;
+}
 
-  const url = `${process.env.BASE_URL}${ENDPOINTS[report]}`;
-  let token;
-  const out = [];
-  let startKey;
-  const seenStartKeys = new Set(); // Track seen start keys to detect infinite loops
-  let consecutiveSameKey = 0; // Count consecutive same keys
+/**
+ * Identity used to drop repeated records within one run. For inbound queue
+ * reports this keeps only the first leg of each call.
+ */
+function recordId(record) {
+  if (record.call_id) return record.call_id;
+  return `${record.caller_id_number || ''}_${record.callee_id_number || ''}_${record.timestamp || ''}_${record.called_time || ''}`;
+}
 
-  retry: for (let attempt = 0, delay = 1_000; attempt < MAX_RETRIES; attempt++, delay *= 2) {
-    try {
-      while (true) {
-        const qs = {
-          ...params,
-          // Request specific fields for CDRs
-          ...(report === 'cdrs' && {
-            fields: [
-              'call_id',
-              'caller_id_number',
-              'callee_id_number',
-              'disposition',
-              'subdisposition',
-              'follow_up_notes',
-              'timestamp'
-            ].join(',')
-          }),
-          // Request full set of columns for queue reports so duration, abandon etc. are returned
-          ...(report === 'queueOutboundCalls' && {
-            fields: [
-              'called_time',
-              'agent_name',
-              'agent_ext',
-              'destination',
-              'answered_time',
-              'hangup_time',
-              'wait_duration',
-              'talked_duration',
-              'queue_name',
-              'queue_history',
-              'agent_history',
-              'agent_hangup',
-              'call_id',
-              'bleg_call_id',
-              'event_timestamp',
-              'agent_first_name',
-              'agent_last_name',
-              'agent_extension',
-              'agent_email',
-              'agent_talk_time',
-              'agent_connect_time',
-              'agent_action',
-              'agent_transfer',
-              'csat',
-              'media_recording_id',
-              'recording_filename',
-              'caller_id_name',
-              'caller_id_number',
-              'a_leg',
-              'to',
-              'interaction_id',
-              'agent_disposition',
-              'agent_subdisposition1',
-              'agent_subdisposition2'
-            ].join(',')
-          }),
-          ...(report === 'queueCalls' && {
-            fields: [
-              'called_time',
-              'caller_id_number',
-              'caller_id_name',
-              'answered_time',
-              'hangup_time',
-              'wait_duration',
-              'talked_duration',
-              'queue_name',
-              'abandoned',
-              'queue_history',
-              'agent_history',
-              'agent_attempts',
-              'agent_hangup',
-              'call_id',
-              'bleg_call_id',
-              'event_timestamp',
-              'agent_first_name',
-              'agent_last_name',
-              'agent_extension',
-              'agent_email',
-              'agent_talk_time',
-              'agent_connect_time',
-              'agent_action',
-              'agent_transfer',
-              'csat',
-              'media_recording_id',
-              'recording_filename',
-              'callee_id_number',
-              'a_leg',
-              'interaction_id',
-              'agent_disposition',
-              'agent_subdisposition1',
-              'agent_subdisposition2'
-            ].join(',')
-          }),
-          ...(startKey && { start_key: startKey })
-        };
+// Identity of a single leg – queue rows share call_id across agent legs
+function legId(record) {
+  return `${recordId(record)}|${record.bleg_call_id || ''}|${record.event_timestamp || ''}`;
+}
 
-        // Acquire/refresh token for every loop iteration (cheap due to cache)
-        token = await getPortalToken(tenant);
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const at = Date.parse(header);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
 
-        console.log(`Fetching ${report} data${startKey ? ` (page with start_key: ${startKey})` : ''}...`);
-        const startTime = Date.now();
+/**
+ * One upstream GET through the shared limiter (upstreamLimiter.js), retried
+ * with exponential backoff on network errors, 429 and 5xx. A 429 also pauses
+ * the whole tenant for Retry-After (or the backoff delay). An aborted
+ * `signal` cancels the in-flight request and any pending retry.
+ */
+async function requestPage(report, tenant, qs, signal) {
+  const url = tenantUrl(tenant, report);
+  const { accountHeader } = tenantConfig(tenant);
 
+  for (let attempt = 0, delay = 1_000; ; attempt++, delay *= 2) {
+    signal?.throwIfAborted();
+    try {
+      return await withUpstreamSlot(tenant, () => withPortalToken(tenant, async token => {
         const { data } = await axios.get(url, {
           params: qs,
           headers: {
             Authorization: `Bearer ${token}`,
             'X-User-Agent': 'portal',
-            'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? tenant
+            'X-Account-ID': accountHeader
           },
-          httpsAgent,
+          httpsAgent: httpsAgentFor(tenant),
+          signal,
           timeout: 300000, // 5 minutes timeout for large datasets
           maxContentLength: Infinity,
           maxBodyLength: Infinity
         });
+        return data;
+      }), { signal });
+    } catch (err) {
+      const status = err.response?.status;
+      const retryable = !err.response || status === 429 || status >= 500;
+      if (signal?.aborted || axios.isCancel(err) || !retryable || attempt === MAX_RETRIES - 1) throw err;
+
+      // Jitter keeps parallel slices from retrying in lock-step
+      const wait = (status === 429 && retryAfterMs(err.response.headers?.['retry-after'])) || delay + Math.floor(Math.random() * 250);
+      if (status === 429) backoffTenant(tenant, wait);
+      console.warn(`Report fetch failed (${status || err.message}); retrying in ${wait}ms…`);
+      await sleep(wait, undefined, { signal });
+    }
+  }
+}
 
-        const fetchTime = Date.now() - startTime;
-        console.log(`✅ Fetch completed in ${fetchTime}ms`);
+/**
+ * Fetch one page of raw records (no de-duplication).
+ * @returns {Promise<{records: object[], nextStartKey: string|null, rawCount: number}>}
+ */
+async function fetchPage(report, tenant, qs, ctx) {
+  ctx.stats.requests++;
+  const data = await requestPage(report, tenant, qs, ctx.signal);
+  const { records: raw, envelope } = unwrapPage(data);
+  observeSchema(report, tenant, envelope, raw);
+  return {
+    records: raw,
+    nextStartKey: data?.next_start_key || null,
+    rawCount: raw.length
+  };
+}
 
-        let chunk;
-        if (Array.isArray(data.data)) {
-          chunk = data.data;
-        } else if (Array.isArray(data)) {
-          // Some endpoints return an array at top-level
-          chunk = data;
-        } else if (data.rows && Array.isArray(data.rows)) {
-          chunk = data.rows;
-        } else if (data && typeof data === 'object') {
-          // Handle object with numeric keys (CDR data structure)
-          const keys = Object.keys(data);
-          if (keys.length > 0 && keys.every(k => /^\d+$/.test(k))) {
-            // This is an object with numeric keys like {"0": {record}, "1": {record}, ...}
-            chunk = Object.values(data);
-            console.log(`🔧 Converted object with ${keys.length} numeric keys to array`);
-          } else {
-            // fallback – attempt to flatten object of objects (similar to agentStatus)
-            chunk = Object.entries(data).map(([k, v]) => ({ key: k, ...v }));
-          }
-        } else {
-          chunk = [];
-        }
-        out.push(...chunk);
+/**
+ * Follow next_start_key for one set of params, yielding raw pages.
+ */
+async function* followPages(report, tenant, params, ctx, { startKey = null, maxPages = Infinity } = {}) {
+  const seenStartKeys = new Set(); // Track seen start keys to detect infinite loops
+  let currentKey = startKey;
+
+  for (let page = 1; page <= maxPages && ctx.yielded < ctx.limit; page++) {
+    const remaining = ctx.limit - ctx.yielded;
+    const qs = {
+      ...params,
+      ...(REPORT_FIELDS[report] && { fields: REPORT_FIELDS[report].join(',') }),
+      // Cached windows must be complete, so a cache-backed run never trims pages
+      ...(Number.isFinite(remaining) && params.limit == null && !ctx.cache && { limit: remaining }),
+      ...(currentKey && { start_key: currentKey })
+    };
+
+    console.log(`Fetching ${report} data${currentKey ? ` (page with start_key: ${currentKey})` : ''}...`);
+    const result = await fetchPage(report, tenant, qs, ctx);
+
+    if (result.nextStartKey && (result.nextStartKey === currentKey || seenStartKeys.has(result.nextStartKey))) {
+      console.error(`🚫 Infinite loop detected! start_key ${result.nextStartKey} was already processed. Breaking pagination.`);
+      result.nextStartKey = null;
+    }
 
-        console.log(`📊 Processed ${chunk.length} records (total: ${out.length})`);
+    yield { ...result, page };
 
-        if (data.next_start_key) {
-          // Check for infinite loop - same start_key returned multiple times
-          if (startKey === data.next_start_key) {
-            consecutiveSameKey++;
-            console.warn(`⚠️  Same start_key returned ${consecutiveSameKey} times: ${data.next_start_key}`);
-            
-            if (consecutiveSameKey >= 3) {
-              console.error(`🚫 Infinite loop detected! Same start_key returned ${consecutiveSameKey} times. Breaking pagination.`);
-              break;
-            }
-          } else {
-            consecutiveSameKey = 0; // Reset counter when key changes
-          }
+    if (!result.nextStartKey) return;
+    seenStartKeys.add(result.nextStartKey);
+    currentKey = result.nextStartKey;
+  }
+}
 
-          // Check if we've seen this start_key before (broader infinite loop detection)
-          if (seenStartKeys.has(data.next_start_key)) {
-            console.error(`🚫 Infinite loop detected! start_key ${data.next_start_key} was already processed. Breaking pagination.`);
-            break;
-          }
-          
-          seenStartKeys.add(data.next_start_key);
-          startKey = data.next_start_key;
-          console.log(`🔄 More data available, continuing with next page...`);
-        } else {
-          console.log(`✅ All data fetched. Total records: ${out.length}`);
-          break; // no more pages
-        }
-      }
-      break retry; // success
-    } catch (err) {
-      if (attempt === MAX_RETRIES - 1) throw err;
-      console.warn(`Report fetch failed (${err.message}); retrying in ${delay}ms…`);
-      await new Promise(r => setTimeout(r, delay));
+/**
+ * Fetch [from, to] and, when the first page comes back saturated at the
+ * page cap without a next_start_key, drop it and fetch both halves instead –
+ * recursively, until every sub-window is below the cap.
+ */
+async function* bisectWindow(report, tenant, params, from, to, ctx) {
+  ctx.stats.windows++;
+  let split = false;
+
+  for await (const page of followPages(report, tenant, { ...params, startDate: from, endDate: to }, ctx)) {
+    const saturated = page.page === 1 && !page.nextStartKey && page.rawCount >= MAX_PAGE_SIZE;
+    if (saturated && to - from > MIN_WINDOW_SEC) {
+      split = true;
+      break;
     }
+    if (saturated) {
+      ctx.stats.saturated++;
+      console.warn(`⚠️  ${report}: ${MAX_PAGE_SIZE}+ rows within ${to - from}s at ${new Date(from * 1000).toISOString()} – window cannot be split further, results may be incomplete`);
+    }
+    yield page;
   }
+  if (!split) return;
 
-  // ---------------------------------------------------------------------------
-  // Post-processing helpers
-  if (report === 'queueCalls' || report === 'queueOutboundCalls') {
-    // Derive durations if the backend omitted them (older Talkdesk tenants)
-    out.forEach(record => {
-      // Talked duration
-      if (!record.talked_duration && record.hangup_time && record.answered_time) {
-        record.talked_duration = record.hangup_time - record.answered_time;
-      }
-      // Wait / queue duration
-      if (!record.wait_duration && record.called_time) {
-        if (record.answered_time) {
-          record.wait_duration = record.answered_time - record.called_time;
-        } else if (record.hangup_time) {
-          record.wait_duration = record.hangup_time - record.called_time;
-        }
-      }
-    });
-  }
+  ctx.stats.splits++;
+  const mid = from + Math.floor((to - from) / 2);
+  console.log(`🕐 ${report}: window ${new Date(from * 1000).toISOString()} → ${new Date(to * 1000).toISOString()} hit the ${MAX_PAGE_SIZE}-row cap, splitting`);
+  yield* bisectWindow(report, tenant, params, from, mid, ctx);
+  if (ctx.yielded < ctx.limit) yield* bisectWindow(report, tenant, params, mid, to, ctx);
+}
 
-  // For inbound queue reports Talkdesk returns one row per agent leg.
-  // When the consumer only needs a single row per call we keep the *first*
-  // occurrence for each call_id (usually the initial `dial` leg) and drop the rest.
-  if (report === 'queueCalls') {
-    const seen = new Set();
-    const firstRows = [];
-    for (const rec of out) {
-      // If the row is missing a call_id we cannot group it – keep it.
-      if (!rec.call_id) {
-        firstRows.push(rec);
-        continue;
-      }
-      if (!seen.has(rec.call_id)) {
-        seen.add(rec.call_id);
-        firstRows.push(rec);
-      }
+/**
+ * One slice of a range. Closed windows come from reportCache.js when
+ * present; otherwise the slice is fetched and, if it was read in full and
+ * has closed by now, stored for the next query.
+ */
+async function* sliceWindow(report, tenant, params, from, to, ctx) {
+  const cacheable = ctx.cache && isClosedWindow(to);
+  if (cacheable) {
+    const records = await getCachedWindow(tenant, report, from, to);
+    if (records) {
+      ctx.stats.cacheHits++;
+      yield { records, nextStartKey: null, rawCount: records.length, page: 1 };
+      return;
     }
+    ctx.stats.cacheMisses++;
+  }
 
-    // Each first row may still contain a multi-entry agent_history array; keep only
-    // its first element if so.
-    firstRows.forEach(r => {
-      if (Array.isArray(r.agent_history) && r.agent_history.length > 1) {
-        r.agent_history = [r.agent_history[0]];
-      }
-    });
+  const saturatedBefore = ctx.stats.saturated;
+  const records = [];
+  for await (const page of bisectWindow(report, tenant, params, from, to, ctx)) {
+    if (cacheable) records.push(...page.records);
+    yield page;
+  }
+  // Not cached when stopped by the limit or abort, or when a window stayed saturated
+  const complete = ctx.yielded < ctx.limit && !ctx.signal.aborted && ctx.stats.saturated === saturatedBefore;
+  if (cacheable && complete) await putCachedWindow(tenant, report, from, to, records);
+}
 
-    return firstRows;
+/**
+ * Fetch [from, to] in SLICE-sized windows, several at a time (bounded by the
+ * per-tenant limit), and yield their pages in chronological order. Slices
+ * still in flight when the consumer stops are aborted.
+ */
+async function* parallelSlices(report, tenant, params, from, to, sliceSec, ctx) {
+  // Slice edges sit on a fixed sliceSec grid so overlapping queries share cache keys
+  const slices = [];
+  for (let start = from; start < to;) {
+    const end = Math.min((Math.floor(start / sliceSec) + 1) * sliceSec, to);
+    slices.push([start, end]);
+    start = end;
+  }
+  ctx.stats.slices = slices.length;
+  if (slices.length === 1) {
+    yield* sliceWindow(report, tenant, params, from, to, ctx);
+    ctx.stats.slicesDone = 1;
+    return;
   }
 
-  // For outbound queue reports the API returns one row but embeds full
-  // queue history as an array.  Keep only the first queue_history element
-  // (oldest) while leaving the full agent_history intact.
-  if (report === 'queueOutboundCalls') {
-    out.forEach(rec => {
-      if (Array.isArray(rec.queue_history) && rec.queue_history.length > 1) {
-        rec.queue_history = [rec.queue_history[0]];
-      }
-    });
-    return out;
+  const collectSlice = async ([start, end]) => {
+    const pages = [];
+    for await (const page of sliceWindow(report, tenant, params, start, end, ctx)) pages.push(page);
+    return pages;
+  };
+
+  const lookahead = tenantConcurrency();
+  const pending = [];
+  let next = 0;
+  const fill = () => {
+    while (pending.length < lookahead && next < slices.length) {
+      const task = collectSlice(slices[next++]);
+      task.catch(() => {}); // surfaced when awaited in order
+      pending.push(task);
+    }
+  };
+
+  fill();
+  while (pending.length) {
+    const pages = await pending.shift();
+    ctx.stats.slicesDone++;
+    if (!pages.length) yield { records: [], nextStartKey: null }; // still report progress
+    for (const page of pages) yield page;
+    if (ctx.yielded >= ctx.limit) return;
+    fill();
   }
+}
 
-  // Process each item in rawData
-  for (const item of out) {
-    if (item && typeof item === 'object') {
-      // Check if this item has a 'cdrs' property (CDR-specific structure)
-      if (item.cdrs && Array.isArray(item.cdrs)) {
-        console.log(`🔧 Found CDR data with ${item.cdrs.length} records in 'cdrs' property`);
-        
-        // Process each CDR record to flatten fonoUC fields
-        const processedCdrs = item.cdrs.map(cdr => {
-          const processedCdr = { ...cdr };
-          
-          // Flatten fonoUC fields to root level
-          if (cdr.fonoUC) {
-            // Prioritize fonoUC.disposition over root disposition
-            if (cdr.fonoUC.disposition) {
-              processedCdr.disposition = cdr.fonoUC.disposition;
-            }
-            
-            if (cdr.fonoUC.follow_up_notes) {
-              processedCdr.follow_up_notes = cdr.fonoUC.follow_up_notes;
-            }
-            
-            // Handle nested subdisposition structure
-            if (cdr.fonoUC.subdisposition) {
-              // Extract Sub-Disposition-1 (first level)
-              if (cdr.fonoUC.subdisposition.name) {
-                processedCdr.sub_disposition_1 = cdr.fonoUC.subdisposition.name;
-              }
-              
-              // Extract Sub-Disposition-2 (second level)
-              if (cdr.fonoUC.subdisposition.subdisposition && cdr.fonoUC.subdisposition.subdisposition.name) {
-                processedCdr.sub_disposition_2 = cdr.fonoUC.subdisposition.subdisposition.name;
-              }
-              
-              // Keep the original subdisposition for backward compatibility
-              if (typeof cdr.fonoUC.subdisposition === 'string') {
-                processedCdr.subdisposition = cdr.fonoUC.subdisposition;
-              } else if (cdr.fonoUC.subdisposition.name) {
-                // Check for deeply nested subdisposition
-                if (cdr.fonoUC.subdisposition.subdisposition && cdr.fonoUC.subdisposition.subdisposition.name) {
-                  processedCdr.subdisposition = `${cdr.fonoUC.subdisposition.name} - ${cdr.fonoUC.subdisposition.subdisposition.name}`;
-                } else {
-                  processedCdr.subdisposition = cdr.fonoUC.subdisposition.name;
-                }
-              }
-            }
-          }
-          
-          return processedCdr;
-        });
-        
-        return processedCdrs;
+/**
+ * Stream a report page by page.
+ *
+ * Follows next_start_key until the upstream runs out or `limit` records have
+ * been yielded. When params carry a startDate/endDate range, any window that
+ * comes back saturated at the 500-row page cap is bisected until every
+ * sub-window is below the cap, so the result is complete for any range.
+ * Long ranges are cut into `sliceSec` windows (FETCH_SLICE, default 3h)
+ * that are fetched in parallel within the upstreamLimiter.js limits.
+ * Records are yielded raw (history trimmed to the displayed leg, see
+ * recordNormalizer.js for the canonical row) and records already yielded in
+ * this run are skipped, so callers can process each page as it arrives instead of
+ * buffering the whole report. With `keepLegs` every leg of a call is yielded
+ * with its full agent / queue history (see callJourney.js).
+ *
+ * Slices that closed more than REPORT_CACHE_SETTLE ago are read from and
+ * written to reportCache.js; the open tail of the range is always fetched.
+ *
+ * Pass a `stats` object to follow progress and read the upstream call count:
+ * { requests, windows, splits, saturated, slices, slicesDone, cacheHits,
+ * cacheMisses } – it is kept current while pages are yielded.
+ *
+ * @param {string} report   – one of REPORT_TYPES.
+ * @param {string} tenant   – domain / account id.
+ * @param {object} params   – query params (startDate/endDate etc).
+ * @param {object} [opts]
+ * @param {number} [opts.limit]      – stop after this many records.
+ * @param {AbortSignal} [opts.signal] – aborts the current request and stops iteration.
+ * @param {string} [opts.startKey]   – resume from a previous page's nextStartKey.
+ * @param {number} [opts.maxPages]   – fetch at most this many pages (disables bisection).
+ * @param {boolean} [opts.bisect]    – set false to page with start_key only.
+ * @param {number} [opts.sliceSec]   – parallel slice size in seconds.
+ * @param {boolean} [opts.cache]     – set false to bypass reportCache.js.
+ * @param {boolean} [opts.keepLegs]  – yield every leg instead of the first per call_id.
+ * @param {object} [opts.stats]      – filled with upstream call counters.
+ * @yields {{records: object[], nextStartKey: string|null, page: number}}
+ */
+export async function* iterateReport(report, tenant, params = {}, { limit = Infinity, signal, startKey = null, maxPages = Infinity, bisect = true, sliceSec = SLICE_SEC, cache = true, keepLegs = false, stats = {} } = {}) {
+  if (!REPORT_TYPES.includes(report)) throw new Error(`Unknown report type: ${report}`);
+
+  Object.assign(stats, { requests: 0, windows: 0, splits: 0, saturated: 0, slices: 1, slicesDone: 0, cacheHits: 0, cacheMisses: 0 });
+
+  const from = Number(params.startDate);
+  const to = Number(params.endDate);
+  const bisected = bisect && params.startDate != null && params.endDate != null && to > from && !startKey && maxPages === Infinity;
+  // Cache keys only cover tenant / report / window, so extra upstream params bypass the cache
+  const cached = cache && bisected && isCacheEnabled() &&
+    Object.keys(params).every(key => key === 'startDate' || key === 'endDate');
+
+  // Internal abort so parallel slices stop when the consumer does
+  const done = new AbortController();
+  const ctx = { limit, signal: signal ? AbortSignal.any([signal, done.signal]) : done.signal, stats, yielded: 0, cache: cached };
+  const source = bisected
+    ? parallelSlices(report, tenant, params, from, to, Math.max(MIN_WINDOW_SEC, sliceSec), ctx)
+    : followPages(report, tenant, params, ctx, { startKey, maxPages });
+
+  const seenRecords = new Set();
+  const startTime = Date.now();
+  let page = 0;
+
+  try {
+    for await (const result of source) {
+      const records = [];
+      for (const record of result.records) {
+        if (ctx.yielded + records.length >= limit) break;
+        const id = keepLegs ? legId(record) : recordId(record);
+        if (seenRecords.has(id)) continue;
+        seenRecords.add(id);
+        records.push(keepLegs ? record : firstLeg(report, record));
       }
+      ctx.yielded += records.length;
+      page++;
+      console.log(`📊 ${report} page ${page}: ${records.length} records (total: ${ctx.yielded})`);
+
+      yield { records, nextStartKey: result.nextStartKey, page };
+      if (ctx.yielded >= limit) break;
     }
+  } finally {
+    done.abort();
   }
 
+  console.log(`📡 ${report}: ${ctx.yielded} records from ${stats.requests} upstream call(s)` +
+    `${stats.cacheHits ? `, ${stats.cacheHits} cached window(s)` : ''}` +
+    `${stats.splits ? `, ${stats.splits} window split(s)` : ''} in ${Date.now() - startTime}ms`);
+}
+
+async function collect(pages) {
+  const out = [];
+  for await (const { records } of pages) out.push(...records);
   return out;
 }
 
+/**
+ * Fetch every record of a report (all pages, all sub-windows).
+ *
+ * @param {string} report   – one of REPORT_TYPES.
+ * @param {string} tenant   – domain / account id.
+ * @param {object} params   – query params (startDate/endDate etc).
+ * @param {object} [opts]   – { signal, stats }
+ * @returns {Promise<object[]>}
+ */
+export async function fetchReport(report, tenant, params = {}, { signal, stats } = {}) {
+  return collect(iterateReport(report, tenant, params, { signal, stats }));
+}
+
 /**
  * Paginated report fetcher for lazy loading/infinite scroll.
  * Fetches a limited number of records and returns pagination info.
  *
- * @param {string} report   – one of keys in ENDPOINTS.
+ * @param {string} report   – one of REPORT_TYPES.
  * @param {string} tenant   – domain / account id.
  * @param {object} params   – query params (startDate/endDate etc).
  * @param {number} limit    – maximum number of records to fetch (default: 5).
  * @param {string} startKey – pagination start key for next page.
+ * @param {object} [opts]   – { signal }
  * @returns {Promise<{data: object[], hasMore: boolean, nextStartKey: string|null}>}
  */
-export async function fetchReportPaginated(report, tenant, params = {}, limit = 5, startKey = null) {
-  if (!ENDPOINTS[report]) throw new Error(`Unknown report type: ${report}`);
-
-  const url = `${process.env.BASE_URL}${ENDPOINTS[report]}`;
-  let token;
-  const out = [];
-  let currentStartKey = startKey;
-
-  for (let attempt = 0, delay = 1_000; attempt < 3; attempt++, delay *= 2) {
-    try {
-      // Continue fetching until we have enough records or no more data
-      while (out.length < limit) {
-        const qs = {
-          ...params,
-          // Request specific fields for CDRs
-          ...(report === 'cdrs' && {
-            fields: [
-              'call_id',
-              'caller_id_number',
-              'callee_id_number',
-              'disposition',
-              'subdisposition',
-              'follow_up_notes',
-              'timestamp'
-            ].join(',')
-          }),
-          // Add specific field configurations for different report types
-          ...(report === 'queueOutboundCalls' && {
-            fields: [
-              'called_time', 'agent_name', 'agent_ext', 'destination', 'answered_time',
-              'hangup_time', 'wait_duration', 'talked_duration', 'queue_name',
-              'queue_history', 'agent_history', 'agent_hangup', 'call_id', 'bleg_call_id',
-              'event_timestamp', 'agent_first_name', 'agent_last_name', 'agent_extension',
-              'agent_email', 'agent_talk_time', 'agent_connect_time', 'agent_action',
-              'agent_transfer', 'csat', 'media_recording_id', 'recording_filename',
-              'caller_id_name', 'caller_id_number', 'a_leg', 'to', 'interaction_id',
-              'agent_disposition', 'agent_subdisposition1', 'agent_subdisposition2'
-            ].join(',')
-          }),
-          ...(report === 'queueCalls' && {
-            fields: [
-              'called_time', 'caller_id_number', 'caller_id_name', 'answered_time',
-              'hangup_time', 'wait_duration', 'talked_duration', 'queue_name', 'abandoned',
-              'queue_history', 'agent_history', 'agent_attempts', 'agent_hangup',
-              'call_id', 'bleg_call_id', 'event_timestamp', 'agent_first_name',
-              'agent_last_name', 'agent_extension', 'agent_email', 'agent_talk_time',
-              'agent_connect_time', 'agent_action', 'agent_transfer', 'csat',
-              'media_recording_id', 'recording_filename', 'callee_id_number', 'a_leg',
-              'interaction_id', 'agent_disposition', 'agent_subdisposition1', 'agent_subdisposition2'
-            ].join(',')
-          }),
-          ...(currentStartKey && { start_key: currentStartKey })
-        };
-
-        // Acquire/refresh token
-        token = await getPortalToken(tenant);
-
-        console.log(`Fetching ${report} data (paginated, limit: ${limit})${currentStartKey ? ` with start_key: ${currentStartKey}` : ''}...`);
-        const startTime = Date.now();
-
-        const { data } = await axios.get(url, {
-          params: qs,
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'X-User-Agent': 'portal',
-            'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? tenant
-          },
-          httpsAgent,
-          timeout: 300000,
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity
-        });
-
-        const fetchTime = Date.now() - startTime;
-        console.log(`✅ Paginated fetch completed in ${fetchTime}ms`);
-
-        // Parse response data
-        let chunk;
-        if (Array.isArray(data.data)) {
-          chunk = data.data;
-        } else if (Array.isArray(data)) {
-          chunk = data;
-        } else if (data.rows && Array.isArray(data.rows)) {
-          chunk = data.rows;
-        } else if (data && typeof data === 'object') {
-          // Handle object with numeric keys (CDR data structure)
-          const keys = Object.keys(data);
-          if (keys.length > 0 && keys.every(k => /^\d+$/.test(k))) {
-            // This is an object with numeric keys like {"0": {record}, "1": {record}, ...}
-            chunk = Object.values(data);
-            console.log(`🔧 Converted object with ${keys.length} numeric keys to array`);
-          } else {
-            // fallback – attempt to flatten object of objects (similar to agentStatus)
-            chunk = Object.entries(data).map(([k, v]) => ({ key: k, ...v }));
-          }
-        } else {
-          chunk = [];
-        }
-
-        // Add records up to the limit
-        const remainingSlots = limit - out.length;
-        const recordsToAdd = chunk.slice(0, remainingSlots);
-        out.push(...recordsToAdd);
-
-        console.log(`📊 Added ${recordsToAdd.length} records (total: ${out.length}/${limit})`);
-
-        // Check if we have more data available
-        if (data.next_start_key) {
-          currentStartKey = data.next_start_key;
-          
-          // If we've reached our limit but there's more data, return with pagination info
-          if (out.length >= limit) {
-            console.log(`✅ Reached limit of ${limit} records. More data available.`);
-            return {
-              data: out,
-              hasMore: true,
-              nextStartKey: currentStartKey
-            };
-          }
-        } else {
-          // No more data available
-          console.log(`✅ All available data fetched. Total records: ${out.length}`);
-          return {
-            data: out,
-            hasMore: false,
-            nextStartKey: null
-          };
-        }
-      }
-
-      // If we exit the while loop, we've reached the limit
-      return {
-        data: out,
-        hasMore: !!currentStartKey,
-        nextStartKey: currentStartKey
-      };
-
-    } catch (err) {
-      if (attempt === 2) throw err; // Last attempt
-      console.warn(`Paginated report fetch failed (${err.message}); retrying in ${delay}ms…`);
-      await new Promise(r => setTimeout(r, delay));
-    }
+export async function fetchReportPaginated(report, tenant, params = {}, limit = 5, startKey = null, { signal } = {}) {
+  const data = [];
+  let nextStartKey = null;
+  // start_key paging only – a bisected range has no single cursor to resume from
+  for await (const page of iterateReport(report, tenant, params, { limit, startKey, bisect: false, signal })) {
+    data.push(...page.records);
+    nextStartKey = page.nextStartKey;
   }
+  return { data, hasMore: Boolean(nextStartKey), nextStartKey };
 }
 
 /**
@@ -577,498 +592,39 @@ export async function fetchReportPaginated(report, tenant, params = {}, limit =
  * This is useful when you want to limit the response to a manageable size
  * and align data according to headers without fetching all available records.
  *
- * @param {string} report   – one of keys in ENDPOINTS.
+ * @param {string} report   – one of REPORT_TYPES.
  * @param {string} tenant   – domain / account id.
  * @param {object} params   – query params (startDate/endDate etc).
  * @param {number} limit    – maximum number of records to fetch (optional).
+ * @param {object} [opts]   – { signal }
  * @returns {Promise<object[]>}
  */
-export async function fetchReportSinglePage(report, tenant, params = {}, limit = null) {
-  if (!ENDPOINTS[report]) throw new Error(`Unknown report type: ${report}`);
-
-  const url = `${process.env.BASE_URL}${ENDPOINTS[report]}`;
-  let token;
-
-  for (let attempt = 0, delay = 1_000; attempt < MAX_RETRIES; attempt++, delay *= 2) {
-    try {
-      const qs = {
-        ...params,
-        // Add limit if specified
-        ...(limit && { limit }),
-        // Request specific fields for CDRs
-        ...(report === 'cdrs' && {
-          fields: [
-            'call_id',
-            'caller_id_number',
-            'callee_id_number',
-            'disposition',
-            'subdisposition',
-            'follow_up_notes',
-            'timestamp'
-          ].join(',')
-        }),
-        // Request full set of columns for queue reports
-        ...(report === 'queueOutboundCalls' && {
-          fields: [
-            'called_time',
-            'agent_name',
-            'agent_ext',
-            'destination',
-            'answered_time',
-            'hangup_time',
-            'wait_duration',
-            'talked_duration',
-            'queue_name',
-            'queue_history',
-            'agent_history',
-            'agent_hangup',
-            'call_id',
-            'bleg_call_id',
-            'event_timestamp',
-            'agent_first_name',
-            'agent_last_name',
-            'agent_extension',
-            'agent_email',
-            'agent_talk_time',
-            'agent_connect_time',
-            'agent_action',
-            'agent_transfer',
-            'csat',
-            'media_recording_id',
-            'recording_filename',
-            'caller_id_name',
-            'caller_id_number',
-            'a_leg',
-            'to',
-            'interaction_id',
-            'agent_disposition',
-            'agent_subdisposition1',
-            'agent_subdisposition2'
-          ].join(',')
-        }),
-        // Same for inbound queue calls
-        ...(report === 'queueCalls' && {
-          fields: [
-            'called_time',
-            'caller_id_number',
-            'caller_id_name',
-            'answered_time',
-            'hangup_time',
-            'wait_duration',
-            'talked_duration',
-            'queue_name',
-            'abandoned',
-            'queue_history',
-            'agent_history',
-            'agent_attempts',
-            'agent_hangup',
-            'call_id',
-            'bleg_call_id',
-            'event_timestamp',
-            'agent_first_name',
-            'agent_last_name',
-            'agent_extension',
-            'agent_email',
-            'agent_talk_time',
-            'agent_connect_time',
-            'agent_action',
-            'agent_transfer',
-            'csat',
-            'media_recording_id',
-            'recording_filename',
-            'callee_id_number',
-            'a_leg',
-            'interaction_id',
-            'agent_disposition',
-            'agent_subdisposition1',
-            'agent_subdisposition2'
-          ].join(',')
-        })
-      };
-
-      // Acquire token
-      token = await getPortalToken(tenant);
-
-      console.log(`Fetching single page of ${report} data${limit ? ` (limit: ${limit})` : ''}...`);
-      const startTime = Date.now();
-
-      const { data } = await axios.get(url, {
-        params: qs,
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'X-User-Agent': 'portal',
-          'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? tenant
-        },
-        httpsAgent,
-        timeout: 300000, // 5 minutes timeout
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity
-      });
-
-      const fetchTime = Date.now() - startTime;
-      console.log(`✅ Single page fetch completed in ${fetchTime}ms`);
-
-      let records = [];
-      
-      // Handle different response structures
-      let rawData;
-      if (Array.isArray(data.data)) {
-        rawData = data.data;
-      } else if (Array.isArray(data)) {
-        rawData = data;
-      } else if (data.rows && Array.isArray(data.rows)) {
-        rawData = data.rows;
-      } else if (data && typeof data === 'object') {
-        // Handle object with numeric keys (CDR data structure)
-        const keys = Object.keys(data);
-        if (keys.length > 0 && keys.every(k => /^\d+$/.test(k))) {
-          rawData = Object.values(data);
-          console.log(`🔧 Converted object with ${keys.length} numeric keys to array`);
-        } else {
-          rawData = [data]; // Wrap single object in array
-        }
-      } else {
-        rawData = [];
-      }
-
-      // Process each item in rawData
-      for (const item of rawData) {
-        if (item && typeof item === 'object') {
-          // Check if this item has a 'cdrs' property (CDR-specific structure)
-          if (item.cdrs && Array.isArray(item.cdrs)) {
-            console.log(`🔧 Found CDR data with ${item.cdrs.length} records in 'cdrs' property`);
-            
-            // Process each CDR record to flatten fonoUC fields
-            const processedCdrs = item.cdrs.map(cdr => {
-              const processedCdr = { ...cdr };
-              
-              // Flatten fonoUC fields to root level
-              if (cdr.fonoUC) {
-                // Prioritize fonoUC.disposition over root disposition
-                if (cdr.fonoUC.disposition) {
-                  processedCdr.disposition = cdr.fonoUC.disposition;
-                }
-                
-                if (cdr.fonoUC.follow_up_notes) {
-                  processedCdr.follow_up_notes = cdr.fonoUC.follow_up_notes;
-                }
-                
-                // Handle nested subdisposition structure
-                if (cdr.fonoUC.subdisposition) {
-                  // Extract Sub-Disposition-1 (first level)
-                  if (cdr.fonoUC.subdisposition.name) {
-                    processedCdr.sub_disposition_1 = cdr.fonoUC.subdisposition.name;
-                  }
-                  
-                  // Extract Sub-Disposition-2 (second level)
-                  if (cdr.fonoUC.subdisposition.subdisposition && cdr.fonoUC.subdisposition.subdisposition.name) {
-                    processedCdr.sub_disposition_2 = cdr.fonoUC.subdisposition.subdisposition.name;
-                  }
-                  
-                  // Keep the original subdisposition for backward compatibility
-                  if (typeof cdr.fonoUC.subdisposition === 'string') {
-                    processedCdr.subdisposition = cdr.fonoUC.subdisposition;
-                  } else if (cdr.fonoUC.subdisposition.name) {
-                    // Check for deeply nested subdisposition
-                    if (cdr.fonoUC.subdisposition.subdisposition && cdr.fonoUC.subdisposition.subdisposition.name) {
-                      processedCdr.subdisposition = `${cdr.fonoUC.subdisposition.name} - ${cdr.fonoUC.subdisposition.subdisposition.name}`;
-                    } else {
-                      processedCdr.subdisposition = cdr.fonoUC.subdisposition.name;
-                    }
-                  }
-                }
-              }
-              
-              return processedCdr;
-            });
-            
-            records.push(...processedCdrs);
-            continue;
-          }
-          
-          const itemKeys = Object.keys(item);
-          
-          // Check if this item has numeric keys (contains nested records)
-          if (itemKeys.length > 0 && itemKeys.every(k => /^\d+$/.test(k))) {
-            // This item contains nested records with numeric keys
-            const nestedRecords = Object.values(item);
-            console.log(`🔧 Flattening item with ${nestedRecords.length} nested records`);
-            records.push(...nestedRecords);
-          } else {
-            // This is a regular record
-            records.push(item);
-          }
-        } else {
-          // Handle primitive values or null
-          records.push(item);
-        }
-      }
-
-      console.log(`📊 Fetched ${records.length} records (single page, flattened)`);
-      return records;
-
-    } catch (err) {
-      if (attempt === MAX_RETRIES - 1) throw err;
-      console.warn(`Single page fetch failed (${err.message}); retrying in ${delay}ms…`);
-      await new Promise(r => setTimeout(r, delay));
-    }
-  }
+export async function fetchReportSinglePage(report, tenant, params = {}, limit = null, { signal } = {}) {
+  return collect(iterateReport(report, tenant, params, { limit: limit || Infinity, maxPages: 1, signal }));
 }
 
 /**
- * Fetches multiple pages of data to overcome the 500 record API limit.
- * Uses time-based slicing when offset pagination fails.
- * 
+ * Fetches up to `totalLimit` records past the 500-row page cap (start_key
+ * paging plus adaptive time-window bisection, see iterateReport).
+ *
  * @param {string} report    – report type (e.g., 'cdrs', 'queueCalls').
  * @param {string} tenant    – account/tenant ID.
  * @param {object} params    – query parameters (startDate, endDate, etc.).
  * @param {number} totalLimit – total number of records desired.
+ * @param {object} [opts]    – { signal, stats }
  * @returns {Promise<Array>} – combined array of records from all pages.
  */
-export async function fetchReportMultiPage(report, tenant, params = {}, totalLimit = 1000) {
-  console.log(`🔄 Starting multi-page fetch for ${report} (target: ${totalLimit} records)`);
-  
-  const allRecords = [];
-  const seenRecords = new Set(); // Track unique records to prevent duplicates
-  const pageSize = 500; // API's maximum per request
-  let currentOffset = 0;
-  let hasMoreData = true;
-  let pageCount = 0;
-  let consecutiveEmptyPages = 0;
-  let consecutiveDuplicatePages = 0;
-  
-  // First, try standard offset-based pagination
-  while (allRecords.length < totalLimit && hasMoreData && pageCount < 5) { // Limit initial attempts
-    pageCount++;
-    console.log(`📄 Fetching page ${pageCount} (offset: ${currentOffset}, unique records so far: ${allRecords.length})`);
-    
-    try {
-      // Add offset parameter for pagination
-      const pageParams = {
-        ...params,
-        limit: Math.min(pageSize, totalLimit - allRecords.length),
-        offset: currentOffset
-      };
-      
-      const pageData = await fetchReportSinglePage(report, tenant, pageParams, pageParams.limit);
-      
-      if (!pageData || pageData.length === 0) {
-        console.log(`📄 Page ${pageCount}: No more data available`);
-        consecutiveEmptyPages++;
-        if (consecutiveEmptyPages >= 2) {
-          hasMoreData = false;
-          break;
-        }
-        currentOffset += pageSize;
-        continue;
-      }
-      
-      // Reset consecutive empty pages counter
-      consecutiveEmptyPages = 0;
-      
-      // Deduplicate records using call_id or a combination of fields
-      let newRecords = 0;
-      let duplicateRecords = 0;
-      
-      for (const record of pageData) {
-        // Create a unique identifier for each record
-        let recordId;
-        if (record.call_id) {
-          recordId = record.call_id;
-        } else {
-          // Fallback: use combination of available fields
-          recordId = `${record.caller_id_number || ''}_${record.callee_id_number || ''}_${record.timestamp || ''}_${record.called_time || ''}`;
-        }
-        
-        if (!seenRecords.has(recordId)) {
-          seenRecords.add(recordId);
-          allRecords.push(record);
-          newRecords++;
-        } else {
-          duplicateRecords++;
-        }
-      }
-      
-      console.log(`📄 Page ${pageCount}: Retrieved ${pageData.length} records (${newRecords} new, ${duplicateRecords} duplicates)`);
-      
-      // If we got no new records, the API might not support offset pagination
-      if (newRecords === 0) {
-        consecutiveDuplicatePages++;
-        console.log(`📄 Page ${pageCount}: No new records found (${consecutiveDuplicatePages} consecutive duplicate pages)`);
-        
-        if (consecutiveDuplicatePages >= 2) {
-          console.log(`⚠️ API doesn't support offset pagination. Switching to time-based slicing...`);
-          break;
-        }
-      } else {
-        consecutiveDuplicatePages = 0;
-      }
-      
-      // If we got less than the page size, we've reached the end
-      if (pageData.length < pageSize) {
-        console.log(`📄 Page ${pageCount}: Reached end of data (got ${pageData.length} < ${pageSize})`);
-        hasMoreData = false;
-      }
-      
-      currentOffset += pageData.length;
-      
-      // Small delay between requests to be respectful to the API
-      if (hasMoreData && allRecords.length < totalLimit) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      
-    } catch (error) {
-      console.error(`❌ Error fetching page ${pageCount}:`, error.message);
-      
-      // If it's the first page, re-throw the error
-      if (pageCount === 1) {
-        throw error;
-      }
-      
-      // For subsequent pages, log the error but continue with what we have
-      console.log(`⚠️ Continuing with ${allRecords.length} records from previous pages`);
-      hasMoreData = false;
-    }
-  }
-  
-  // If we still need more records and have time range parameters, try time-based slicing
-  if (allRecords.length < totalLimit && (consecutiveDuplicatePages >= 1 || (pageCount >= 2 && allRecords.length === 500)) && params.startDate && params.endDate) {
-    console.log(`🕐 Attempting time-based slicing to get more records...`);
-    console.log(`🕐 Conditions: records=${allRecords.length}, target=${totalLimit}, duplicatePages=${consecutiveDuplicatePages}, hasTimeRange=${!!(params.startDate && params.endDate)}`);
-    
-    const timeSliceRecords = await fetchWithTimeSlicing(report, tenant, params, totalLimit - allRecords.length, seenRecords);
-    
-    // Add new unique records from time slicing
-    let addedFromTimeSlicing = 0;
-    for (const record of timeSliceRecords) {
-      let recordId;
-      if (record.call_id) {
-        recordId = record.call_id;
-      } else {
-        recordId = `${record.caller_id_number || ''}_${record.callee_id_number || ''}_${record.timestamp || ''}_${record.called_time || ''}`;
-      }
-      
-      if (!seenRecords.has(recordId)) {
-        seenRecords.add(recordId);
-        allRecords.push(record);
-        addedFromTimeSlicing++;
-      }
-    }
-    
-    console.log(`🕐 Time-based slicing added ${addedFromTimeSlicing} new unique records`);
-  } else {
-    console.log(`🕐 Time-based slicing not triggered:`);
-    console.log(`   - Records: ${allRecords.length}/${totalLimit}`);
-    console.log(`   - Consecutive duplicate pages: ${consecutiveDuplicatePages}`);
-    console.log(`   - Has time range: ${!!(params.startDate && params.endDate)}`);
-  }
-  
-  console.log(`✅ Multi-page fetch completed: ${allRecords.length} unique records from ${pageCount} pages (${seenRecords.size} total unique IDs tracked)`);
-  return allRecords.slice(0, totalLimit); // Ensure we don't exceed the requested limit
-}
-
-/**
- * Attempts to fetch more records by slicing the time range into smaller chunks.
- * This is used when offset-based pagination doesn't work.
- */
-async function fetchWithTimeSlicing(report, tenant, params, remainingLimit, seenRecords) {
-  console.log(`🕐 Starting time-based slicing for ${remainingLimit} more records`);
-  
-  const startTime = parseInt(params.startDate);
-  const endTime = parseInt(params.endDate);
-  const totalDuration = endTime - startTime;
-  
-  // Split into 4-hour chunks (14400 seconds)
-  const chunkDuration = Math.min(14400, Math.floor(totalDuration / 4));
-  const chunks = [];
-  
-  for (let chunkStart = startTime; chunkStart < endTime; chunkStart += chunkDuration) {
-    const chunkEnd = Math.min(chunkStart + chunkDuration, endTime);
-    chunks.push({ startDate: chunkStart, endDate: chunkEnd });
-  }
-  
-  console.log(`🕐 Created ${chunks.length} time chunks of ~${chunkDuration/3600} hours each`);
-  
-  const timeSliceRecords = [];
-  
-  for (let i = 0; i < chunks.length && timeSliceRecords.length < remainingLimit; i++) {
-    const chunk = chunks[i];
-    console.log(`🕐 Fetching chunk ${i + 1}/${chunks.length}: ${new Date(chunk.startDate * 1000).toISOString()} to ${new Date(chunk.endDate * 1000).toISOString()}`);
-    
-    try {
-      const chunkParams = {
-        ...params,
-        startDate: chunk.startDate,
-        endDate: chunk.endDate,
-        limit: 500 // API max
-      };
-      
-      const chunkData = await fetchReportSinglePage(report, tenant, chunkParams, 500);
-      
-      if (chunkData && chunkData.length > 0) {
-        console.log(`🕐 Chunk ${i + 1}: Retrieved ${chunkData.length} records`);
-        timeSliceRecords.push(...chunkData);
-      } else {
-        console.log(`🕐 Chunk ${i + 1}: No data`);
-      }
-      
-      // Small delay between chunk requests
-      await new Promise(resolve => setTimeout(resolve, 200));
-      
-    } catch (error) {
-      console.error(`❌ Error fetching time chunk ${i + 1}:`, error.message);
-      // Continue with other chunks
-    }
-  }
-  
-  console.log(`🕐 Time-based slicing completed: ${timeSliceRecords.length} additional records`);
-  return timeSliceRecords;
+export async function fetchReportMultiPage(report, tenant, params = {}, totalLimit = 1000, { signal, stats } = {}) {
+  return collect(iterateReport(report, tenant, params, { limit: totalLimit, signal, stats }));
 }
 
 /**
- * Enhanced single page fetch that tries different pagination parameters
- * if the API supports them.
+ * Single page fetch for limits within the page cap; larger limits go through
+ * fetchReportMultiPage so they are never silently truncated.
  */
-export async function fetchReportSinglePageEnhanced(report, tenant, params = {}, limit = null) {
-  // First try with different pagination parameter names that the API might support
-  const paginationAttempts = [
-    { ...params, ...(limit && { limit }) },
-    { ...params, ...(limit && { size: limit }) },
-    { ...params, ...(limit && { count: limit }) },
-    { ...params, ...(limit && { max_results: limit }) },
-    { ...params, ...(limit && { per_page: limit }) }
-  ];
-  
-  for (let i = 0; i < paginationAttempts.length; i++) {
-    try {
-      console.log(`🔍 Trying pagination attempt ${i + 1} with params:`, paginationAttempts[i]);
-      const result = await fetchReportSinglePage(report, tenant, paginationAttempts[i], limit);
-      
-      if (result && result.length > 500) {
-        console.log(`✅ Success with pagination attempt ${i + 1}: got ${result.length} records`);
-        return result;
-      } else if (i === 0) {
-        // If the first attempt (standard limit) gives us ≤500 records, 
-        // and we want more, continue trying other parameters
-        if (limit && limit > 500) {
-          console.log(`🔄 Standard limit gave ${result.length} records, trying other pagination parameters...`);
-          continue;
-        } else {
-          // If we only wanted ≤500 records, return the result
-          return result;
-        }
-      }
-    } catch (error) {
-      console.log(`❌ Pagination attempt ${i + 1} failed:`, error.message);
-      if (i === paginationAttempts.length - 1) {
-        throw error; // Re-throw if all attempts failed
-      }
-    }
-  }
-  
-  // If all single-page attempts failed to get more than 500 records,
-  // fall back to the original result
-  return await fetchReportSinglePage(report, tenant, params, limit);
+export async function fetchReportSinglePageEnhanced(report, tenant, params = {}, limit = null, opts = {}) {
+  if (limit && limit <= MAX_PAGE_SIZE) return fetchReportSinglePage(report, tenant, params, limit, opts);
+  return fetchReportMultiPage(report, tenant, params, limit || Infinity, opts);
 }
 
 /**
@@ -1077,8 +633,8 @@ export async function fetchReportSinglePageEnhanced(report, tenant, params = {},
 async function cli() {
   const [,, report, tenant, startIso, endIso, outFile] = process.argv;
   if (!report || !tenant) {
-    console.error('Usage: node -r dotenv/config reportFetcher.js <report> <tenant> [startISO] [endISO] [outfile.{csv|json}]');
-    console.error(`report = ${Object.keys(ENDPOINTS).join(' | ')}`);
+    console.error('Usage: node -r dotenv/config reportFetcher.js <report> <tenant> [startISO] [endISO] [outfile.{csv|json|ndjson}]');
+    console.error(`report = ${REPORT_TYPES.join(' | ')}`);
     process.exit(1);
   }
   const params = {};
@@ -1093,21 +649,38 @@ async function cli() {
     params.endDate = Math.floor(endDate / 1000);
   }
 
-  const data = await fetchReport(report, tenant, params);
+  // NDJSON is written page by page; CSV/JSON need the full set first
+  if (outFile?.endsWith('.ndjson')) {
+    await fs.promises.mkdir(path.dirname(outFile), { recursive: true });
+    const out = fs.createWriteStream(outFile);
+    let rows = 0;
+    for await (const { records } of iterateReport(report, tenant, params)) {
+      for (const record of records) {
+        if (!out.write(JSON.stringify(normalizeRecord(report, record, tenant)) + '\n')) await once(out, 'drain');
+      }
+      rows += records.length;
+    }
+    out.end();
+    await once(out, 'finish');
+    console.log(`Saved ${rows} rows to ${outFile}`);
+    return;
+  }
+
+  const data = normalizeRecords(report, await fetchReport(report, tenant, params), tenant);
   console.log(`Fetched ${data.length} rows for ${report}`);
+  // History arrays don't fit a CSV cell or a console table
+  const flat = () => data.map(({ agent_history, queue_history, link_ids, ...rest }) => rest);
 
   if (outFile) {
     await fs.promises.mkdir(path.dirname(outFile), { recursive: true });
     if (outFile.endsWith('.csv')) {
-      // Use CDR-specific flattening for CDR reports
-      const csvData = report === 'cdrs' ? flattenCdrForCsv(data) : data;
-      await fs.promises.writeFile(outFile, toCsv(csvData));
+      await fs.promises.writeFile(outFile, toCsv(flat()));
     } else {
       await fs.promises.writeFile(outFile, JSON.stringify(data, null, 2));
     }
     console.log(`Saved to ${outFile}`);
   } else {
-    console.table(data);
+    console.table(flat());
   }
 }
 
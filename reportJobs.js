@@ -0,0 +1,324 @@
+// reportJobs.js
+// Background report / export jobs for ranges too large for one HTTP request.
+//
+// A job is submitted with POST /api/jobs, queued in JOBS_FILE and picked up by
+// one of JOB_WORKERS workers inside the web server. The output is written to
+// JOBS_DIR and downloaded later with GET /api/jobs/:id/result, so neither the
+// HTTP connection nor the browser tab has to stay open while it runs.
+//
+// Formats:
+//   • json – canonical rows (recordNormalizer.js) as returned by /api/reports/:type
+//   • csv / xlsx – the same files as /api/reports/:type/export (filters apply)
+//
+// The queue survives restarts: a job that was running when the server stopped
+// is queued again and starts over. Finished jobs and their files are removed
+// after JOB_RETENTION.
+//
+// Configuration (env):
+//   JOB_WORKERS=2        – jobs run at the same time (upstream limits still apply)
+//   JOBS_FILE            – queue document (default data/jobs.json)
+//   JOBS_DIR             – result files (default data/jobs/)
+//   JOB_RETENTION=7d     – keep finished jobs this long
+//   JOB_MAX_ROWS=500000  – row cap per job
+
+import crypto from 'crypto';
+import { once } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { finished } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import ms from 'ms';
+import { REPORT_TYPES, iterateReport } from './reportFetcher.js';
+import { EXPORT_FORMATS, REPORT_EXPORTS, iterateExportRows } from './reportExport.js';
+import { normalizeRecords } from './recordNormalizer.js';
+import { DEFAULT_TIMEZONE, dayInZone } from './timezones.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const JOBS_FILE = process.env.JOBS_FILE || path.join(__dirname, 'data', 'jobs.json');
+const JOBS_DIR = process.env.JOBS_DIR || path.join(__dirname, 'data', 'jobs');
+const WORKERS = Math.max(1, Number(process.env.JOB_WORKERS) || 2);
+const RETENTION_MS = ms(process.env.JOB_RETENTION || '7d');
+const MAX_ROWS = Math.max(1, Number(process.env.JOB_MAX_ROWS) || 500_000);
+const EXPORT_WINDOW_SEC = Math.max(60, Math.floor(ms(process.env.EXPORT_WINDOW || '1h') / 1000));
+
+export const JOB_FORMATS = ['json', ...Object.keys(EXPORT_FORMATS)];
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  ...Object.fromEntries(Object.entries(EXPORT_FORMATS).map(([format, { contentType }]) => [format, contentType]))
+};
+
+let jobs = null;         // Map<id, job>, insertion (= submission) order
+const running = new Map(); // id -> { controller, stats, rows }
+let writing = Promise.resolve();
+let started = false;
+
+async function load() {
+  if (jobs) return jobs;
+  try {
+    const raw = await fs.promises.readFile(JOBS_FILE, 'utf8');
+    jobs = new Map(JSON.parse(raw).map(j => [j.id, j]));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    jobs = new Map();
+  }
+  return jobs;
+}
+
+// Writes are chained so concurrent state changes never interleave on disk
+function persist() {
+  writing = writing.then(async () => {
+    await fs.promises.mkdir(path.dirname(JOBS_FILE), { recursive: true });
+    const tmp = `${JOBS_FILE}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify([...jobs.values()], null, 2));
+    await fs.promises.rename(tmp, JOBS_FILE);
+  }).catch(err => console.error('❌ Could not save job queue:', err.message));
+  return writing;
+}
+
+const resultPath = job => path.join(JOBS_DIR, `${job.id}.${job.format}`);
+
+/**
+ * Job as sent to the browser, with live progress for running jobs.
+ */
+export function publicJob(job) {
+  if (!job) return null;
+  const live = running.get(job.id);
+  const progress = live
+    ? {
+      rows: live.rows,
+      slices: live.stats.slices,
+      slicesDone: live.stats.slicesDone,
+      upstreamCalls: live.stats.requests,
+      cachedWindows: live.stats.cacheHits
+    }
+    : job.progress;
+  return { ...job, progress };
+}
+
+/**
+ * Queue a new job.
+ * @param {object} spec
+ * @param {string} spec.username  – owner.
+ * @param {string} spec.tenant    – account the job reads.
+ * @param {string} spec.report    – report type.
+ * @param {string} [spec.format]  – json | csv | xlsx.
+ * @param {number} spec.startDate – epoch seconds.
+ * @param {number} spec.endDate   – epoch seconds.
+ * @param {number} [spec.limit]   – row cap (≤ JOB_MAX_ROWS).
+ * @param {object} [spec.filters] – export filters (csv / xlsx only).
+ * @param {string} [spec.timezone] – IANA zone for times in csv / xlsx output.
+ */
+export async function submitJob({ username, tenant, report, format = 'json', startDate, endDate, limit, filters = {}, timezone = DEFAULT_TIMEZONE }) {
+  if (!JOB_FORMATS.includes(format)) throw new Error(`Unsupported job format: ${format}`);
+  const known = format === 'json' ? REPORT_TYPES : Object.keys(REPORT_EXPORTS);
+  if (!known.includes(report)) throw new Error(`Unknown report type: ${report}`);
+  if (!Number.isFinite(startDate) || !Number.isFinite(endDate) || endDate <= startDate) {
+    throw new Error('A job requires a valid start and end date');
+  }
+  if (limit != null && (!Number.isInteger(limit) || limit < 1)) {
+    throw new Error('Invalid limit. Must be a positive integer.');
+  }
+
+  const map = await load();
+  const job = {
+    id: crypto.randomUUID(),
+    username,
+    tenant,
+    report,
+    format,
+    startDate,
+    endDate,
+    limit: Math.min(limit || MAX_ROWS, MAX_ROWS),
+    filters,
+    timezone,
+    status: 'queued',
+    createdAt: new Date().toISOString()
+  };
+  map.set(job.id, job);
+  await persist();
+  console.log(`🗂️  Job ${job.id} queued: ${report} (${format}) for ${tenant} by ${username}`);
+  pump();
+  return publicJob(job);
+}
+
+export async function getJob(id) {
+  return (await load()).get(id) || null;
+}
+
+/**
+ * Jobs newest first – one user's, or everyone's when `username` is omitted.
+ */
+export async function listJobs(username) {
+  const list = [...(await load()).values()].filter(j => !username || j.username === username);
+  return list.reverse().map(publicJob);
+}
+
+/**
+ * Cancel a queued or running job; finished jobs are deleted with their result.
+ * @returns {Promise<boolean>} false when there is no such job.
+ */
+export async function cancelJob(id) {
+  const map = await load();
+  const job = map.get(id);
+  if (!job) return false;
+
+  if (job.status === 'queued') {
+    Object.assign(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    await persist();
+  } else if (job.status === 'running') {
+    running.get(id)?.controller.abort(new Error('Job cancelled'));
+  } else {
+    map.delete(id);
+    await fs.promises.rm(resultPath(job), { force: true });
+    await persist();
+  }
+  return true;
+}
+
+/**
+ * Where to read a finished job's output from.
+ * @returns {{file: string, contentType: string, filename: string}|null}
+ */
+export function jobResult(job) {
+  if (job?.status !== 'done') return null;
+  const day = dayInZone(job.startDate * 1000, job.timezone);
+  return {
+    file: resultPath(job),
+    contentType: CONTENT_TYPES[job.format],
+    filename: `${job.report}_${job.tenant}_${day}.${job.format}`
+  };
+}
+
+async function writeJson(out, rows) {
+  out.write('[');
+  let written = 0;
+  for await (const row of rows) {
+    if (!out.write(`${written ? ',' : ''}\n${JSON.stringify(row)}`)) await once(out, 'drain');
+    written++;
+  }
+  out.write('\n]\n');
+  return written;
+}
+
+async function execute(job, live) {
+  const { signal } = live.controller;
+  const range = { startDate: job.startDate, endDate: job.endDate };
+
+  // Count rows as they pass so status requests can show progress
+  async function* counted(rows) {
+    for await (const row of rows) {
+      live.rows++;
+      yield row;
+    }
+  }
+
+  async function* records() {
+    for await (const page of iterateReport(job.report, job.tenant, range, { limit: job.limit, signal, stats: live.stats })) {
+      yield* normalizeRecords(job.report, page.records, job.tenant);
+    }
+  }
+
+  await fs.promises.mkdir(JOBS_DIR, { recursive: true });
+  const file = resultPath(job);
+  const out = fs.createWriteStream(file);
+  try {
+    if (job.format === 'json') {
+      await writeJson(out, counted(records()));
+    } else {
+      const rows = iterateExportRows(job.report, job.tenant, {
+        ...range,
+        filters: job.filters,
+        maxRows: job.limit,
+        windowSec: EXPORT_WINDOW_SEC,
+        signal,
+        stats: live.stats
+      });
+      await EXPORT_FORMATS[job.format].write(out, job.report, counted(rows), { timezone: job.timezone });
+    }
+    out.end();
+    await finished(out);
+    return (await fs.promises.stat(file)).size;
+  } catch (err) {
+    out.destroy();
+    await fs.promises.rm(file, { force: true });
+    throw err;
+  }
+}
+
+async function run(job) {
+  const live = { controller: new AbortController(), stats: {}, rows: 0 };
+  running.set(job.id, live);
+  Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+  delete job.error;
+  await persist();
+  console.log(`▶️  Job ${job.id} started: ${job.report} (${job.format}) for ${job.tenant}`);
+
+  try {
+    const size = await execute(job, live);
+    job.status = 'done';
+    job.resultSize = size;
+    console.log(`✅ Job ${job.id} finished: ${live.rows} rows, ${size} bytes`);
+  } catch (err) {
+    if (live.controller.signal.aborted) {
+      job.status = 'cancelled';
+      console.log(`⚠️  Job ${job.id} cancelled after ${live.rows} rows`);
+    } else {
+      job.status = 'failed';
+      job.error = err.message;
+      console.error(`❌ Job ${job.id} failed:`, err.message);
+    }
+  } finally {
+    job.progress = publicJob(job).progress;
+    job.rows = live.rows;
+    job.finishedAt = new Date().toISOString();
+    running.delete(job.id);
+    await persist();
+  }
+}
+
+// Start queued jobs, oldest first, while workers are free
+function pump() {
+  if (!started) return;
+  for (const job of jobs.values()) {
+    if (running.size >= WORKERS) break;
+    if (job.status !== 'queued') continue;
+    run(job).finally(pump);
+  }
+}
+
+async function pruneJobs() {
+  const map = await load();
+  const cutoff = Date.now() - RETENTION_MS;
+  let removed = 0;
+  for (const job of map.values()) {
+    if (!job.finishedAt || Date.parse(job.finishedAt) > cutoff) continue;
+    map.delete(job.id);
+    await fs.promises.rm(resultPath(job), { force: true });
+    removed++;
+  }
+  if (removed) {
+    await persist();
+    console.log(`🧹 Removed ${removed} expired job(s)`);
+  }
+}
+
+/**
+ * Load the queue, re-queue jobs interrupted by a restart and start the workers.
+ */
+export async function startJobWorkers() {
+  const map = await load();
+  let requeued = 0;
+  for (const job of map.values()) {
+    if (job.status !== 'running') continue;
+    job.status = 'queued';
+    requeued++;
+  }
+  if (requeued) await persist();
+  await pruneJobs();
+  setInterval(() => pruneJobs().catch(err => console.error('Job cleanup failed:', err.message)), ms('1h')).unref();
+
+  started = true;
+  console.log(`🗂️  Report jobs: ${WORKERS} worker(s)${requeued ? `, ${requeued} interrupted job(s) re-queued` : ''}`);
+  pump();
+}
@@ -0,0 +1,281 @@
+// schemaDrift.js
+// Upstream schema drift detection.
+//
+// The report endpoints answer in several shapes (see unwrapPage in
+// reportFetcher.js) and PBX upgrades have added, renamed and dropped fields
+// without notice. Every fetched page is fingerprinted – the envelope it came
+// in and the set of field paths its records carry – and compared with what
+// was seen before for the same tenant and endpoint:
+//   • added    – a field path never seen before (after the learning pages)
+//   • removed  – a known field absent from SCHEMA_MISSING_PAGES pages in a row
+//   • envelope – the response wrapper changed (e.g. `data` array → numeric keys)
+// Each change is logged with ⚠️, kept in a history that admins see in the
+// dashboard (GET /api/schema) and, when SCHEMA_WEBHOOK_URL is set, POSTed as
+// JSON. Fingerprints and history live in SCHEMA_FILE so restarts keep them.
+//
+// Field paths are the record keys plus keys of nested objects down to
+// SCHEMA_DEPTH levels (`fonoUC.cc_outbound`); arrays are not descended into.
+//
+// Configuration (env):
+//   SCHEMA_DRIFT=off             – disable fingerprinting
+//   SCHEMA_FILE                  – state document (default data/schema-fingerprints.json)
+//   SCHEMA_DEPTH=2               – nesting levels fingerprinted
+//   SCHEMA_LEARN_PAGES=5         – pages per endpoint / tenant that only build the baseline
+//   SCHEMA_MISSING_PAGES=20      – pages a field may be absent before it counts as removed
+//   SCHEMA_HISTORY_LIMIT=500     – changes kept
+//   SCHEMA_WEBHOOK_URL           – receives each change as a JSON POST
+//
+// Usage examples:
+//   node -r dotenv/config schemaDrift.js status
+//   node -r dotenv/config schemaDrift.js history [tenant] [report]
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const ENABLED = !['off', 'false', '0'].includes(String(process.env.SCHEMA_DRIFT || '').toLowerCase());
+const SCHEMA_FILE = process.env.SCHEMA_FILE || path.join(__dirname, 'data', 'schema-fingerprints.json');
+const DEPTH = Math.max(1, Number(process.env.SCHEMA_DEPTH) || 2);
+const LEARN_PAGES = Math.max(1, Number(process.env.SCHEMA_LEARN_PAGES) || 5);
+const MISSING_PAGES = Math.max(1, Number(process.env.SCHEMA_MISSING_PAGES) || 20);
+const HISTORY_LIMIT = Math.max(1, Number(process.env.SCHEMA_HISTORY_LIMIT) || 500);
+const WEBHOOK_URL = process.env.SCHEMA_WEBHOOK_URL || '';
+const SAVE_DELAY_MS = 2_000;
+
+let state = null;  // { schemas: { 'tenant|report': schema }, history: change[], seq }
+let saveTimer = null;
+let writing = Promise.resolve();
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function load() {
+  if (state) return state;
+  try {
+    state = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('❌ Could not read schema fingerprints:', err.message);
+    state = { schemas: {}, history: [], seq: 0 };
+  }
+  return state;
+}
+
+// Saves are debounced – a large fetch observes hundreds of pages – and
+// written through a temporary file so a crash never leaves half a document.
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(SCHEMA_FILE), { recursive: true });
+      const tmp = `${SCHEMA_FILE}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2));
+      await fs.promises.rename(tmp, SCHEMA_FILE);
+    }).catch(err => console.error('❌ Could not save schema fingerprints:', err.message));
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+// A CLI run usually ends before the debounce fires – write what is pending
+process.on('beforeExit', () => {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    fs.mkdirSync(path.dirname(SCHEMA_FILE), { recursive: true });
+    fs.writeFileSync(`${SCHEMA_FILE}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${SCHEMA_FILE}.tmp`, SCHEMA_FILE);
+  } catch (err) {
+    console.error('❌ Could not save schema fingerprints:', err.message);
+  }
+});
+
+/**
+ * Field paths present in a batch of records, sorted.
+ */
+export function fieldPaths(records, depth = DEPTH) {
+  const paths = new Set();
+  const walk = (obj, prefix, level) => {
+    for (const [key, value] of Object.entries(obj)) {
+      // Numeric keys are ids or list positions, not schema
+      const name = /^\d+$/.test(key) ? '*' : key;
+      const p = prefix ? `${prefix}.${name}` : name;
+      paths.add(p);
+      if (level < depth && isPlainObject(value)) walk(value, p, level + 1);
+    }
+  };
+  for (const record of records) {
+    if (isPlainObject(record)) walk(record, '', 1);
+  }
+  return [...paths].sort();
+}
+
+function notifyWebhook(change) {
+  if (!WEBHOOK_URL) return;
+  axios.post(WEBHOOK_URL, { event: 'schema_drift', ...change }, { timeout: 10_000 })
+    .catch(err => console.error(`❌ Schema drift webhook failed: ${err.message}`));
+}
+
+function describe(change) {
+  switch (change.type) {
+    case 'added': return `new field(s) ${change.fields.join(', ')}`;
+    case 'removed': return `field(s) no longer sent: ${change.fields.join(', ')}`;
+    case 'envelope': return `response envelope changed from "${change.from}" to "${change.to}"`;
+    default: return `baseline recorded (${change.fields.length} fields, envelope "${change.to}")`;
+  }
+}
+
+function record(change) {
+  const s = load();
+  const entry = { id: ++s.seq, at: new Date().toISOString(), acknowledged: change.type === 'baseline', ...change };
+  s.history.push(entry);
+  if (s.history.length > HISTORY_LIMIT) s.history.splice(0, s.history.length - HISTORY_LIMIT);
+
+  if (change.type === 'baseline') {
+    console.log(`🗂️ Schema ${change.report} (${change.tenant}): ${describe(change)}`);
+  } else {
+    console.warn(`⚠️ Schema drift in ${change.report} (${change.tenant}): ${describe(change)}`);
+    notifyWebhook(entry);
+  }
+}
+
+/**
+ * Fingerprint one upstream page and record any change against the stored
+ * schema. Never throws – drift detection must not break a fetch.
+ * @param {string} endpoint – report type (or 'agentStatus').
+ * @param {string} tenant
+ * @param {string} envelope – wrapper the records were found in (see unwrapPage).
+ * @param {object[]} records – the page's raw records.
+ */
+export function observeSchema(endpoint, tenant, envelope, records) {
+  // Empty pages say nothing about the fields and use whatever envelope is left
+  if (!ENABLED || !records?.length) return;
+  try {
+    const s = load();
+    const key = `${tenant}|${endpoint}`;
+    const now = new Date().toISOString();
+    const paths = fieldPaths(records);
+    let schema = s.schemas[key];
+
+    if (!schema) {
+      schema = s.schemas[key] = { tenant, report: endpoint, envelope, pages: 0, firstSeen: now, lastSeen: now, fields: {} };
+    }
+    schema.pages++;
+    schema.lastSeen = now;
+    const learning = schema.pages <= LEARN_PAGES;
+
+    if (schema.envelope !== envelope) {
+      if (!learning) record({ tenant, report: endpoint, type: 'envelope', from: schema.envelope, to: envelope });
+      schema.envelope = envelope;
+    }
+
+    const seen = new Set(paths);
+    const added = [];
+    for (const p of paths) {
+      const field = schema.fields[p];
+      if (!field) {
+        schema.fields[p] = { firstSeen: now, lastSeen: now, missingPages: 0 };
+        if (!learning) added.push(p);
+      } else {
+        if (field.removed) added.push(p);
+        field.lastSeen = now;
+        field.missingPages = 0;
+        delete field.removed;
+      }
+    }
+
+    const removed = [];
+    for (const [p, field] of Object.entries(schema.fields)) {
+      if (seen.has(p) || field.removed) continue;
+      if (++field.missingPages >= MISSING_PAGES && !learning) {
+        field.removed = true;
+        removed.push(p);
+      }
+    }
+
+    if (schema.pages === LEARN_PAGES) {
+      record({ tenant, report: endpoint, type: 'baseline', to: schema.envelope, fields: Object.keys(schema.fields).sort() });
+    }
+    if (added.length) record({ tenant, report: endpoint, type: 'added', fields: added });
+    if (removed.length) record({ tenant, report: endpoint, type: 'removed', fields: removed.sort() });
+    scheduleSave();
+  } catch (err) {
+    console.error(`❌ Schema fingerprinting failed for ${endpoint}: ${err.message}`);
+  }
+}
+
+/**
+ * Current fingerprint per endpoint and tenant.
+ * @returns {Array<{tenant, report, envelope, pages, firstSeen, lastSeen, fields: string[], removedFields: string[]}>}
+ */
+export function schemaStatus({ tenant, report } = {}) {
+  return Object.values(load().schemas)
+    .filter(s => (!tenant || s.tenant === tenant) && (!report || s.report === report))
+    .map(({ fields, ...s }) => ({
+      ...s,
+      learning: s.pages < LEARN_PAGES,
+      fields: Object.keys(fields).filter(p => !fields[p].removed).sort(),
+      removedFields: Object.keys(fields).filter(p => fields[p].removed).sort()
+    }));
+}
+
+/**
+ * Recorded changes, newest first.
+ */
+export function schemaHistory({ tenant, report, unacknowledged = false } = {}) {
+  return load().history
+    .filter(c => (!tenant || c.tenant === tenant) && (!report || c.report === report) && (!unacknowledged || !c.acknowledged))
+    .reverse();
+}
+
+/**
+ * Mark changes as seen by an admin.
+ * @param {number[]} [ids] – changes to acknowledge (all when omitted).
+ * @param {string} [username]
+ * @returns {number} how many changes were acknowledged.
+ */
+export function acknowledgeSchemaChanges(ids, username) {
+  const wanted = ids ? new Set(ids.map(Number)) : null;
+  let count = 0;
+  for (const change of load().history) {
+    if (change.acknowledged || (wanted && !wanted.has(change.id))) continue;
+    change.acknowledged = true;
+    change.acknowledgedBy = username;
+    change.acknowledgedAt = new Date().toISOString();
+    count++;
+  }
+  if (count) scheduleSave();
+  return count;
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  const [command = 'status', tenant, report] = process.argv.slice(2);
+
+  if (command === 'status') {
+    const rows = schemaStatus({ tenant, report });
+    if (!rows.length) console.log('No schemas fingerprinted yet.');
+    else {
+      console.table(rows.map(s => ({
+        tenant: s.tenant,
+        report: s.report,
+        envelope: s.envelope,
+        pages: s.pages,
+        fields: s.fields.length,
+        removed: s.removedFields.join(', '),
+        lastSeen: s.lastSeen
+      })));
+    }
+  } else if (command === 'history') {
+    for (const c of schemaHistory({ tenant, report })) {
+      console.log(`${c.at}  #${c.id} ${c.tenant}/${c.report}  ${describe(c)}${c.acknowledged ? '' : '  (unacknowledged)'}`);
+    }
+  } else {
+    console.error('Usage: node schemaDrift.js [status|history] [tenant] [report]');
+    process.exitCode = 1;
+  }
+}
@@ -1,16 +1,33 @@
 // server.js
 
+// Load .env before any other module reads process.env at import time
+import 'dotenv/config';
 import express from 'express';
+import cookieParser from 'cookie-parser';
+import { once } from 'events';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import dotenv from 'dotenv';
 import axios from 'axios';
 import { parseBuffer } from 'music-metadata';
-// import { fetchAgentStatus } from './agentStatus.js';
-import { fetchReport, fetchReportPaginated, fetchReportSinglePage, fetchReportMultiPage, fetchReportSinglePageEnhanced } from './reportFetcher.js';
-import { getPortalToken, httpsAgent } from './tokenService.js';
-
-dotenv.config();
+import ms from 'ms';
+import { fetchAgentStatus, normalizeAgentStatus } from './agentStatus.js';
+import { getCallDetail } from './callDetail.js';
+import { JOURNEY_WINDOW_SEC, fetchCallJourney } from './callJourney.js';
+import { REPORT_TYPES, fetchReport, fetchReportPaginated, fetchReportMultiPage, fetchReportSinglePageEnhanced, iterateReport } from './reportFetcher.js';
+import { purgeReportCache, reportCacheStats } from './reportCache.js';
+import { acknowledgeSchemaChanges, schemaHistory, schemaStatus } from './schemaDrift.js';
+import { NORMALIZER_VERSION, normalizeRecords } from './recordNormalizer.js';
+import { dayInZone, parseDateInZone, resolveTimezone } from './timezones.js';
+import { tenantConfig, tenantUrl } from './tenantRegistry.js';
+import { withPortalToken } from './tokenService.js';
+import { httpsAgentFor } from './upstreamTls.js';
+import { authenticate, authRouter, requireAuth, requirePageAuth, requireRole, requireTenant } from './auth.js';
+import { ROLES, createUser, ensureBootstrapAdmin, hasRole, listUsers, removeUser, updateUser } from './userStore.js';
+import { TABLES, countRecords, listSyncState, queryRecords } from './cdrStore.js';
+import { isDbConfigured } from './db.js';
+import { isSyncRunning, runSyncPass, startSyncWorker } from './syncWorker.js';
+import { EXPORT_FORMATS, REPORT_EXPORTS, filtersFromQuery, iterateExportRows } from './reportExport.js';
+import { cancelJob, getJob, jobResult, listJobs, publicJob, startJobWorkers, submitJob } from './reportJobs.js';
 
 const app = express();
 const PORT = process.env.PORT || 5555;
@@ -21,19 +38,88 @@ const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+app.use(cookieParser());
+app.use(authenticate);
+
+// The dashboard itself requires a session; login.html and assets stay public
+app.get(['/', '/index.html'], requirePageAuth);
+// Shareable call detail permalink – the page loads its data from /api/calls/:callId
+app.get('/calls/:callId', requirePageAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'call.html'));
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
+app.use('/api/auth', authRouter);
+
+// Every report and recording route needs a logged-in user entitled to the
+// requested tenant (exposed as req.tenant). Recordings carry customer audio
+// so agents are limited to report data.
+app.use('/api/reports', requireAuth, requireTenant);
+app.use('/api/agents', requireAuth, requireTenant);
+app.use('/api/calls', requireAuth, requireTenant);
+app.use('/api/recordings', requireRole('supervisor'), requireTenant);
+
+/**
+ * AbortSignal that fires when the client disconnects before the response is
+ * complete (navigated away, hit Fetch again, closed the tab). Passed down to
+ * the fetchers so abandoned requests stop calling the upstream.
+ */
+function clientAbortSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
+  });
+  return controller.signal;
+}
+
+// Display zone of this request (user setting → tenant → default). Query dates
+// without an offset, e.g. start=2025-08-14, are wall-clock time in that zone.
+const requestTimezone = req => resolveTimezone(req.user, req.tenant);
+const parseQueryDate = (req, value) => parseDateInZone(value, requestTimezone(req));
+
+// ---------------------------------------------------------------------------
+// User administration (admin only)
+
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  res.json({ users: await listUsers(), roles: ROLES });
+});
+
+app.post('/api/users', requireRole('admin'), express.json(), async (req, res) => {
+  const { username, password, role, tenants, timezone } = req.body || {};
+  try {
+    const user = await createUser({ username, password, role, tenants, timezone });
+    res.status(201).json({ user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.patch('/api/users/:username', requireRole('admin'), express.json(), async (req, res) => {
+  const { password, role, tenants, timezone } = req.body || {};
+  try {
+    const user = await updateUser(req.params.username, { password, role, tenants, timezone });
+    res.json({ user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/users/:username', requireRole('admin'), async (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  const removed = await removeUser(req.params.username);
+  if (!removed) return res.status(404).json({ error: 'No such user' });
+  res.json({ ok: true });
+});
+
 // Simple in-memory cache: recordingId ⇒ duration (seconds)
 const durationCache = new Map();
 
 // Lightweight endpoint to expose recording duration without downloading full file
 app.get('/api/recordings/:id/meta', async (req, res) => {
   const { id } = req.params;
-  const { account } = req.query;
-
-  if (!account) {
-    return res.status(400).json({ error: 'Missing account query param' });
-  }
+  const account = req.tenant;
 
   // Return cached value if present
   if (durationCache.has(id)) {
@@ -41,22 +127,21 @@ app.get('/api/recordings/:id/meta', async (req, res) => {
   }
 
   try {
-    const token = await getPortalToken(account);
-    const url = `${process.env.BASE_URL}/api/v2/reports/recordings/${id}`;
+    const url = tenantUrl(account, 'recordings', `/${id}`);
 
     // Fetch first 128 KB – enough for metadata / VBR TOC
-    const upstreamRes = await axios.get(url, {
+    const upstreamRes = await withPortalToken(account, token => axios.get(url, {
       responseType: 'arraybuffer',
-      httpsAgent,
+      httpsAgent: httpsAgentFor(account),
       headers: {
         Authorization: `Bearer ${token}`,
         'X-User-Agent': 'portal',
-        'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? account,
+        'X-Account-ID': tenantConfig(account).accountHeader,
         Range: 'bytes=0-131071',
         'Accept-Encoding': 'identity'
       },
       decompress: false
-    });
+    }));
 
     const { format } = await parseBuffer(Buffer.from(upstreamRes.data), 'audio/mpeg');
     if (!format.duration) throw new Error('Unable to determine duration');
@@ -73,39 +158,34 @@ app.get('/api/recordings/:id/meta', async (req, res) => {
 });
 
 // Proxy: GET /api/recordings/:id?account=<tenant>
+// `account` must be one of the signed-in user's tenants (see requireTenant).
 // Streams the MP3 recording from the upstream UC backend while adding the required auth token.
 app.get('/api/recordings/:id', async (req, res) => {
   const { id } = req.params;
-  const { account } = req.query;
-
-  if (!account) {
-    return res.status(400).json({ error: 'Missing account query param' });
-  }
+  const account = req.tenant;
 
   try {
-    // Obtain (cached) JWT for this tenant
-    const token = await getPortalToken(account);
-
-    const upstreamUrl = `${process.env.BASE_URL}/api/v2/reports/recordings/${id}`;
+    const upstreamUrl = tenantUrl(account, 'recordings', `/${id}`);
     // Ensure we get Content-Range/Length: if browser didn't request a range, request the full file starting from byte 0
     let rangeHdr = req.headers.range;
     if (!rangeHdr) {
       rangeHdr = 'bytes=0-';
     }
 
-    const upstreamRes = await axios.get(upstreamUrl, {
+    // (Cached) JWT for this tenant, renewed and retried once on 401
+    const upstreamRes = await withPortalToken(account, token => axios.get(upstreamUrl, {
       responseType: 'stream',
-      httpsAgent,
+      httpsAgent: httpsAgentFor(account),
       headers: {
         Authorization: `Bearer ${token}`,
         'X-User-Agent': 'portal',
-        'X-Account-ID': process.env.ACCOUNT_ID_HEADER ?? account,
+        'X-Account-ID': tenantConfig(account).accountHeader,
         Range: rangeHdr,
         'Accept-Encoding': 'identity'
       },
       // Ensure axios does not decompress so byte positions stay intact
       decompress: false
-    });
+    }));
 
     // Mirror upstream status (200 or 206 for range requests) and critical headers
     res.status(upstreamRes.status);
@@ -148,22 +228,19 @@ app.get('/api/recordings/:id', async (req, res) => {
 // GET /api/reports/:type?account=<tenant>&start=<ISO>&end=<ISO>
 app.get('/api/reports/:type', async (req, res) => {
   const { type } = req.params;
-  const { account, start, end, limit } = req.query;
-
-  if (!account) {
-    return res.status(400).json({ error: 'Missing account query param' });
-  }
+  const { start, end, limit } = req.query;
+  const account = req.tenant;
 
   const params = {};
   if (start) {
-    const startDate = Date.parse(start);
+    const startDate = parseQueryDate(req, start);
     if (Number.isNaN(startDate)) {
       return res.status(400).json({ error: 'Invalid start date' });
     }
     params.startDate = Math.floor(startDate / 1000);
   }
   if (end) {
-    const endDate = Date.parse(end);
+    const endDate = parseQueryDate(req, end);
     if (Number.isNaN(endDate)) {
       return res.status(400).json({ error: 'Invalid end date' });
     }
@@ -192,31 +269,41 @@ app.get('/api/reports/:type', async (req, res) => {
     limit: recordLimit
   });
 
+  const signal = clientAbortSignal(res);
   try {
     let data;
+    const stats = {};
     
-    if (recordLimit && recordLimit > 500) {
-      // Use multi-page fetching for limits > 500
-      console.log(`🔄 Using multi-page fetch for ${recordLimit} records`);
-      data = await fetchReportMultiPage(type, account, params, recordLimit);
+    if (!recordLimit || recordLimit > 500) {
+      // Follow start_key and bisect saturated time windows past the 500-row cap
+      console.log(`🔄 Using multi-page fetch${recordLimit ? ` for ${recordLimit} records` : ''}`);
+      data = await fetchReportMultiPage(type, account, params, recordLimit || Infinity, { stats, signal });
     } else {
-      // Use single page fetch for limits ≤ 500 or no limit
-      console.log(`📄 Using single page fetch${recordLimit ? ` for ${recordLimit} records` : ''}`);
-      data = await fetchReportSinglePageEnhanced(type, account, params, recordLimit);
+      // A single page covers limits ≤ 500
+      console.log(`📄 Using single page fetch for ${recordLimit} records`);
+      data = await fetchReportSinglePageEnhanced(type, account, params, recordLimit, { signal });
+      stats.requests = 1;
     }
     
     // Add metadata about the fetch
     const response = {
-      data,
+      data: normalizeRecords(type, data, account),
+      schemaVersion: NORMALIZER_VERSION,
       total: data.length,
       limit: recordLimit,
       hasMore: recordLimit && data.length >= recordLimit,
-      fetchMethod: recordLimit && recordLimit > 500 ? 'multi-page' : 'single-page'
+      fetchMethod: !recordLimit || recordLimit > 500 ? 'multi-page' : 'single-page',
+      upstreamCalls: stats.requests,
+      windowSplits: stats.splits || 0,
+      cachedWindows: stats.cacheHits || 0
     };
     
-    console.log(`✅ Successfully fetched ${data.length} records${recordLimit ? ` (limit: ${recordLimit})` : ''} using ${response.fetchMethod} method`);
+    console.log(`✅ Successfully fetched ${data.length} records${recordLimit ? ` (limit: ${recordLimit})` : ''} using ${response.fetchMethod} method (${stats.requests} upstream call(s))`);
     res.json(response);
   } catch (err) {
+    if (signal.aborted) {
+      return console.log(`⚠️  Report fetch ${type} for ${account} cancelled by client`);
+    }
     console.error('Report fetch error:', err.message);
     res.status(500).json({ 
       error: 'Failed to fetch report', 
@@ -229,25 +316,320 @@ app.get('/api/reports/:type', async (req, res) => {
   }
 });
 
-// GET /api/reports/:type/paginated?account=<tenant>&start=<ISO>&end=<ISO>&limit=<number>&startKey=<string>
-app.get('/api/reports/:type/paginated', async (req, res) => {
+// GET /api/reports/:type/stream?account=<tenant>&start=<ISO>&end=<ISO>[&limit=<number>]
+// Same data as /api/reports/:type, streamed as NDJSON while it is fetched:
+//   {"type":"progress","records":…,"slices":…,"slicesDone":…,"upstreamCalls":…,"windowSplits":…,"cachedWindows":…,"elapsedMs":…}
+//   {"type":"records","data":[…]}          – next batch, in order
+//   {"type":"done","total":…,"schemaVersion":…,"upstreamCalls":…,"windowSplits":…,"cachedWindows":…,"durationMs":…}
+//   {"type":"error","error":…,"details":…} – fetch failed after the stream started
+app.get('/api/reports/:type/stream', async (req, res) => {
+  const { type } = req.params;
+  const { start, end, limit } = req.query;
+  const account = req.tenant;
+
+  if (!REPORT_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Unknown report type: ${type}` });
+  }
+  const startDate = parseQueryDate(req, start);
+  const endDate = parseQueryDate(req, end);
+  if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+    return res.status(400).json({ error: 'Invalid start or end date' });
+  }
+  // Same 10000-row ceiling as GET /api/reports/:type
+  let maxRows = 10000;
+  if (limit) {
+    maxRows = parseInt(limit, 10);
+    if (Number.isNaN(maxRows) || maxRows < 1) {
+      return res.status(400).json({ error: 'Invalid limit parameter. Must be a positive integer.' });
+    }
+    if (maxRows > 10000) {
+      maxRows = 10000;
+      console.log(`Limit capped at 10000 records for performance reasons`);
+    }
+  }
+
+  res.status(200).set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    'X-Accel-Buffering': 'no' // keep reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const signal = clientAbortSignal(res);
+  // Hold off the next upstream page until a slow client has caught up
+  const send = async event => {
+    if (!res.write(JSON.stringify(event) + '\n')) await once(res, 'drain', { signal });
+  };
+  const stats = {};
+  const started = Date.now();
+  let total = 0;
+  const progress = () => ({
+    type: 'progress',
+    records: total,
+    slices: stats.slices,
+    slicesDone: stats.slicesDone,
+    upstreamCalls: stats.requests,
+    windowSplits: stats.splits,
+    cachedWindows: stats.cacheHits,
+    elapsedMs: Date.now() - started
+  });
+
+  try {
+    const params = { startDate: Math.floor(startDate / 1000), endDate: Math.floor(endDate / 1000) };
+    for await (const { records } of iterateReport(type, account, params, { limit: maxRows, stats, signal })) {
+      total += records.length;
+      if (records.length) await send({ type: 'records', data: normalizeRecords(type, records, account) });
+      await send(progress());
+    }
+    await send({ type: 'done', total, schemaVersion: NORMALIZER_VERSION, upstreamCalls: stats.requests, windowSplits: stats.splits, cachedWindows: stats.cacheHits, durationMs: Date.now() - started });
+    console.log(`✅ Streamed ${total} ${type} records for ${account} (${stats.requests} upstream call(s))`);
+  } catch (err) {
+    if (signal.aborted) {
+      console.log(`⚠️  Report stream ${type} for ${account} cancelled by client after ${total} rows (${stats.requests} upstream call(s))`);
+    } else {
+      console.error('Report stream error:', err.message);
+      await send({ type: 'error', error: 'Failed to fetch report', details: err.message }).catch(() => {}); // client gone
+    }
+  }
+  res.end();
+});
+
+// GET /api/agents/status?account=<tenant>&start=<ISO>&end=<ISO>[&name=<agent>][&extension=<ext>][&start_key=<token>][&limit=<n>]
+// One page (≤500 rows) of the Agents Status & Activity report, normalised to
+// per-agent login/ready/paused durations and call counts. Pass `next` back as
+// start_key to load the following page.
+app.get('/api/agents/status', async (req, res) => {
+  const { start, end, name, extension, start_key, limit = 500 } = req.query;
+  const account = req.tenant;
+
+  const startDate = parseQueryDate(req, start);
+  const endDate = parseQueryDate(req, end);
+  if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+    return res.status(400).json({ error: 'Invalid start or end date' });
+  }
+  const maxRows = parseInt(limit, 10);
+  if (Number.isNaN(maxRows) || maxRows < 1) {
+    return res.status(400).json({ error: 'Invalid limit parameter. Must be a positive integer.' });
+  }
+
+  const signal = clientAbortSignal(res);
+  try {
+    const { rows, next } = await fetchAgentStatus(account, {
+      startDate,
+      endDate,
+      name: name || undefined,
+      extension: extension || undefined,
+      start_key: start_key || undefined,
+      maxRows: Math.min(maxRows, 500),
+      signal
+    });
+    const data = rows.map(normalizeAgentStatus);
+    console.log(`✅ Agent status: ${data.length} agents for ${account}${next ? ' (more available)' : ''}`);
+    res.json({ data, total: data.length, next, hasMore: Boolean(next) });
+  } catch (err) {
+    if (signal.aborted) return console.log(`⚠️  Agent status for ${account} cancelled by client`);
+    console.error('Agent status fetch error:', err.response?.data || err.message);
+    res.status(500).json({ error: 'Failed to fetch agent status', details: err.message });
+  }
+});
+
+// GET /api/calls/:id/journey?account=<tenant>&start=<ISO>&end=<ISO>  (or &at=<ISO>)
+// All legs of one call (CDRs, queue and outbound-queue rows) stitched into a
+// timeline with totals. `at` searches JOURNEY_WINDOW (default 2h) either side.
+app.get('/api/calls/:id/journey', async (req, res) => {
+  const { start, end, at } = req.query;
+  let startDate = parseQueryDate(req, start);
+  let endDate = parseQueryDate(req, end);
+  if (at) {
+    const around = parseQueryDate(req, at);
+    if (Number.isNaN(around)) return res.status(400).json({ error: 'Invalid at date' });
+    startDate = around - JOURNEY_WINDOW_SEC * 1000;
+    endDate = around + JOURNEY_WINDOW_SEC * 1000;
+  }
+  if (Number.isNaN(startDate) || Number.isNaN(endDate) || endDate <= startDate) {
+    return res.status(400).json({ error: 'Journey requires start and end, or at' });
+  }
+
+  const signal = clientAbortSignal(res);
+  try {
+    const journey = await fetchCallJourney(req.tenant, req.params.id, {
+      startDate: Math.floor(startDate / 1000),
+      endDate: Math.floor(endDate / 1000),
+      signal
+    });
+    if (!journey) return res.status(404).json({ error: `No legs found for call ${req.params.id} in that range` });
+    res.json({ journey });
+  } catch (err) {
+    if (signal.aborted) return console.log(`⚠️  Journey ${req.params.id} cancelled by client`);
+    console.error('Call journey error:', err.message);
+    res.status(500).json({ error: 'Failed to build call journey', details: err.message });
+  }
+});
+
+// GET /api/calls/:callId?account=<tenant>&at=<ISO>  (or &start=<ISO>&end=<ISO>)
+// Everything about one call for the permalink page: normalised record, agent /
+// queue history, journey, recording id and other calls from the same number.
+// The time hint is optional when the warehouse holds the call.
+app.get('/api/calls/:callId', async (req, res) => {
+  const { start, end, at } = req.query;
+  const hint = {};
+  if (at) {
+    hint.at = Math.floor(parseQueryDate(req, at) / 1000);
+    if (Number.isNaN(hint.at)) return res.status(400).json({ error: 'Invalid at date' });
+  } else if (start || end) {
+    hint.startDate = Math.floor(parseQueryDate(req, start) / 1000);
+    hint.endDate = Math.floor(parseQueryDate(req, end) / 1000);
+    if (Number.isNaN(hint.startDate) || Number.isNaN(hint.endDate) || hint.endDate <= hint.startDate) {
+      return res.status(400).json({ error: 'Invalid start or end date' });
+    }
+  } else if (!isDbConfigured()) {
+    return res.status(400).json({ error: 'Call lookup requires at, or start and end (no warehouse configured)' });
+  }
+
+  const signal = clientAbortSignal(res);
+  try {
+    const call = await getCallDetail(req.tenant, req.params.callId, { ...hint, signal });
+    if (!call) return res.status(404).json({ error: `Call ${req.params.callId} not found` });
+    res.json({ call });
+  } catch (err) {
+    if (signal.aborted) return console.log(`⚠️  Call ${req.params.callId} lookup cancelled by client`);
+    console.error('Call detail error:', err.message);
+    res.status(500).json({ error: 'Failed to load call', details: err.message });
+  }
+});
+
+// GET /api/reports/:type/history?account=<tenant>&start=<ISO>&end=<ISO>&limit=<number>&offset=<number>
+// Serves rows from the local MySQL warehouse filled by syncWorker.js.
+app.get('/api/reports/:type/history', async (req, res) => {
   const { type } = req.params;
-  const { account, start, end, limit = 5, startKey } = req.query;
+  const { start, end, limit = 1000, offset = 0 } = req.query;
+  const account = req.tenant;
 
-  if (!account) {
-    return res.status(400).json({ error: 'Missing account query param' });
+  if (!isDbConfigured()) {
+    return res.status(503).json({ error: 'Local warehouse not configured' });
+  }
+  if (!TABLES[type]) {
+    return res.status(400).json({ error: `Unknown report type: ${type}` });
   }
 
   const params = {};
   if (start) {
-    const startDate = Date.parse(start);
+    const startDate = parseQueryDate(req, start);
     if (Number.isNaN(startDate)) {
       return res.status(400).json({ error: 'Invalid start date' });
     }
     params.startDate = Math.floor(startDate / 1000);
   }
   if (end) {
-    const endDate = Date.parse(end);
+    const endDate = parseQueryDate(req, end);
+    if (Number.isNaN(endDate)) {
+      return res.status(400).json({ error: 'Invalid end date' });
+    }
+    params.endDate = Math.floor(endDate / 1000);
+  }
+
+  const recordLimit = Math.min(parseInt(limit, 10) || 1000, 10000);
+  const recordOffset = Math.max(parseInt(offset, 10) || 0, 0);
+
+  try {
+    const startTime = Date.now();
+    const [data, total] = await Promise.all([
+      queryRecords(type, account, { ...params, limit: recordLimit, offset: recordOffset }),
+      countRecords(type, account, params)
+    ]);
+    console.log(`📦 Warehouse returned ${data.length}/${total} ${type} rows for ${account} in ${Date.now() - startTime}ms`);
+    res.json({
+      data: normalizeRecords(type, data, account),
+      schemaVersion: NORMALIZER_VERSION,
+      total,
+      limit: recordLimit,
+      offset: recordOffset,
+      hasMore: recordOffset + data.length < total,
+      fetchMethod: 'warehouse'
+    });
+  } catch (err) {
+    console.error('Warehouse query error:', err.message);
+    res.status(500).json({ error: 'Failed to query warehouse', details: err.message });
+  }
+});
+
+// GET /api/reports/:type/export?account=<tenant>&start=<ISO>&end=<ISO>&format=csv|xlsx[&<filter>=<value>…]
+// Streams the report while it is being fetched. The range is walked in
+// EXPORT_WINDOW slices (default 1h) and each slice is written as soon as it
+// arrives, so memory stays flat however many rows the export holds. Filters
+// use the same keys as the table's search boxes (see reportExport.FILTERS).
+app.get('/api/reports/:type/export', async (req, res) => {
+  const { type } = req.params;
+  const { start, end, format = 'csv', limit } = req.query;
+  const account = req.tenant;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unsupported export format: ${format}` });
+  }
+  if (!REPORT_EXPORTS[type]) {
+    return res.status(400).json({ error: `Unknown report type: ${type}` });
+  }
+  const startDate = parseQueryDate(req, start);
+  const endDate = parseQueryDate(req, end);
+  if (Number.isNaN(startDate) || Number.isNaN(endDate) || endDate <= startDate) {
+    return res.status(400).json({ error: 'Export requires a valid start and end date' });
+  }
+  const maxRows = limit ? parseInt(limit, 10) : Infinity;
+  if (Number.isNaN(maxRows) || maxRows < 1) {
+    return res.status(400).json({ error: 'Invalid limit parameter. Must be a positive integer.' });
+  }
+  const timezone = requestTimezone(req);
+
+  // Stop fetching as soon as the browser goes away
+  const signal = clientAbortSignal(res);
+
+  const rows = iterateExportRows(type, account, {
+    startDate: Math.floor(startDate / 1000),
+    endDate: Math.floor(endDate / 1000),
+    filters: filtersFromQuery(req.query),
+    maxRows,
+    windowSec: Math.max(60, Math.floor(ms(process.env.EXPORT_WINDOW || '1h') / 1000)),
+    signal
+  });
+
+  const { contentType, write } = EXPORT_FORMATS[format];
+  const filename = `${type}_${account}_${dayInZone(startDate, timezone)}.${format}`;
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  console.log(`📤 ${format.toUpperCase()} export ${type} for ${account}: ${start} → ${end}`);
+  try {
+    const written = await write(res, type, rows, { timezone });
+    console.log(`✅ ${format.toUpperCase()} export finished: ${written} rows`);
+    res.end();
+  } catch (err) {
+    if (signal.aborted) {
+      console.log(`⚠️  ${format.toUpperCase()} export ${type} for ${account} cancelled by client`);
+      return res.destroy();
+    }
+    console.error(`${format.toUpperCase()} export error:`, err.message);
+    // Headers are already sent – abort so the download is marked as failed
+    res.destroy(err);
+  }
+});
+
+// GET /api/reports/:type/paginated?account=<tenant>&start=<ISO>&end=<ISO>&limit=<number>&startKey=<string>
+app.get('/api/reports/:type/paginated', async (req, res) => {
+  const { type } = req.params;
+  const { start, end, limit = 5, startKey } = req.query;
+  const account = req.tenant;
+
+  const params = {};
+  if (start) {
+    const startDate = parseQueryDate(req, start);
+    if (Number.isNaN(startDate)) {
+      return res.status(400).json({ error: 'Invalid start date' });
+    }
+    params.startDate = Math.floor(startDate / 1000);
+  }
+  if (end) {
+    const endDate = parseQueryDate(req, end);
     if (Number.isNaN(endDate)) {
       return res.status(400).json({ error: 'Invalid end date' });
     }
@@ -264,113 +646,169 @@ app.get('/api/reports/:type/paginated', async (req, res) => {
     startKey
   });
 
+  const signal = clientAbortSignal(res);
   try {
-    const result = await fetchReportPaginated(type, account, params, parseInt(limit), startKey);
+    const result = await fetchReportPaginated(type, account, params, parseInt(limit), startKey, { signal });
     
-    // Process the data similar to the original endpoint
-    let processedData;
-    if (type === 'cdrs') {
-      // Handle the special case where data is an array containing one object with numeric keys
-      let cdrRecords = [];
-      if (result.data.length === 1 && result.data[0] && typeof result.data[0] === 'object') {
-        const firstItem = result.data[0];
-        const keys = Object.keys(firstItem);
-        
-        // Check if this is the numeric-keyed object structure
-        if (keys.length > 0 && keys.every(k => /^\d+$/.test(k))) {
-          console.log(`🔧 Converting single object with ${keys.length} numeric keys to ${keys.length} CDR records`);
-          cdrRecords = Object.values(firstItem);
-        } else {
-          cdrRecords = result.data;
-        }
-      } else {
-        cdrRecords = result.data;
-      }
-      
-      processedData = cdrRecords.map(row => {
-        // Extract only the specific fields requested based on actual CDR structure
-        const filteredRow = {
-          call_id: row.call_id || row._id || row.id || row.bridge_id || '',
-          caller_id_number: row.caller_id_number || row.from || '',
-          callee_id_number: row.callee_id_number || row.to || '',
-          call_direction: row.call_direction || '',
-          disposition: row.fonoUC?.disposition || row.disposition || row.hangup_cause || '',
-          subdisposition: (() => {
-            // Handle nested subdisposition structure
-            const fonoSub = row.fonoUC?.subdisposition;
-            if (fonoSub?.name && fonoSub?.subdisposition?.name) {
-              return `${fonoSub.name} - ${fonoSub.subdisposition.name}`;
-            }
-            return fonoSub?.name || row.subdisposition || '';
-          })(),
-          follow_up_notes: row.fonoUC?.follow_up_notes || row.follow_up_notes || '',
-          timestamp: (() => {
-            // Handle timestamp conversion - try multiple timestamp fields
-            const ts = row.timestamp || row.created || row.pvt_created || row.interaction_time;
-            if (ts && typeof ts === 'number') {
-              // Convert epoch timestamp to readable format
-              const ms = ts > 10_000_000_000 ? ts : ts * 1000;
-              return new Date(ms).toISOString();
-            }
-            return ts || '';
-          })()
-        };
-        
-        // Debug: Log fonoUC data for first few records
-        if (processedData.length < 3 && row.fonoUC) {
-          console.log(`🔍 CDR ${row.call_id || row._id} has fonoUC data:`, {
-            disposition: row.fonoUC.disposition,
-            subdisposition: row.fonoUC.subdisposition,
-            follow_up_notes: row.fonoUC.follow_up_notes
-          });
-        }
-        
-        return filteredRow;
-      }).filter(record => {
-        // Only include records that have a disposition value
-        return record.disposition && record.disposition.trim() !== '';
-      });
-      
-      console.log(`📊 Total CDR records before disposition filter: ${cdrRecords.length}`);
-      console.log(`📊 CDR records with disposition: ${processedData.length}`);
-      
-      // Debug: Log first filtered record
-      if (processedData.length > 0) {
-        console.log('🔍 First filtered CDR record:');
-        console.log(JSON.stringify(processedData[0], null, 2));
-      }
-    } else {
-      processedData = result.data.map(row => {
-        // Ensure agent_history is an array
-        let history = row.agent_history;
-        if (typeof history === 'string') {
-          try { history = JSON.parse(history); } catch { history = []; }
-        }
-
-        let ts = row.answered_time;
-        if (!ts && Array.isArray(history)) {
-          const answerEvt = history.find(e => e.event === 'answer' || e.connected);
-          if (answerEvt?.last_attempt) {
-            const ms = answerEvt.last_attempt > 10_000_000_000 ? answerEvt.last_attempt : answerEvt.last_attempt * 1000;
-            ts = new Date(ms).toISOString();
-          }
-        }
-        return { ...row, answered_time: ts ?? '--' };
-      });
-    }
+    // The CDR view lists dispositioned calls only
+    const rows = normalizeRecords(type, result.data, account);
+    const processedData = type === 'cdrs' ? rows.filter(row => row.agent_disposition.trim()) : rows;
 
-    res.json({ 
+    res.json({
       data: processedData,
+      schemaVersion: NORMALIZER_VERSION,
       hasMore: result.hasMore,
       nextStartKey: result.nextStartKey,
       totalFetched: processedData.length
     });
   } catch (err) {
+    if (signal.aborted) return console.log(`⚠️  Paginated ${type} fetch for ${account} cancelled by client`);
     console.error(err.response?.data || err.stack || err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
+// ---------------------------------------------------------------------------
+// Warehouse sync administration (admin only)
+
+app.get('/api/sync/status', requireRole('admin'), async (req, res) => {
+  if (!isDbConfigured()) {
+    return res.status(503).json({ error: 'Local warehouse not configured' });
+  }
+  try {
+    res.json({ running: isSyncRunning(), state: await listSyncState() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/sync/run – trigger a pass now; returns immediately
+app.post('/api/sync/run', requireRole('admin'), (req, res) => {
+  if (!isDbConfigured()) {
+    return res.status(503).json({ error: 'Local warehouse not configured' });
+  }
+  if (isSyncRunning()) {
+    return res.status(409).json({ error: 'Sync already running' });
+  }
+  runSyncPass().catch(err => console.error('Manual sync failed:', err.message));
+  res.status(202).json({ started: true });
+});
+
+// GET /api/cache/stats – report cache hit / miss counters
+app.get('/api/cache/stats', requireRole('admin'), (req, res) => {
+  res.json(reportCacheStats());
+});
+
+// DELETE /api/cache?tenant=…&report=… – drop cached windows (all when no filter)
+app.delete('/api/cache', requireRole('admin'), async (req, res) => {
+  const { tenant, report } = req.query;
+  if (report && !REPORT_TYPES.includes(report)) {
+    return res.status(400).json({ error: `Unknown report type: ${report}` });
+  }
+  try {
+    res.json({ purged: await purgeReportCache({ tenant, report }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Upstream schema drift (see schemaDrift.js, admin only)
+
+// GET /api/schema[?tenant=…&report=…&unacknowledged=1] – fingerprints and change history
+app.get('/api/schema', requireRole('admin'), (req, res) => {
+  const { tenant, report } = req.query;
+  const history = schemaHistory({ tenant, report, unacknowledged: req.query.unacknowledged === '1' });
+  res.json({
+    schemas: schemaStatus({ tenant, report }),
+    history,
+    unacknowledged: history.filter(c => !c.acknowledged).length
+  });
+});
+
+// POST /api/schema/ack { ids?: number[] } – mark changes as reviewed (all when no ids)
+app.post('/api/schema/ack', requireRole('admin'), express.json(), (req, res) => {
+  const { ids } = req.body || {};
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+    return res.status(400).json({ error: 'ids must be an array of change ids' });
+  }
+  res.json({ acknowledged: acknowledgeSchemaChanges(ids, req.user.username) });
+});
+
+// ---------------------------------------------------------------------------
+// Background report jobs (see reportJobs.js)
+
+app.use('/api/jobs', requireAuth);
+
+// Owners see their own jobs, admins everyone's
+const canSeeJob = (req, job) => job && (job.username === req.user.username || hasRole(req.user.role, 'admin'));
+
+// GET /api/jobs[?all=1] – the caller's jobs, newest first (all=1: every user's, admin only)
+app.get('/api/jobs', async (req, res) => {
+  const everyone = req.query.all === '1' && hasRole(req.user.role, 'admin');
+  res.json({ jobs: await listJobs(everyone ? undefined : req.user.username) });
+});
+
+// POST /api/jobs?account=<tenant>
+// Body: { report, format: json|csv|xlsx, start, end, limit?, filters? } – returns 202 with the job
+app.post('/api/jobs', requireTenant, express.json(), async (req, res) => {
+  const { report, format, start, end, limit, filters } = req.body || {};
+  const startDate = parseQueryDate(req, start);
+  const endDate = parseQueryDate(req, end);
+  if (Number.isNaN(startDate) || Number.isNaN(endDate)) {
+    return res.status(400).json({ error: 'Invalid start or end date' });
+  }
+  try {
+    const job = await submitJob({
+      username: req.user.username,
+      tenant: req.tenant,
+      report,
+      format,
+      startDate: Math.floor(startDate / 1000),
+      endDate: Math.floor(endDate / 1000),
+      limit: limit == null || limit === '' ? undefined : Number(limit),
+      filters: filtersFromQuery(filters || {}),
+      timezone: requestTimezone(req)
+    });
+    res.status(202).location(`/api/jobs/${job.id}`).json({ job });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /api/jobs/:id – status and progress
+app.get('/api/jobs/:id', async (req, res) => {
+  const job = await getJob(req.params.id);
+  if (!canSeeJob(req, job)) return res.status(404).json({ error: 'No such job' });
+  res.json({ job: publicJob(job) });
+});
+
+// GET /api/jobs/:id/result – download the output of a finished job
+app.get('/api/jobs/:id/result', async (req, res) => {
+  const job = await getJob(req.params.id);
+  if (!canSeeJob(req, job)) return res.status(404).json({ error: 'No such job' });
+  const result = jobResult(job);
+  if (!result) return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+
+  res.setHeader('Content-Type', result.contentType);
+  res.setHeader('Cache-Control', 'no-store');
+  res.download(result.file, result.filename, err => {
+    if (err && !res.headersSent) res.status(410).json({ error: 'Job result is no longer available' });
+  });
+});
+
+// DELETE /api/jobs/:id – cancel a queued / running job, or remove a finished one
+app.delete('/api/jobs/:id', async (req, res) => {
+  const job = await getJob(req.params.id);
+  if (!canSeeJob(req, job)) return res.status(404).json({ error: 'No such job' });
+  await cancelJob(job.id);
+  res.json({ ok: true });
+});
+
+await ensureBootstrapAdmin();
+startSyncWorker();
+await startJobWorkers();
+
 app.listen(PORT, HOST, () => {
   console.log(`Web app running at ${PUBLIC_URL}`);
 });
@@ -0,0 +1,178 @@
+// syncWorker.js
+// Incremental sync of upstream reports into the local MySQL warehouse.
+//
+// For each tenant / report pair the worker reads the watermark stored in
+// `sync_state`, fetches the following time windows up to "now – SYNC_LAG"
+// through reportFetcher.iterateReport and upserts the rows via cdrStore.js.
+// The watermark advances after every window, so an interrupted run resumes
+// where it stopped. A small overlap is re-fetched each pass to pick up
+// records the PBX writes late; upserts make that idempotent.
+//
+// Configuration (env):
+//   SYNC_ENABLED=true      – run the worker inside server.js
+//   SYNC_TENANTS           – tenants to sync (default: TENANTS)
+//   SYNC_REPORTS           – report types (default: all)
+//   SYNC_INTERVAL=5m       – pause between passes
+//   SYNC_WINDOW=1h         – size of each fetched window
+//   SYNC_LAG=5m            – never sync closer to "now" than this
+//   SYNC_OVERLAP=10m       – re-fetch this much before the watermark
+//   SYNC_BACKFILL=7d       – history to pull for a tenant seen the first time
+//
+// Usage examples:
+//   node -r dotenv/config syncWorker.js                 # one pass, all tenants
+//   node -r dotenv/config syncWorker.js shams cdrs      # one tenant / report
+//   node -r dotenv/config syncWorker.js --loop          # keep syncing
+
+import ms from 'ms';
+import { iterateReport } from './reportFetcher.js';
+import { TABLES, getSyncState, saveSyncState, upsertRecords } from './cdrStore.js';
+import { closePool, isDbConfigured } from './db.js';
+import { configuredTenants } from './userStore.js';
+
+const seconds = (value, fallback) => Math.floor(ms(value || fallback) / 1000);
+
+function syncConfig() {
+  const list = v => (v || '').split(',').map(s => s.trim()).filter(Boolean);
+  return {
+    tenants: list(process.env.SYNC_TENANTS).length ? list(process.env.SYNC_TENANTS) : configuredTenants(),
+    reports: list(process.env.SYNC_REPORTS).length ? list(process.env.SYNC_REPORTS) : Object.keys(TABLES),
+    interval: ms(process.env.SYNC_INTERVAL || '5m'),
+    window: seconds(process.env.SYNC_WINDOW, '1h'),
+    lag: seconds(process.env.SYNC_LAG, '5m'),
+    overlap: seconds(process.env.SYNC_OVERLAP, '10m'),
+    backfill: seconds(process.env.SYNC_BACKFILL, '7d')
+  };
+}
+
+/**
+ * Bring one tenant / report up to date.
+ * @param {string} tenant – tenant / account id.
+ * @param {string} report – one of keys in TABLES.
+ * @returns {Promise<{windows: number, rows: number, watermark: number}>}
+ */
+export async function syncReport(tenant, report, config = syncConfig()) {
+  if (!TABLES[report]) throw new Error(`Unknown report type: ${report}`);
+
+  const state = await getSyncState(tenant, report);
+  const until = Math.floor(Date.now() / 1000) - config.lag;
+  let from = state?.watermark != null
+    ? Math.max(0, Number(state.watermark) - config.overlap)
+    : until - config.backfill;
+
+  let windows = 0;
+  let rows = 0;
+  while (from < until) {
+    const to = Math.min(from + config.window, until);
+    console.log(`🔁 Sync ${tenant}/${report}: ${new Date(from * 1000).toISOString()} → ${new Date(to * 1000).toISOString()}`);
+
+    try {
+      // Upsert page by page; the watermark only moves once the whole window is stored
+      let written = 0;
+      for await (const { records } of iterateReport(report, tenant, { startDate: from, endDate: to })) {
+        written += await upsertRecords(report, tenant, records);
+      }
+      await saveSyncState(tenant, report, { watermark: to, rowsSynced: written });
+      rows += written;
+      windows++;
+    } catch (err) {
+      await saveSyncState(tenant, report, { error: err.message }).catch(() => {});
+      throw err;
+    }
+    from = to;
+  }
+
+  console.log(`✅ Sync ${tenant}/${report}: ${rows} rows in ${windows} window(s)`);
+  return { windows, rows, watermark: until };
+}
+
+let passRunning = false;
+
+/**
+ * Sync every configured tenant / report once. Failures are logged per pair
+ * so one broken tenant does not hold up the others.
+ * @returns {Promise<object[]>} per-pair results.
+ */
+export async function runSyncPass(config = syncConfig()) {
+  if (passRunning) {
+    console.log('Sync pass already running – skipping');
+    return [];
+  }
+  passRunning = true;
+  const results = [];
+  try {
+    for (const tenant of config.tenants) {
+      for (const report of config.reports) {
+        try {
+          results.push({ tenant, report, ...(await syncReport(tenant, report, config)) });
+        } catch (err) {
+          console.error(`❌ Sync ${tenant}/${report} failed:`, err.message);
+          results.push({ tenant, report, error: err.message });
+        }
+      }
+    }
+  } finally {
+    passRunning = false;
+  }
+  return results;
+}
+
+export function isSyncRunning() {
+  return passRunning;
+}
+
+/**
+ * Start the periodic sync loop inside the web server when SYNC_ENABLED=true.
+ * @returns {boolean} whether the loop was started.
+ */
+export function startSyncWorker() {
+  if (process.env.SYNC_ENABLED !== 'true') return false;
+  if (!isDbConfigured()) {
+    console.warn('⚠️  SYNC_ENABLED is set but the MySQL warehouse is not configured (DB_HOST/DB_NAME)');
+    return false;
+  }
+
+  const config = syncConfig();
+  if (!config.tenants.length) {
+    console.warn('⚠️  SYNC_ENABLED is set but no tenants configured (SYNC_TENANTS or TENANTS)');
+    return false;
+  }
+
+  const tick = async () => {
+    await runSyncPass(config).catch(err => console.error('Sync pass failed:', err.message));
+    setTimeout(tick, config.interval).unref();
+  };
+  setTimeout(tick, 5_000).unref(); // let the server finish booting first
+  console.log(`🔁 Warehouse sync every ${ms(config.interval)} for ${config.tenants.join(', ')}`);
+  return true;
+}
+
+async function cli() {
+  const args = process.argv.slice(2);
+  const loop = args.includes('--loop');
+  const [tenant, report] = args.filter(a => !a.startsWith('--'));
+
+  const config = syncConfig();
+  if (tenant) config.tenants = [tenant];
+  if (report) config.reports = [report];
+
+  if (!config.tenants.length) {
+    console.error('Usage: node -r dotenv/config syncWorker.js [tenant] [report] [--loop]');
+    console.error(`report = ${Object.keys(TABLES).join(' | ')}  (tenants default to SYNC_TENANTS / TENANTS)`);
+    process.exit(1);
+  }
+
+  do {
+    const results = await runSyncPass(config);
+    console.table(results);
+    if (loop) await new Promise(r => setTimeout(r, config.interval));
+  } while (loop);
+
+  await closePool();
+}
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.response?.data || err.stack || err.message);
+    process.exit(1);
+  });
+}
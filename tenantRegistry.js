@@ -0,0 +1,281 @@
+// tenantRegistry.js
+// Connection profile per tenant: which PBX cluster it lives on, the API user
+// to log in with, the X-Account-ID value, endpoint paths and display timezone.
+//
+// Tenants on one cluster need nothing beyond the env defaults below. Tenants
+// elsewhere are described in a registry file – JSON or YAML:
+//
+//   defaults:                     # optional, applied to every tenant
+//     username: reports-api
+//   tenants:
+//     shams:
+//       timezone: Asia/Dubai
+//     mc_int:
+//       baseUrl: https://pbx2.example.com
+//       username: mc-reports
+//       password: ${MC_INT_API_PASSWORD}   # ${VAR} is read from the environment
+//       accountHeader: 1d5c0e…             # X-Account-ID (default: the tenant id)
+//       timezone: Europe/London
+//       endpoints:
+//         agentStatus: /api/v3/reports/callcenter/agents/stats
+//       tls:                               # see upstreamTls.js
+//         ca: certs/pbx2-ca.pem            # relative to the registry file
+//         pins: [sha256/kX8Zs…=]
+//
+// A tenant's profile is resolved as: the tenant's entry → `defaults` → env.
+// Tenants missing from the file use `defaults` and env. Keep passwords in env
+// and reference them with ${VAR} rather than writing them into the file.
+//
+// Endpoint keys (paths on baseUrl): cdrs, queueCalls, queueOutboundCalls,
+// campaignsActivity, agentStatus, recordings (+ /<id>), login (list, tried in
+// order), legacyLogin, refresh.
+//
+// Configuration (env):
+//   TENANTS_FILE                 – registry (default: data/tenants.{yaml,yml,json} when present)
+//   BASE_URL, API_USERNAME, API_PASSWORD – defaults for every tenant
+//   ACCOUNT_ID_HEADER            – X-Account-ID for every tenant (default: the tenant id)
+//   AGENT_STATUS_ENDPOINT, TOKEN_REFRESH_ENDPOINT – default endpoint paths
+//   TENANT_TIMEZONES=shams:Asia/Dubai,… – per-tenant zones for tenants without `timezone`
+//   PBX_CA_FILE, PBX_CLIENT_CERT, PBX_CLIENT_KEY, PBX_CLIENT_KEY_PASSPHRASE,
+//   PBX_TLS_PINS, PBX_TLS_INSECURE – `tls` settings for every tenant (upstreamTls.js)
+//
+// Usage examples:
+//   node -r dotenv/config tenantRegistry.js list
+//   node -r dotenv/config tenantRegistry.js show mc_int
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FILE_CANDIDATES = ['tenants.yaml', 'tenants.yml', 'tenants.json'].map(f => path.join(__dirname, 'data', f));
+
+export const DEFAULT_ENDPOINTS = Object.freeze({
+  // Raw CDRs
+  cdrs: '/api/v2/reports/cdrs/all',
+  // Queue-specific CDR summaries
+  queueCalls: '/api/v2/reports/queues_cdrs',                 // inbound queues
+  queueOutboundCalls: '/api/v2/reports/queues_outbound_cdrs', // outbound queues
+  // Campaign dialer lead activity
+  campaignsActivity: '/api/v2/reports/campaigns/leads/history',
+  agentStatus: process.env.AGENT_STATUS_ENDPOINT || '/api/v2/reports/callcenter/agents/stats',
+  recordings: '/api/v2/reports/recordings',
+  // OAuth path used by the portal UI, then the v2 and very old login paths
+  login: ['/api/v2/config/login/oauth', '/api/v2/login', '/api/login'],
+  legacyLogin: '/portal/callcenter/reports/agents-status-activity',
+  refresh: process.env.TOKEN_REFRESH_ENDPOINT || '/api/v2/config/login/refresh'
+});
+
+const PROFILE_KEYS = ['baseUrl', 'username', 'password', 'accountHeader', 'timezone', 'endpoints', 'tls'];
+// ca / cert / key are PEM file paths, pins a list of certificate pins
+const TLS_KEYS = ['ca', 'cert', 'key', 'passphrase', 'pins', 'insecure'];
+
+const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+
+function registryFile() {
+  if (process.env.TENANTS_FILE) return path.resolve(process.env.TENANTS_FILE);
+  return FILE_CANDIDATES.find(file => fs.existsSync(file)) || null;
+}
+
+// ${VAR} → process.env.VAR; an unset variable is a configuration error
+function interpolate(value, where) {
+  return value.replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (process.env[name] === undefined) throw new Error(`${where} references unset environment variable ${name}`);
+    return process.env[name];
+  });
+}
+
+function checkTls(tls, where, dir) {
+  if (!isObject(tls)) throw new Error(`${where} must be an object`);
+  const out = {};
+  for (const [key, value] of Object.entries(tls)) {
+    if (!TLS_KEYS.includes(key)) throw new Error(`${where}.${key} is not a TLS setting (expected ${TLS_KEYS.join(', ')})`);
+    if (key === 'insecure') {
+      if (typeof value !== 'boolean') throw new Error(`${where}.insecure must be true or false`);
+      out.insecure = value;
+    } else if (key === 'pins') {
+      const pins = [value].flat();
+      if (!pins.every(pin => typeof pin === 'string' && pin)) throw new Error(`${where}.pins must be a pin or a list of them`);
+      out.pins = pins.map(pin => interpolate(pin, `${where}.pins`));
+    } else {
+      if (typeof value !== 'string' || !value) throw new Error(`${where}.${key} must be a string`);
+      const text = interpolate(value, `${where}.${key}`);
+      out[key] = key === 'passphrase' ? text : path.resolve(dir, text);
+    }
+  }
+  return out;
+}
+
+function checkProfile(profile, where, dir) {
+  if (!isObject(profile)) throw new Error(`${where} must be an object`);
+  const out = {};
+  for (const [key, value] of Object.entries(profile)) {
+    if (!PROFILE_KEYS.includes(key)) throw new Error(`${where}.${key} is not a tenant setting (expected ${PROFILE_KEYS.join(', ')})`);
+    if (key === 'tls') {
+      out.tls = checkTls(value, `${where}.tls`, dir);
+      continue;
+    }
+    if (key === 'endpoints') {
+      if (!isObject(value)) throw new Error(`${where}.endpoints must be an object`);
+      out.endpoints = {};
+      for (const [name, p] of Object.entries(value)) {
+        if (!(name in DEFAULT_ENDPOINTS)) throw new Error(`${where}.endpoints.${name} is not a known endpoint (expected ${Object.keys(DEFAULT_ENDPOINTS).join(', ')})`);
+        const paths = name === 'login' ? [p].flat() : [p];
+        if (!paths.length || !paths.every(x => typeof x === 'string' && x.startsWith('/'))) {
+          throw new Error(`${where}.endpoints.${name} must be a path starting with /${name === 'login' ? ' (or a list of them)' : ''}`);
+        }
+        out.endpoints[name] = name === 'login' ? paths : p;
+      }
+      continue;
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') throw new Error(`${where}.${key} must be a string`);
+    out[key] = interpolate(String(value), `${where}.${key}`);
+  }
+  if (out.baseUrl !== undefined) {
+    if (!/^https?:\/\/[^/]/.test(out.baseUrl)) throw new Error(`${where}.baseUrl must be an http(s) URL`);
+    out.baseUrl = out.baseUrl.replace(/\/+$/, '');
+  }
+  return out;
+}
+
+function loadRegistry() {
+  const file = registryFile();
+  if (!file) return { file: null, defaults: {}, tenants: {} };
+
+  let doc;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    doc = (/\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text)) || {};
+  } catch (err) {
+    throw new Error(`Cannot read tenant registry ${file}: ${err.message}`);
+  }
+  try {
+    if (!isObject(doc)) throw new Error('the document must be an object');
+    for (const key of Object.keys(doc)) {
+      if (!['defaults', 'tenants'].includes(key)) throw new Error(`unknown section "${key}" (expected defaults, tenants)`);
+    }
+    const dir = path.dirname(file);
+    const tenants = {};
+    for (const [id, profile] of Object.entries(doc.tenants || {})) {
+      tenants[id] = checkProfile(profile || {}, `tenants.${id}`, dir);
+    }
+    return { file, defaults: checkProfile(doc.defaults || {}, 'defaults', dir), tenants };
+  } catch (err) {
+    throw new Error(`Invalid tenant registry ${file}: ${err.message}`);
+  }
+}
+
+const ENV_TIMEZONES = new Map(
+  (process.env.TENANT_TIMEZONES || '')
+    .split(',')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => pair.split(':').map(s => s.trim()))
+);
+
+// PBX_* variables as a `tls` block – the base every tenant's settings extend
+function envTls() {
+  const env = process.env;
+  const tls = {};
+  if (env.PBX_CA_FILE) tls.ca = path.resolve(env.PBX_CA_FILE);
+  if (env.PBX_CLIENT_CERT) tls.cert = path.resolve(env.PBX_CLIENT_CERT);
+  if (env.PBX_CLIENT_KEY) tls.key = path.resolve(env.PBX_CLIENT_KEY);
+  if (env.PBX_CLIENT_KEY_PASSPHRASE) tls.passphrase = env.PBX_CLIENT_KEY_PASSPHRASE;
+  if (env.PBX_TLS_PINS) tls.pins = env.PBX_TLS_PINS.split(',').map(pin => pin.trim()).filter(Boolean);
+  if (env.PBX_TLS_INSECURE) tls.insecure = ['1', 'true', 'yes', 'on'].includes(env.PBX_TLS_INSECURE.toLowerCase());
+  return tls;
+}
+
+const ENV_TLS = envTls();
+const registry = loadRegistry();
+const profiles = new Map();
+
+/**
+ * Tenants listed in the registry file.
+ */
+export function registeredTenants() {
+  return Object.keys(registry.tenants);
+}
+
+/**
+ * The registry file in use (null when every tenant uses the env defaults).
+ */
+export function tenantRegistryFile() {
+  return registry.file;
+}
+
+/**
+ * Resolved connection profile of a tenant.
+ * @param {string} tenant
+ * @returns {{id: string, baseUrl: string, username?: string, password?: string,
+ *   accountHeader: string, timezone?: string, endpoints: object, tls: object}}
+ */
+export function tenantConfig(tenant) {
+  if (profiles.has(tenant)) return profiles.get(tenant);
+  const own = registry.tenants[tenant] || {};
+  const { defaults } = registry;
+  const profile = Object.freeze({
+    id: tenant,
+    baseUrl: own.baseUrl ?? defaults.baseUrl ?? process.env.BASE_URL?.replace(/\/+$/, ''),
+    username: own.username ?? defaults.username ?? process.env.API_USERNAME,
+    password: own.password ?? defaults.password ?? process.env.API_PASSWORD,
+    accountHeader: own.accountHeader ?? defaults.accountHeader ?? process.env.ACCOUNT_ID_HEADER ?? tenant,
+    timezone: own.timezone ?? ENV_TIMEZONES.get(tenant) ?? defaults.timezone,
+    endpoints: Object.freeze({ ...DEFAULT_ENDPOINTS, ...defaults.endpoints, ...own.endpoints }),
+    tls: Object.freeze({ ...ENV_TLS, ...defaults.tls, ...own.tls })
+  });
+  profiles.set(tenant, profile);
+  return profile;
+}
+
+/**
+ * Zones configured per tenant – registry entries and TENANT_TIMEZONES – for
+ * validation at startup (see timezones.js).
+ * @returns {Array<[tenant: string, timezone: string]>}
+ */
+export function configuredTimezones() {
+  const ids = new Set([...ENV_TIMEZONES.keys(), ...registeredTenants()]);
+  return [...ids].map(id => [id, tenantConfig(id).timezone]).filter(([, tz]) => tz);
+}
+
+/**
+ * PBX base URL of a tenant (throws when none is configured).
+ */
+export function tenantBaseUrl(tenant) {
+  const { baseUrl } = tenantConfig(tenant);
+  if (!baseUrl) throw new Error(`No PBX base URL for tenant ${tenant} – set BASE_URL or baseUrl in the tenant registry`);
+  return baseUrl;
+}
+
+/**
+ * Absolute URL of a tenant's endpoint.
+ * @param {string} tenant
+ * @param {string} endpoint – key of DEFAULT_ENDPOINTS (not login, which is a list).
+ * @param {string} [suffix] – appended path, e.g. `/<recording id>`.
+ */
+export function tenantUrl(tenant, endpoint, suffix = '') {
+  return `${tenantBaseUrl(tenant)}${tenantConfig(tenant).endpoints[endpoint]}${suffix}`;
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  const [command = 'list', tenant] = process.argv.slice(2);
+  const safe = ({ password, endpoints, tls, ...p }) => ({ ...p, password: password ? '••••' : '' });
+
+  if (command === 'list') {
+    console.log(`Registry: ${registry.file || '(none – env defaults only)'}`);
+    const ids = registeredTenants();
+    if (!ids.length) console.log('No tenants registered.');
+    else console.table(ids.map(id => safe(tenantConfig(id))));
+  } else if (command === 'show' && tenant) {
+    const profile = tenantConfig(tenant);
+    const { passphrase, ...tls } = profile.tls;
+    console.log({ ...safe(profile), endpoints: profile.endpoints, tls: passphrase ? { ...tls, passphrase: '••••' } : tls });
+  } else {
+    console.error('Usage: node tenantRegistry.js list | show <tenant>');
+    process.exitCode = 1;
+  }
+}
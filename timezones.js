@@ -0,0 +1,106 @@
+// timezones.js
+// Display timezone per tenant and per user.
+//
+// Every time shown to a user – the table, the date pickers, exports and the
+// day in export file names – is in one IANA zone, resolved as:
+//   the user's own setting → the tenant's zone → DEFAULT_TIMEZONE
+// Offsets come from Intl, so zones with daylight saving are handled correctly.
+//
+// Date-only or zone-less query values (`2025-08-14`, `2025-08-14T09:00`) are
+// read as wall-clock time in the resolved zone; values with `Z` or an offset
+// keep their meaning.
+//
+// Tenant zones come from the tenant registry (`timezone`, or TENANT_TIMEZONES
+// for tenants without one – see tenantRegistry.js).
+//
+// Configuration (env):
+//   DEFAULT_TIMEZONE=Asia/Dubai                           – fallback zone
+
+import { configuredTimezones, tenantConfig } from './tenantRegistry.js';
+
+const LOCAL_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * True for zone names Intl understands (IANA ids such as Europe/London, or UTC).
+ */
+export function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function checkedZone(tz, source) {
+  if (!isValidTimezone(tz)) throw new Error(`Invalid timezone "${tz}" in ${source}`);
+  return tz;
+}
+
+export const DEFAULT_TIMEZONE = checkedZone(process.env.DEFAULT_TIMEZONE || 'Asia/Dubai', 'DEFAULT_TIMEZONE');
+
+// Fail at startup on a misspelt zone rather than on the first request
+for (const [tenant, tz] of configuredTimezones()) checkedZone(tz, `the timezone of tenant ${tenant}`);
+
+/**
+ * Zone configured for a tenant (tenantRegistry.js), else DEFAULT_TIMEZONE.
+ */
+export function tenantTimezone(tenant) {
+  return (tenant && tenantConfig(tenant).timezone) || DEFAULT_TIMEZONE;
+}
+
+/**
+ * Zone a user sees a tenant's data in.
+ * @param {object} [user]   – dashboard user (its `timezone` wins when set).
+ * @param {string} [tenant]
+ */
+export function resolveTimezone(user, tenant) {
+  return user?.timezone || tenantTimezone(tenant);
+}
+
+/**
+ * Offset in ms between UTC and wall-clock time in `tz` at instant `ms`.
+ */
+export function tzOffsetMs(ms, tz) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(ms)).map(p => [p.type, p.value])
+  );
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * UTC instant (ms) of a wall-clock time in `tz`. Times skipped by a DST jump
+ * resolve forward; the repeated hour when clocks go back maps to one of its
+ * two occurrences.
+ */
+export function zonedTimeToUtc(year, month, day, hour, minute, second, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = wall - tzOffsetMs(wall, tz);
+  return wall - tzOffsetMs(guess, tz);
+}
+
+/**
+ * Parse a query date; zone-less values are wall-clock time in `tz`.
+ * @returns {number} epoch ms, or NaN when unparseable.
+ */
+export function parseDateInZone(value, tz = DEFAULT_TIMEZONE) {
+  if (value == null || value === '') return NaN;
+  const m = LOCAL_DATE.exec(String(value).trim());
+  if (!m) return Date.parse(value);
+  const [, y, mo, d, h, mi, s] = m.map(v => Number(v ?? 0));
+  return zonedTimeToUtc(y, mo, d, h, mi, s, tz);
+}
+
+/**
+ * Calendar day (YYYY-MM-DD) of instant `ms` in `tz`.
+ */
+export function dayInZone(ms, tz = DEFAULT_TIMEZONE) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(ms));
+}
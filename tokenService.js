@@ -1,103 +1,316 @@
 // tokenService.js
+// PBX access tokens per tenant. Tokens live in the store picked by
+// TOKEN_STORE (tokenStore.js), so restarts and other instances reuse them, and
+// a login runs under the store's lock so only one process logs in to a tenant
+// at a time.
+//
+// Expiry comes from the JWT `exp` claim (else the login's expiresIn, else 1h).
+// A token in use is renewed in the background TOKEN_RENEW_BEFORE its expiry,
+// with the refresh token when the PBX issued one and it has not expired, and
+// with a full password login otherwise. withPortalToken() retries an upstream
+// call once with a new token when the PBX answers 401.
+//
+// A password login walks the tenant's login endpoints, starting with the one
+// that worked last time (kept in the token store). Only transport errors,
+// 429 and 5xx are retried; a rejected login moves straight on, and when every
+// endpoint fails the error names each one and why.
+//
+// Configuration (env):
+//   TOKEN_RENEW_BEFORE=2m                         – background renewal lead time
+//   TOKEN_REFRESH_TTL=24h                         – refresh token lifetime when it is not a JWT
+// PBX URL, API user and login / refresh paths are per tenant (tenantRegistry.js);
+// so is TLS trust (upstreamTls.js).
 import axios from 'axios';
 import ms from 'ms';
-import https from 'https';
+import { tenantBaseUrl, tenantConfig, tenantUrl } from './tenantRegistry.js';
+import { createTokenStore } from './tokenStore.js';
+import { httpsAgentFor, isCertificateError } from './upstreamTls.js';
 
-const cache = new Map();        // In prod use Redis
+const store = createTokenStore();
+const local = new Map();        // key -> entry, so most calls never reach the store
+const inflight = new Map();     // key -> pending renewal in this process
+const timers = new Map();       // key -> background renewal timer
+const lastUsed = new Map();     // key -> ms of the last request for the token
 const MAX_RETRIES = 3;
+const LOGIN_ENDPOINT_TTL_MS = ms('30d'); // how long a working login endpoint is remembered
+const EXPIRY_SKEW_MS = 30_000;  // never hand out a token this close to expiry
+const RENEW_BEFORE_MS = ms(process.env.TOKEN_RENEW_BEFORE || '2m');
+const REFRESH_TTL_MS = ms(process.env.TOKEN_REFRESH_TTL || '24h');
 
-// Optional: accept self-signed certificates in dev; set NODE_TLS_REJECT_UNAUTHORIZED=1 in prod
-const httpsAgent = new https.Agent({ rejectUnauthorized: false });
+// Store entries: {access, refresh, expiresAt, refreshExpiresAt, issuedAt}
+// Margins shrink with the lifetime so short-lived tokens are still used
+const lifetime = entry => entry.expiresAt - (entry.issuedAt ?? 0);
+const isUsable = entry => entry && Date.now() < entry.expiresAt - Math.min(EXPIRY_SKEW_MS, lifetime(entry) / 4);
+// When to renew ahead of expiry
+const renewAt = entry => entry.expiresAt - Math.min(RENEW_BEFORE_MS, lifetime(entry) / 2);
+const canRefresh = entry => Boolean(entry?.refresh) && Date.now() < (entry.refreshExpiresAt || 0);
 
-// Cache structure: Map<tenant, {access, refresh, expiresAt}>
+/**
+ * Expiry (epoch ms) from a JWT's `exp` claim; null for opaque tokens.
+ */
+export function jwtExpiry(token) {
+  const payload = typeof token === 'string' && token.split('.')[1];
+  if (!payload) return null;
+  try {
+    const { exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+// Store entry from a login / refresh response
+function tokenEntry(data, previous) {
+  const access = data.accessToken || data.access_token;
+  if (!access) throw new Error('No access token in response');
+  const now = Date.now();
+  const expiresIn = Number(data.expiresIn ?? data.expires_in);
+  const refresh = data.refreshToken || data.refresh_token || previous?.refresh;
+  return {
+    access,
+    refresh,
+    expiresAt: jwtExpiry(access) ?? (expiresIn > 0 ? now + expiresIn * 1000 : now + ms('1h')),
+    // A refresh grant that returns no new refresh token keeps the old one's lifetime
+    refreshExpiresAt: refresh
+      ? jwtExpiry(refresh) ?? (refresh === previous?.refresh ? previous.refreshExpiresAt : now + REFRESH_TTL_MS)
+      : null,
+    issuedAt: now
+  };
+}
+
+async function readStore(key) {
+  try {
+    return await store.get(key);
+  } catch (err) {
+    console.warn(`⚠️ Token store (${store.name}) read failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Cached token for `key`, renewed through `source` when missing or expiring.
+ * @param {string} key
+ * @param {{login: Function, refresh?: Function}} source – obtain a new entry;
+ *   refresh(entry) uses entry.refresh, login() the API user's password.
+ */
+async function cachedToken(key, source) {
+  lastUsed.set(key, Date.now());
+  let entry = local.get(key);
+  if (!isUsable(entry)) {
+    entry = await readStore(key);
+    if (isUsable(entry)) {
+      local.set(key, entry);
+      scheduleRenewal(key, source, entry);
+    }
+  }
+  if (isUsable(entry)) return entry.access;
+  return (await renewToken(key, source, entry?.access)).access;
+}
+
+/**
+ * Replace the token `stale` (undefined: whatever is cached) – under the
+ * store's lock, after re-checking the store in case another process already
+ * did. Tries the refresh token first and falls back to a password login.
+ * A store outage degrades to renewing without the lock.
+ */
+function renewToken(key, source, stale) {
+  if (inflight.has(key)) return inflight.get(key);
+
+  const renew = async () => {
+    const current = await readStore(key);
+    if (isUsable(current) && current.access !== stale && Date.now() < renewAt(current)) {
+      return current;
+    }
+
+    let entry = null;
+    if (source.refresh && canRefresh(current)) {
+      try {
+        entry = await source.refresh(current);
+      } catch (err) {
+        console.warn(`⚠️ Token refresh for ${key} failed (${err.response?.status || err.message}); logging in again`);
+      }
+    }
+    entry ??= await source.login();
+    const keepMs = Math.max(entry.expiresAt, entry.refreshExpiresAt || 0) - Date.now();
+    await store.set(key, entry, keepMs)
+      .catch(err => console.warn(`⚠️ Token store (${store.name}) write failed: ${err.message}`));
+    return entry;
+  };
+
+  const pending = store.withLock(key, renew)
+    .catch(err => {
+      if (err.code !== 'ETOKENLOCK') throw err;
+      console.warn(`⚠️ Token store (${store.name}) lock failed, renewing anyway: ${err.message}`);
+      return renew();
+    })
+    .then(entry => {
+      local.set(key, entry);
+      scheduleRenewal(key, source, entry);
+      return entry;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, pending);
+  return pending;
+}
+
+// Renew ahead of expiry so requests never wait for a login – but only while
+// the token is in use; an idle tenant is renewed by its next request instead
+function scheduleRenewal(key, source, entry) {
+  clearTimeout(timers.get(key));
+  const timer = setTimeout(() => {
+    timers.delete(key);
+    if ((lastUsed.get(key) || 0) < (entry.issuedAt || 0)) return;
+    renewToken(key, source, entry.access)
+      .catch(err => console.error(`❌ Background token renewal for ${key} failed: ${err.message}`));
+  }, Math.max(0, renewAt(entry) - Date.now()));
+  timer.unref();
+  timers.set(key, timer);
+}
+
+const legacySource = tenant => ({ login: () => legacyLogin(tenant) });
+const portalSource = tenant => ({ login: () => portalLogin(tenant), refresh: entry => portalRefresh(tenant, entry) });
 
 /**
  * Fetch an access token using the legacy call center login endpoint.
- * Falls back to the cached token until two minutes before expiry.
+ * Falls back to the cached token until shortly before expiry.
  *
  * @param {string} tenant - tenant / domain, e.g. `mc_int`.
  * @returns {Promise<string>} access token (JWT)
  */
-export async function getToken(tenant) {
-  const now = Date.now();
-  const cached = cache.get(tenant);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
+export function getToken(tenant) {
+  return cachedToken(`legacy:${tenant}`, legacySource(tenant));
+}
 
-  for (let i = 0, delay = 1000; i < MAX_RETRIES; i++, delay *= 2) {
+async function legacyLogin(tenant) {
+  const { username, password } = tenantConfig(tenant);
+  return tokenEntry(await postLogin(tenantUrl(tenant, 'legacyLogin'), { username, password, domain: tenant }, httpsAgentFor(tenant)));
+}
+
+// Only transport problems, 429 and 5xx are worth repeating; a 4xx answer
+// (401 / 403 credentials rejected, 404 no such endpoint) or a rejected
+// certificate will not change
+const isTransient = err => (err.response ? err.response.status === 429 || err.response.status >= 500 : !isCertificateError(err));
+
+/**
+ * POST a login body, retrying transient failures with exponential backoff.
+ * @returns {Promise<object>} the response body.
+ */
+async function postLogin(url, body, httpsAgent) {
+  for (let attempt = 1, delay = 1000; ; attempt++, delay *= 2) {
     try {
-      const {data} = await axios.post(
-        `${process.env.BASE_URL}/portal/callcenter/reports/agents-status-activity`,
-        { username: process.env.API_USERNAME, password: process.env.API_PASSWORD, domain: tenant },
-        { timeout: 5000, httpsAgent, headers: { Accept: 'application/json' } }   // ensure JSON
-      );
-      cache.set(tenant, {
-        access: data.access_token,
-        refresh: data.refresh_token,
-        expiresAt: now + ms('1h')   // adjust to real TTL
+      const { data } = await axios.post(url, body, {
+        timeout: 5000,
+        httpsAgent,
+        headers: { Accept: 'application/json' }   // ensure JSON
       });
-      return data.access_token;
+      return data;
     } catch (err) {
-      if (i === MAX_RETRIES - 1) throw err;
+      err.attempts = attempt;
+      if (!isTransient(err) || attempt === MAX_RETRIES) throw err;
+      if (process.env.DEBUG) console.warn(`Login failed at ${url}: ${err.response?.status || err.message}; retrying in ${delay}ms`);
       await new Promise(r => setTimeout(r, delay));
     }
   }
 }
 
+// Why one login endpoint failed, for the error shown to admins
+function loginFailure(err) {
+  const status = err.response?.status;
+  if (status === 401 || status === 403) return `${status} credentials rejected`;
+  if (status === 404 || status === 405) return `${status} no login endpoint here`;
+  if (status) return `HTTP ${status}${err.attempts > 1 ? ` after ${err.attempts} attempts` : ''}`;
+  if (isCertificateError(err)) return `TLS: ${err.message}`;
+  return `${err.code || err.message}${err.attempts > 1 ? ` after ${err.attempts} attempts` : ''}`;
+}
+
 /**
  * Fetch an access token using the modern portal login endpoint that the web
  * UI employs. This token is accepted by the new `/api/v2/reports/...` routes.
- * Falls back to the cached token until two minutes before expiry.
+ * Falls back to the cached token until shortly before expiry.
  *
  * @param {string} tenant - tenant / domain, e.g. `mc_int`.
  * @returns {Promise<string>} access token (JWT)
  */
-export async function getPortalToken(tenant) {
-  const now = Date.now();
-  const cached = cache.get(`portal:${tenant}`);
-  if (cached && now < cached.expiresAt - ms('2m')) return cached.access;
-
-  // Back-off loop across candidate endpoints / payloads
-  const base = process.env.BASE_URL;
-  const candidates = [
-    // OAuth login path used by the portal UI (works on modern installs)
-    { url: `${base}/api/v2/config/login/oauth`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    // v2 login using domain (fallback for older back-ends)
-    { url: `${base}/api/v2/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-    // very old legacy login path
-    { url: `${base}/api/login`, body: { domain: tenant, username: process.env.API_USERNAME, password: process.env.API_PASSWORD } },
-  ];
-
-  for (const { url, body } of candidates) {
-    for (let attempt = 0, delay = 1000; attempt < MAX_RETRIES; attempt++, delay *= 2) {
-      try {
-        const { data } = await axios.post(url, body, {
-          timeout: 5000,
-          httpsAgent,
-          headers: { Accept: 'application/json' }
-        });
+export function getPortalToken(tenant) {
+  return cachedToken(`portal:${tenant}`, portalSource(tenant));
+}
 
-        const access = data.accessToken || data.access_token;
-        if (!access) throw new Error('No access token in response');
+/**
+ * Run an upstream call with the tenant's portal token. When the PBX answers
+ * 401 the token is renewed (refresh token, else login) and the call is
+ * retried once.
+ *
+ * @param {string} tenant
+ * @param {(token: string) => Promise<T>} call
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withPortalToken(tenant, call) {
+  const token = await getPortalToken(tenant);
+  try {
+    return await call(token);
+  } catch (err) {
+    if (err.response?.status !== 401) throw err;
+    console.warn(`⚠️ Portal token for ${tenant} was rejected (401); renewing and retrying once`);
+    const { access } = await renewToken(`portal:${tenant}`, portalSource(tenant), token);
+    return call(access);
+  }
+}
 
-        const refresh = data.refreshToken || data.refresh_token;
-        const expiresAt = data.expiresIn ? Date.now() + data.expiresIn * 1000 : Date.now() + ms('1h');
+async function portalRefresh(tenant, entry) {
+  const { data } = await axios.post(
+    tenantUrl(tenant, 'refresh'),
+    // Portal versions disagree on the field name
+    { domain: tenant, refreshToken: entry.refresh, refresh_token: entry.refresh },
+    { timeout: 5000, httpsAgent: httpsAgentFor(tenant), headers: { Accept: 'application/json' } }
+  );
+  const refreshed = tokenEntry(data, entry);
+  console.log(`🔄 Portal token refreshed for ${tenant}`);
+  return refreshed;
+}
 
-        cache.set(`portal:${tenant}`, { access, refresh, expiresAt });
-        console.log(`✅ Portal login succeeded at ${url}`);
-        return access;
-      } catch (err) {
-        if (attempt === MAX_RETRIES - 1) {
-          // try next candidate endpoint
-          if (process.env.DEBUG) {
-            console.warn(`Login failed at ${url}: ${err.response?.status || err.message}`);
-          }
-        } else {
-          await new Promise(r => setTimeout(r, delay));
-        }
-      }
+async function portalLogin(tenant) {
+  // The tenant's candidate login endpoints (tenantRegistry.js), the one that
+  // worked last time first – remembered in the token store for every instance
+  const { username, password, endpoints } = tenantConfig(tenant);
+  const base = tenantBaseUrl(tenant);
+  const httpsAgent = httpsAgentFor(tenant); // TLS misconfiguration fails here, not once per endpoint
+  const rememberKey = `login-endpoint:${tenant}`;
+  const remembered = (await readStore(rememberKey))?.path;
+  const paths = endpoints.login.includes(remembered)
+    ? [remembered, ...endpoints.login.filter(p => p !== remembered)]
+    : endpoints.login;
+
+  const tried = [];
+  for (const loginPath of paths) {
+    const url = `${base}${loginPath}`;
+    let entry;
+    try {
+      entry = tokenEntry(await postLogin(url, { domain: tenant, username, password }, httpsAgent));
+    } catch (err) {
+      // try next candidate endpoint
+      tried.push({
+        path: loginPath,
+        reason: loginFailure(err),
+        auth: [401, 403].includes(err.response?.status),
+        tls: isCertificateError(err)
+      });
+      if (process.env.DEBUG) console.warn(`Login failed at ${url}: ${tried.at(-1).reason}`);
+      continue;
     }
+    console.log(`✅ Portal login succeeded at ${url}`);
+    if (loginPath !== remembered) {
+      await store.set(rememberKey, { path: loginPath }, LOGIN_ENDPOINT_TTL_MS)
+        .catch(err => console.warn(`⚠️ Token store (${store.name}) write failed: ${err.message}`));
+    }
+    return entry;
   }
-  throw new Error('All portal login attempts failed – check credentials/endpoints');
-}
 
-export { httpsAgent };
\ No newline at end of file
+  const hint = tried.every(t => t.auth) ? 'check the API username / password for this tenant'
+    : tried.every(t => t.tls) ? "check the tenant's TLS settings (tls.ca / tls.pins / client certificate)"
+      : "check the tenant's baseUrl and login endpoints in the tenant registry";
+  const err = new Error(`Portal login for ${tenant} failed – ${hint} (tried ${tried.map(t => `${t.path}: ${t.reason}`).join('; ')})`);
+  err.tried = tried;
+  console.error(`❌ ${err.message}`);
+  throw err;
+}
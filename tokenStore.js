@@ -0,0 +1,293 @@
+// tokenStore.js
+// Where PBX access tokens are kept between requests, restarts and instances.
+//
+// tokenService.js used to keep tokens in a process-local Map, so every restart
+// (nodemon, deploys) and every extra instance logged in to the PBX again. The
+// store is now selected by TOKEN_STORE:
+//   • memory – process-local, the previous behaviour (default)
+//   • file   – one AES-256-GCM encrypted file per token under TOKEN_STORE_DIR;
+//              shared by processes on the same host
+//   • redis  – shared by every instance pointing at REDIS_URL
+//
+// Every store also provides a lock per key. tokenService takes it around a
+// login, so only one process logs in to a tenant at a time and the others
+// pick up the token it stored. A lock left behind by a crashed process
+// expires after TOKEN_LOCK_TIMEOUT.
+//
+// Configuration (env):
+//   TOKEN_STORE=memory            – memory | file | redis
+//   TOKEN_STORE_DIR               – file store location (default data/tokens)
+//   TOKEN_STORE_KEY               – secret the file store encrypts with (required for file)
+//   REDIS_URL=redis://localhost:6379 – redis store server
+//   TOKEN_STORE_PREFIX=cdr_all:token: – redis key prefix
+//   TOKEN_LOCK_TIMEOUT=1m         – lock lifetime and how long to wait for another login
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { fileURLToPath } from 'url';
+import ms from 'ms';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const TOKEN_STORES = ['memory', 'file', 'redis'];
+const LOCK_TIMEOUT_MS = ms(process.env.TOKEN_LOCK_TIMEOUT || '1m');
+const LOCK_POLL_MS = 250;
+const REDIS_RETRY_MS = 10_000;
+
+/**
+ * Store interface shared by all backends (every method is async):
+ *   get(key)              → entry | null
+ *   set(key, entry, ttlMs) – entry is kept at least ttlMs
+ *   delete(key)
+ *   withLock(key, fn)     → fn's result; fn runs while this process holds the key's lock
+ *                           (rejects with code ETOKENLOCK when the lock cannot be taken)
+ * Entries are plain objects ({ access, refresh, expiresAt } in tokenService).
+ */
+
+// Retry `tryAcquire` until it returns a release function or the wait times out
+async function waitForLock(key, tryAcquire) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    const release = await tryAcquire();
+    if (release) return release;
+    if (Date.now() >= deadline) throw new Error(`Timed out waiting for the token lock on ${key}`);
+    await sleep(LOCK_POLL_MS);
+  }
+}
+
+// Lock failures carry code ETOKENLOCK so callers can tell them from fn's own errors
+async function runLocked(key, tryAcquire, fn) {
+  let release;
+  try {
+    release = await waitForLock(key, tryAcquire);
+  } catch (err) {
+    throw Object.assign(new Error(`Could not take the token lock on ${key}: ${err.message}`), { code: 'ETOKENLOCK' });
+  }
+  try {
+    return await fn();
+  } finally {
+    await release().catch(err => console.error(`❌ Could not release token lock on ${key}: ${err.message}`));
+  }
+}
+
+// ---------------------------------------------------------------------------
+// memory
+
+function createMemoryStore() {
+  const entries = new Map(); // key -> { entry, expiresAt }
+  const locks = new Map();   // key -> promise of the current holder
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const hit = entries.get(key);
+      if (!hit) return null;
+      if (hit.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return hit.entry;
+    },
+    async set(key, entry, ttlMs) {
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    // One process – chaining on the previous holder is all the locking needed
+    async withLock(key, fn) {
+      const previous = locks.get(key) || Promise.resolve();
+      const current = previous.catch(() => {}).then(fn);
+      const tail = current.catch(() => {});
+      locks.set(key, tail);
+      tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+      return current;
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// file (encrypted)
+
+function createFileStore() {
+  const secret = process.env.TOKEN_STORE_KEY;
+  if (!secret) throw new Error('TOKEN_STORE=file requires TOKEN_STORE_KEY');
+  const dir = process.env.TOKEN_STORE_DIR || path.join(__dirname, 'data', 'tokens');
+  const key = crypto.scryptSync(secret, 'cdr_all token store', 32);
+
+  // File names are hashed so tenant names do not show up on disk either
+  const fileFor = name => path.join(dir, crypto.createHash('sha256').update(name).digest('hex').slice(0, 32));
+
+  function encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return JSON.stringify({ v: 1, iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') });
+  }
+
+  function decrypt(text) {
+    const { iv, tag, data } = JSON.parse(text);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8'));
+  }
+
+  // Lock files are created exclusively; one older than the timeout belongs to a dead process
+  function tryAcquire(name) {
+    const lockFile = `${fileFor(name)}.lock`;
+    return async () => {
+      await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+      try {
+        await fs.promises.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+        return () => fs.promises.rm(lockFile, { force: true });
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        const stat = await fs.promises.stat(lockFile).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_TIMEOUT_MS) {
+          await fs.promises.rm(lockFile, { force: true });
+        }
+        return null;
+      }
+    };
+  }
+
+  const memory = createMemoryStore(); // serialises this process's own callers
+  const unreadable = new Set();
+
+  return {
+    name: 'file',
+    async get(name) {
+      let text;
+      try {
+        text = await fs.promises.readFile(fileFor(name), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      try {
+        const { entry, expiresAt } = decrypt(text);
+        return expiresAt > Date.now() ? entry : null;
+      } catch {
+        // Written with another TOKEN_STORE_KEY, or damaged – log in again
+        if (!unreadable.has(name)) console.warn(`⚠️ Ignoring unreadable token file for ${name}`);
+        unreadable.add(name);
+        return null;
+      }
+    },
+    async set(name, entry, ttlMs) {
+      await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+      const file = fileFor(name);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, encrypt({ entry, expiresAt: Date.now() + ttlMs }), { mode: 0o600 });
+      await fs.promises.rename(tmp, file);
+    },
+    async delete(name) {
+      await fs.promises.rm(fileFor(name), { force: true });
+    },
+    withLock(name, fn) {
+      return memory.withLock(name, () => runLocked(name, tryAcquire(name), fn));
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// redis
+
+// Delete the lock only if it still holds our token (it may have expired and
+// been taken by another instance meanwhile)
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+function createRedisStore() {
+  const prefix = process.env.TOKEN_STORE_PREFIX || 'cdr_all:token:';
+  let client = null;
+  let connecting = null;
+  let downUntil = 0;
+  let busy = 0;
+  let lastError = '';
+
+  // Commands fail fast while redis is unreachable (no offline queue); a client
+  // that gave up reconnecting is replaced, at most every REDIS_RETRY_MS
+  async function connect() {
+    if (client?.isOpen) return client;
+    if (Date.now() < downUntil) throw new Error('redis unreachable');
+    connecting ??= (async () => {
+      const { createClient } = await import('redis');
+      const c = createClient({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        disableOfflineQueue: true,
+        socket: {
+          connectTimeout: 5_000,
+          reconnectStrategy: retries => (retries >= 3 ? new Error('redis unreachable') : 500 * (retries + 1))
+        }
+      });
+      c.on('error', err => {
+        if (err.message !== lastError) console.error(`❌ Token store (redis): ${err.message}`);
+        lastError = err.message;
+      });
+      c.on('ready', () => { lastError = ''; });
+      try {
+        await c.connect();
+      } catch (err) {
+        downUntil = Date.now() + REDIS_RETRY_MS;
+        throw err;
+      }
+      c.unref();
+      return (client = c);
+    })().finally(() => { connecting = null; });
+    return connecting;
+  }
+
+  // The socket only keeps the process alive while a command is waiting for
+  // its reply, so CLI runs still exit on their own
+  async function run(command) {
+    const c = await connect();
+    if (busy++ === 0) c.ref();
+    try {
+      return await command(c);
+    } finally {
+      if (--busy === 0) c.unref();
+    }
+  }
+
+  function tryAcquire(name) {
+    const lockKey = `${prefix}lock:${name}`;
+    return async () => {
+      const owner = crypto.randomUUID();
+      const ok = await run(c => c.set(lockKey, owner, { NX: true, PX: LOCK_TIMEOUT_MS }));
+      if (ok !== 'OK') return null;
+      return () => run(c => c.eval(RELEASE_SCRIPT, { keys: [lockKey], arguments: [owner] }));
+    };
+  }
+
+  const memory = createMemoryStore();
+
+  return {
+    name: 'redis',
+    async get(name) {
+      const value = await run(c => c.get(prefix + name));
+      return value ? JSON.parse(value) : null;
+    },
+    async set(name, entry, ttlMs) {
+      await run(c => c.set(prefix + name, JSON.stringify(entry), { PX: Math.max(1, Math.round(ttlMs)) }));
+    },
+    async delete(name) {
+      await run(c => c.del(prefix + name));
+    },
+    withLock(name, fn) {
+      return memory.withLock(name, () => runLocked(name, tryAcquire(name), fn));
+    }
+  };
+}
+
+const FACTORIES = { memory: createMemoryStore, file: createFileStore, redis: createRedisStore };
+
+/**
+ * Create the token store named by `kind` (default TOKEN_STORE, else memory).
+ */
+export function createTokenStore(kind = process.env.TOKEN_STORE || 'memory') {
+  const factory = FACTORIES[kind];
+  if (!factory) throw new Error(`Unknown TOKEN_STORE "${kind}" (expected ${TOKEN_STORES.join(', ')})`);
+  return factory();
+}
@@ -0,0 +1,142 @@
+// upstreamLimiter.js
+// Shared limits for calls to the PBX portal API.
+//
+// Every report request goes through withUpstreamSlot(), which enforces:
+//   • a global cap on in-flight requests          (UPSTREAM_CONCURRENCY, default 6)
+//   • a per-tenant cap on in-flight requests      (UPSTREAM_TENANT_CONCURRENCY, default 3)
+//   • a global request-start rate                  (UPSTREAM_RATE_LIMIT req/s, default 10, 0 = off)
+//   • a per-tenant cool-down after a 429, set by backoffTenant()
+//
+// Waiters are served first-come first-served; a waiter whose tenant is at its
+// cap or cooling down does not block other tenants.
+
+import { setTimeout as sleep } from 'timers/promises';
+
+const positive = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const GLOBAL_CONCURRENCY = Math.max(1, positive(process.env.UPSTREAM_CONCURRENCY, 6));
+const TENANT_CONCURRENCY = Math.max(1, positive(process.env.UPSTREAM_TENANT_CONCURRENCY, 3));
+const RATE_LIMIT = positive(process.env.UPSTREAM_RATE_LIMIT, 10);
+
+let activeTotal = 0;
+const activeByTenant = new Map();
+const cooldownUntil = new Map();
+const waiting = [];
+let nextStartAt = 0;
+
+function canRun(tenant) {
+  return activeTotal < GLOBAL_CONCURRENCY &&
+    (activeByTenant.get(tenant) || 0) < TENANT_CONCURRENCY &&
+    (cooldownUntil.get(tenant) || 0) <= Date.now();
+}
+
+function take(tenant) {
+  activeTotal++;
+  activeByTenant.set(tenant, (activeByTenant.get(tenant) || 0) + 1);
+}
+
+function release(tenant) {
+  activeTotal--;
+  const n = (activeByTenant.get(tenant) || 1) - 1;
+  if (n) activeByTenant.set(tenant, n);
+  else activeByTenant.delete(tenant);
+  pump();
+}
+
+function pump() {
+  for (let i = 0; i < waiting.length && activeTotal < GLOBAL_CONCURRENCY;) {
+    const waiter = waiting[i];
+    if (canRun(waiter.tenant)) {
+      waiting.splice(i, 1);
+      take(waiter.tenant);
+      waiter.resolve();
+    } else {
+      i++;
+    }
+  }
+}
+
+function acquire(tenant, signal) {
+  signal?.throwIfAborted();
+  if (!waiting.length && canRun(tenant)) {
+    take(tenant);
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const waiter = { tenant, resolve };
+    const onAbort = () => {
+      const idx = waiting.indexOf(waiter);
+      if (idx !== -1) waiting.splice(idx, 1);
+      reject(signal.reason);
+    };
+    waiter.resolve = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    waiting.push(waiter);
+  });
+}
+
+// Space request starts evenly at RATE_LIMIT per second across all tenants
+async function rateGate(signal) {
+  if (!RATE_LIMIT) return;
+  const now = Date.now();
+  const startAt = Math.max(now, nextStartAt);
+  nextStartAt = startAt + 1000 / RATE_LIMIT;
+  if (startAt > now) await sleep(startAt - now, undefined, { signal });
+}
+
+/**
+ * Run `fn` once a request slot for `tenant` is free and the rate limit allows.
+ * @param {string} tenant
+ * @param {() => Promise<T>} fn
+ * @param {object} [opts] – { signal } aborts while waiting for a slot.
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withUpstreamSlot(tenant, fn, { signal } = {}) {
+  await acquire(tenant, signal);
+  try {
+    await rateGate(signal);
+    return await fn();
+  } finally {
+    release(tenant);
+  }
+}
+
+/**
+ * Hold back new requests for `tenant` for `delayMs` (after a 429).
+ */
+export function backoffTenant(tenant, delayMs) {
+  const until = Date.now() + delayMs;
+  if (until <= (cooldownUntil.get(tenant) || 0)) return;
+  cooldownUntil.set(tenant, until);
+  setTimeout(() => {
+    if ((cooldownUntil.get(tenant) || 0) <= Date.now()) cooldownUntil.delete(tenant);
+    pump();
+  }, delayMs).unref();
+}
+
+/**
+ * Per-tenant cap – also how many time slices a single fetch runs in parallel.
+ */
+export function tenantConcurrency() {
+  return TENANT_CONCURRENCY;
+}
+
+/**
+ * Current limiter state (for logs / admin endpoints).
+ */
+export function upstreamStats() {
+  return {
+    active: activeTotal,
+    waiting: waiting.length,
+    activeByTenant: Object.fromEntries(activeByTenant),
+    coolingDown: [...cooldownUntil.keys()],
+    limits: { global: GLOBAL_CONCURRENCY, perTenant: TENANT_CONCURRENCY, ratePerSec: RATE_LIMIT }
+  };
+}
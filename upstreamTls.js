@@ -0,0 +1,173 @@
+// upstreamTls.js
+// TLS trust for every call to the PBX – token logins, report and agent status
+// fetches and the recording proxy, which carries customer audio.
+//
+// The PBX certificate is verified. Each tenant gets an https.Agent built from
+// its `tls` settings (tenant registry entry → `defaults` → PBX_* env):
+//   • ca       – PEM bundle trusted in addition to the system CAs (a private CA,
+//                or the PBX's own certificate when it is self-signed)
+//   • pins     – the certificate chain must also contain one of these:
+//                `sha256/<base64>` of a public key (as printed by `check` below)
+//                or a certificate SHA-256 fingerprint (`AB:CD:…`)
+//   • cert, key, passphrase – client certificate for PBXs that require mTLS
+//   • insecure – skip verification entirely. Development only: it is logged
+//                loudly and refused when NODE_ENV=production.
+//
+// Configuration (env, applies to every tenant):
+//   PBX_CA_FILE                  – extra CA bundle
+//   PBX_TLS_PINS=sha256/…,…      – certificate pins
+//   PBX_CLIENT_CERT, PBX_CLIENT_KEY, PBX_CLIENT_KEY_PASSPHRASE – mTLS client certificate
+//   PBX_TLS_INSECURE=1           – disable verification (development only)
+//
+// Usage examples:
+//   node -r dotenv/config upstreamTls.js check mc_int   # chain, pins and verification result
+
+import fs from 'fs';
+import https from 'https';
+import tls from 'tls';
+import crypto from 'crypto';
+import { registeredTenants, tenantBaseUrl, tenantConfig } from './tenantRegistry.js';
+
+const agents = new Map();   // settings JSON -> agent, so tenants with equal settings share sockets
+const warned = new Set();   // tenants already warned about insecure mode
+
+const publicKeyPin = cert => `sha256/${crypto.createHash('sha256').update(cert.pubkey).digest('base64')}`;
+
+function readPem(file, what, tenant) {
+  try {
+    return fs.readFileSync(file);
+  } catch (err) {
+    throw new Error(`Cannot read ${what} ${file} for tenant ${tenant}: ${err.message}`);
+  }
+}
+
+function checkPinFormat(pin, tenant) {
+  if (/^sha256\/[A-Za-z0-9+/]{43}=$/.test(pin) || /^([0-9A-F]{2}:){31}[0-9A-F]{2}$/i.test(pin)) return;
+  throw new Error(`Invalid TLS pin "${pin}" for tenant ${tenant} – expected sha256/<base64> or a SHA-256 fingerprint`);
+}
+
+// Certificates the server presented, leaf first
+function chainOf(cert) {
+  const chain = [];
+  for (let c = cert; c && c.raw && !chain.includes(c); c = c.issuerCertificate) chain.push(c);
+  return chain;
+}
+
+function pinMatches(cert, pins) {
+  return chainOf(cert).some(c => pins.includes(publicKeyPin(c)) || pins.includes(c.fingerprint256?.toUpperCase()));
+}
+
+function warnInsecure(tenant) {
+  if (warned.has(tenant)) return;
+  warned.add(tenant);
+  console.warn(`⚠️ ⚠️ ⚠️  TLS certificate verification is DISABLED for tenant ${tenant} (PBX_TLS_INSECURE / tls.insecure).`);
+  console.warn('⚠️ ⚠️ ⚠️  PBX credentials, tokens, reports and call recordings can be intercepted. Use this in development only.');
+}
+
+function agentOptions(tenant, settings) {
+  const options = {};
+
+  if (settings.cert || settings.key) {
+    if (!settings.cert || !settings.key) throw new Error(`Tenant ${tenant}: a client certificate needs both tls.cert and tls.key`);
+    options.cert = readPem(settings.cert, 'client certificate', tenant);
+    options.key = readPem(settings.key, 'client key', tenant);
+    if (settings.passphrase) options.passphrase = settings.passphrase;
+  }
+
+  if (settings.insecure) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(`Tenant ${tenant}: insecure TLS is not allowed with NODE_ENV=production – configure tls.ca or tls.pins instead`);
+    }
+    warnInsecure(tenant);
+    return { ...options, rejectUnauthorized: false };
+  }
+
+  options.rejectUnauthorized = true;
+  if (settings.ca) options.ca = [...tls.rootCertificates, readPem(settings.ca, 'CA bundle', tenant)];
+
+  const pins = (settings.pins || []).map(pin => (pin.startsWith('sha256/') ? pin : pin.toUpperCase()));
+  pins.forEach(pin => checkPinFormat(pin, tenant));
+  if (pins.length) {
+    options.checkServerIdentity = (host, cert) => {
+      const err = tls.checkServerIdentity(host, cert);
+      if (err) return err;
+      if (!pinMatches(cert, pins)) {
+        return Object.assign(
+          new Error(`Certificate of ${host} does not match the TLS pins configured for tenant ${tenant} (got ${publicKeyPin(cert)})`),
+          { code: 'ERR_TLS_PIN_MISMATCH' }
+        );
+      }
+      return undefined;
+    };
+  }
+  return options;
+}
+
+/**
+ * Whether an upstream call failed because the PBX certificate was not
+ * accepted (untrusted, expired, wrong host, pin mismatch, client certificate
+ * refused) – retrying will not help.
+ */
+export function isCertificateError(err) {
+  return /CERT|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)|^ERR_(TLS|SSL)_/.test(err?.code || '');
+}
+
+/**
+ * https.Agent for upstream calls on behalf of a tenant.
+ * @param {string} tenant
+ * @returns {https.Agent}
+ */
+export function httpsAgentFor(tenant) {
+  const settings = tenantConfig(tenant).tls;
+  const cacheKey = JSON.stringify(settings);
+  // Insecure mode is warned about per tenant even when the agent is shared
+  if (settings.insecure && process.env.NODE_ENV !== 'production') warnInsecure(tenant);
+  if (!agents.has(cacheKey)) agents.set(cacheKey, new https.Agent(agentOptions(tenant, settings)));
+  return agents.get(cacheKey);
+}
+
+// Unreadable files, bad pins or insecure mode in production stop the server at
+// startup rather than at a tenant's first request
+for (const tenant of registeredTenants()) httpsAgentFor(tenant);
+
+// ---------------------------------------------------------------------------
+// CLI
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  const [command, tenant] = process.argv.slice(2);
+
+  if (command === 'check' && tenant) {
+    const url = new URL(tenantBaseUrl(tenant));
+    const settings = tenantConfig(tenant).tls;
+    const { checkServerIdentity, ...options } = agentOptions(tenant, { ...settings, insecure: false });
+    const socket = tls.connect({
+      ...options,
+      host: url.hostname,
+      port: Number(url.port) || 443,
+      servername: url.hostname,
+      rejectUnauthorized: false // report the problem instead of failing the handshake
+    }, () => {
+      const cert = socket.getPeerCertificate(true);
+      console.log(`PBX ${url.host} (tenant ${tenant})`);
+      for (const c of chainOf(cert)) {
+        console.log(`  ${c.subject?.CN || '(no CN)'} – issued by ${c.issuer?.CN || '(no CN)'}, valid until ${c.valid_to}`);
+        console.log(`    pin: ${publicKeyPin(c)}`);
+        console.log(`    fingerprint: ${c.fingerprint256}`);
+      }
+      const identityError = socket.authorized && checkServerIdentity?.(url.hostname, cert);
+      if (!socket.authorized) console.log(`❌ Certificate not trusted: ${socket.authorizationError}`);
+      else if (identityError) console.log(`❌ ${identityError.message}`);
+      else console.log(`✅ Certificate verified${checkServerIdentity ? ' and pinned' : ''}`);
+      if (settings.insecure) console.log('⚠️ This tenant is configured with insecure TLS – verification is skipped at runtime');
+      socket.end();
+    });
+    socket.setTimeout(10_000, () => socket.destroy(new Error('timed out')));
+    socket.on('error', err => {
+      console.error(`❌ TLS connection to ${url.host} failed: ${err.message}`);
+      process.exitCode = 1;
+    });
+  } else {
+    console.error('Usage: node upstreamTls.js check <tenant>');
+    process.exitCode = 1;
+  }
+}
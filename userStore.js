@@ -0,0 +1,260 @@
+// userStore.js
+// File-backed store for dashboard user accounts.
+//
+// Users are kept in a small JSON document (USERS_FILE, default data/users.json)
+// with bcrypt password hashes. The file is read once and cached in memory;
+// every mutation is written straight back to disk.
+//
+// Each user also carries the list of tenants (PBX accounts) they may query.
+// The wildcard `*` grants every tenant listed in the TENANTS env var.
+// An optional IANA `timezone` overrides the tenant's display zone for that user.
+//
+// Usage examples:
+//   node -r dotenv/config userStore.js add alice 's3cret' supervisor shams
+//   node -r dotenv/config userStore.js tenants alice shams,mc_int
+//   node -r dotenv/config userStore.js passwd alice 'n3w-s3cret'
+//   node -r dotenv/config userStore.js timezone alice Europe/London
+//   node -r dotenv/config userStore.js remove alice
+//   node -r dotenv/config userStore.js list
+
+import bcrypt from 'bcrypt';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { registeredTenants } from './tenantRegistry.js';
+import { isValidTimezone } from './timezones.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, 'data', 'users.json');
+const BCRYPT_ROUNDS = 12;
+
+// Highest privilege first – index doubles as rank for hasRole()
+export const ROLES = ['admin', 'supervisor', 'agent'];
+
+let users = null; // Map<username, {username, role, tenants, timezone?, passwordHash, createdAt}>
+let dummyHash = null; // compared against for unknown users so timing stays constant
+
+async function load() {
+  if (users) return users;
+  try {
+    const raw = await fs.promises.readFile(USERS_FILE, 'utf8');
+    users = new Map(JSON.parse(raw).map(u => [u.username, u]));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    users = new Map();
+  }
+  return users;
+}
+
+async function persist() {
+  await fs.promises.mkdir(path.dirname(USERS_FILE), { recursive: true });
+  const tmp = `${USERS_FILE}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify([...users.values()], null, 2), { mode: 0o600 });
+  await fs.promises.rename(tmp, USERS_FILE);
+}
+
+/**
+ * Strip the password hash so a user record is safe to send to the browser.
+ */
+export function publicUser(user) {
+  if (!user) return null;
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+/**
+ * Tenants known to this deployment (TENANTS=shams,mc_int, plus those in the
+ * tenant registry). Used to expand the `*` wildcard.
+ */
+export function configuredTenants() {
+  const listed = (process.env.TENANTS || '')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean);
+  return [...new Set([...listed, ...registeredTenants()])];
+}
+
+// '' / null clears the setting so the tenant's zone applies again
+function normaliseTimezone(timezone) {
+  if (timezone == null || timezone === '') return undefined;
+  if (!isValidTimezone(timezone)) throw new Error(`Unknown timezone: ${timezone}`);
+  return timezone;
+}
+
+function normaliseTenants(tenants) {
+  if (tenants == null) return [];
+  const list = Array.isArray(tenants) ? tenants : String(tenants).split(',');
+  return [...new Set(list.map(t => String(t).trim()).filter(Boolean))];
+}
+
+/**
+ * Resolve the concrete tenants a user is entitled to query.
+ * @param {object} user – user record (with or without hash).
+ * @returns {string[]}
+ */
+export function allowedTenants(user) {
+  const tenants = user?.tenants || [];
+  if (tenants.includes('*')) {
+    return [...new Set([...configuredTenants(), ...tenants.filter(t => t !== '*')])];
+  }
+  return tenants;
+}
+
+/**
+ * True when `role` is at least as privileged as `required`.
+ */
+export function hasRole(role, required) {
+  const have = ROLES.indexOf(role);
+  const need = ROLES.indexOf(required);
+  return have !== -1 && need !== -1 && have <= need;
+}
+
+export async function findUser(username) {
+  const map = await load();
+  return map.get(username) || null;
+}
+
+export async function listUsers() {
+  const map = await load();
+  return [...map.values()].map(publicUser);
+}
+
+/**
+ * Create a new dashboard user.
+ * @param {object} opts
+ * @param {string} opts.username – login name (unique).
+ * @param {string} opts.password – plain-text password, hashed before storing.
+ * @param {string} [opts.role]   – one of ROLES (default `agent`).
+ * @param {string[]|string} [opts.tenants] – tenants the user may query (`*` = all).
+ * @param {string} [opts.timezone] – IANA display zone (default: the tenant's).
+ * @returns {Promise<object>}    – the stored user without its hash.
+ */
+export async function createUser({ username, password, role = 'agent', tenants = [], timezone }) {
+  if (!username || !password) throw new Error('username and password are required');
+  if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+  const zone = normaliseTimezone(timezone);
+
+  const map = await load();
+  if (map.has(username)) throw new Error(`User already exists: ${username}`);
+
+  const user = {
+    username,
+    role,
+    tenants: normaliseTenants(tenants),
+    ...(zone && { timezone: zone }),
+    passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+    createdAt: new Date().toISOString()
+  };
+  map.set(username, user);
+  await persist();
+  return publicUser(user);
+}
+
+/**
+ * Apply a partial update (`password`, `role`, `tenants` and/or `timezone`) to an existing user.
+ */
+export async function updateUser(username, { password, role, tenants, timezone } = {}) {
+  const map = await load();
+  const user = map.get(username);
+  if (!user) throw new Error(`No such user: ${username}`);
+
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+    user.role = role;
+  }
+  if (tenants !== undefined) {
+    user.tenants = normaliseTenants(tenants);
+  }
+  if (timezone !== undefined) {
+    const zone = normaliseTimezone(timezone);
+    if (zone) user.timezone = zone;
+    else delete user.timezone;
+  }
+  if (password !== undefined) {
+    user.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+  await persist();
+  return publicUser(user);
+}
+
+export async function removeUser(username) {
+  const map = await load();
+  const existed = map.delete(username);
+  if (existed) await persist();
+  return existed;
+}
+
+/**
+ * Check a username/password pair.
+ * @returns {Promise<object|null>} – the user (without hash) or null on mismatch.
+ */
+export async function verifyCredentials(username, password) {
+  const user = await findUser(username);
+  // Always run a compare so timing does not reveal whether the user exists
+  if (!user && !dummyHash) dummyHash = await bcrypt.hash('dummy', BCRYPT_ROUNDS);
+  const hash = user?.passwordHash || dummyHash;
+  const ok = await bcrypt.compare(String(password ?? ''), hash);
+  return ok && user ? publicUser(user) : null;
+}
+
+/**
+ * Seed an initial admin from ADMIN_USERNAME / ADMIN_PASSWORD when the store
+ * is empty, so a fresh install is reachable without running the CLI first.
+ */
+export async function ensureBootstrapAdmin() {
+  const map = await load();
+  if (map.size > 0) return;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn(`⚠️  No dashboard users configured – set ADMIN_USERNAME/ADMIN_PASSWORD or run: node -r dotenv/config userStore.js add <user> <password> admin`);
+    return;
+  }
+  await createUser({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin', tenants: ['*'] });
+  console.log(`✅ Created bootstrap admin user "${ADMIN_USERNAME}"`);
+}
+
+async function cli() {
+  const [,, cmd, username, arg1, arg2, arg3] = process.argv;
+  switch (cmd) {
+    case 'add':
+      if (!username || !arg1) break;
+      console.log(await createUser({ username, password: arg1, role: arg2 || 'agent', tenants: arg3 }));
+      return;
+    case 'tenants':
+      if (!username || !arg1) break;
+      console.log(await updateUser(username, { tenants: arg1 }));
+      return;
+    case 'passwd':
+      if (!username || !arg1) break;
+      await updateUser(username, { password: arg1 });
+      console.log(`Password updated for ${username}`);
+      return;
+    case 'timezone':
+      if (!username) break;
+      console.log(await updateUser(username, { timezone: arg1 || null }));
+      return;
+    case 'role':
+      if (!username || !arg1) break;
+      console.log(await updateUser(username, { role: arg1 }));
+      return;
+    case 'remove':
+      if (!username) break;
+      console.log((await removeUser(username)) ? `Removed ${username}` : `No such user: ${username}`);
+      return;
+    case 'list':
+      console.table(await listUsers());
+      return;
+  }
+  console.error('Usage: node -r dotenv/config userStore.js <add|passwd|role|tenants|timezone|remove|list> [username] [password|role|tenants|timezone] [role] [tenants]');
+  console.error(`role = ${ROLES.join(' | ')}`);
+  process.exit(1);
+}
+
+if (import.meta.url === process.argv[1] || import.meta.url === `file://${process.argv[1]}`) {
+  cli().catch(err => {
+    console.error(err.stack || err.message);
+    process.exit(1);
+  });
+}